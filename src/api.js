@@ -1,155 +1,132 @@
 // src/api.js
 /**
- * This module contains functions for interacting with TheMealDB API
- * All functions use the built-in fetch API available in Node.js 20+
+ * This module contains the functions the app uses to look up recipes
+ * Each function delegates to the active recipe provider (TheMealDB by default,
+ * or a local recipe directory) and resolves to Recipe objects.
+ * Network requests go through http.js, which handles timeouts and retries.
+ * Each call's duration is recorded in metrics.js as `api.<function name>`.
+ *
+ * Result contract, shared by every function:
+ * - Lists resolve to an array; an empty array means nothing matched
+ * - Single recipes resolve to a Recipe, or reject with NotFoundError
+ * - Any failure to get an answer rejects with a RecipeError subclass
+ *   (NetworkError, TimeoutError, RateLimitError, HttpError, ParseError)
  */
 
-const BASE_URL = 'https://www.themealdb.com/api/json/v1/1';
+import { getProvider } from './providers/index.js';
+import { NotFoundError } from './errors.js';
+import { time } from './metrics.js';
+
+/** @typedef {import('./recipe.js').Recipe} Recipe */
 
 /**
  * Search for meals by name
  * @param {string} query - Search term
- * @returns {Promise<Array>} - Array of meal objects
+ * @returns {Promise<Array<Recipe>>} - Array of recipes, empty if none match
+ * @throws {RecipeError} - If the recipe source could not be searched
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/fetch | MDN: fetch API}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise | MDN: Promise}
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/try...catch | MDN: try...catch}
  */
 export async function searchMealsByName(query) {
-  try {
-    const response = await fetch(`${BASE_URL}/search.php?s=${encodeURIComponent(query)}`);
-    if (!response.ok) throw new Error(`Error: ${response.status}`);
-    const data = await response.json();
-    return data.meals || [];
-  } catch (error) {
-    console.error('Failed to fetch meals by name:', error);
-    return [];
-  }
+  return time('api.searchMealsByName', () => getProvider().searchByName(query));
 }
 
 /**
  * Get detailed information about a specific meal by ID
- * Implementation includes retry logic for resilience
+ * Failed requests are retried with exponential backoff by the HTTP layer
  *
  * @param {string} id - Meal ID
- * @param {number} attempts - Number of retry attempts (default: 2)
- * @returns {Promise<Object|null>} - Meal details or null if not found
+ * @param {number} attempts - Total number of attempts (default: 2)
+ * @param {Object} requestOptions - Extra provider request options, e.g. `{ fresh: true }`
+ * @returns {Promise<Recipe>} - Recipe details
+ * @throws {NotFoundError} - If there is no recipe with this ID
+ * @throws {RecipeError} - If the recipe source could not be reached
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/async_function | MDN: async function}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Operators/await | MDN: await}
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Control_flow_and_error_handling | MDN: Error handling}
  */
-export async function getMealById(id, attempts = 2) {
-  try {
-    const response = await fetch(`${BASE_URL}/lookup.php?i=${id}`);
-    if (!response.ok) throw new Error(`Error: ${response.status}`);
-    const data = await response.json();
-    return data.meals ? data.meals[0] : null;
-  } catch (error) {
-    if (attempts > 1) {
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      return getMealById(id, attempts - 1);
-    }
-    console.error('Failed to fetch meal by ID:', error);
-    return null;
+export async function getMealById(id, attempts = 2, requestOptions = {}) {
+  const recipe = await time('api.getMealById', () =>
+    getProvider().lookupById(id, { ...requestOptions, retries: attempts - 1 })
+  );
+  if (!recipe) {
+    throw new NotFoundError(`Recipe ${id} not found`, { id });
   }
+  return recipe;
 }
 
 /**
  * Search for meals starting with specific letters
  * Uses Promise.all to fetch results for multiple letters in parallel
+ * If any letter fails the whole search fails, so partial results are never cached
  *
  * @param {Array<string>} letters - Array of letters to search by
- * @returns {Promise<Array>} - Combined array of meals starting with any of the letters
+ * @param {Object} requestOptions - Extra provider request options, e.g. `{ fresh: true }`
+ * @returns {Promise<Array<Recipe>>} - Combined array of recipes starting with any of the letters
+ * @throws {RecipeError} - If any letter could not be searched
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/all | MDN: Promise.all}
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/map | MDN: Array.map}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Set | MDN: Set}
  */
-export async function searchMealsByFirstLetter(letters) {
-  try {
-    const promises = letters.map(letter =>
-      fetch(`${BASE_URL}/search.php?f=${letter}`).then(res =>
-        res.ok ? res.json() : Promise.reject(new Error('Failed to fetch'))
-      ).then(data => data.meals || []).catch(() => [])
-    );
-    const results = await Promise.all(promises);
-    return [...new Set(results.flat().map(meal => meal.idMeal))].map(id =>
-      results.flat().find(meal => meal.idMeal === id)
-    );
-  } catch (error) {
-    console.error('Failed to fetch meals by first letter:', error);
-    return [];
-  }
+export async function searchMealsByFirstLetter(letters, requestOptions = {}) {
+  const provider = getProvider();
+  const results = await time('api.searchMealsByFirstLetter', () =>
+    Promise.all(letters.map(letter => provider.searchByFirstLetter(letter, requestOptions)))
+  );
+  const recipes = results.flat();
+  return [...new Set(recipes.map(recipe => recipe.id))].map(id =>
+    recipes.find(recipe => recipe.id === id)
+  );
 }
 
 /**
  * Search for meals containing a specific ingredient
- * Implements a timeout using Promise.race
+ * Each attempt is cancelled with an AbortController after `timeoutMs`
  *
  * @param {string} ingredient - Ingredient to search for
- * @param {number} timeoutMs - Timeout in milliseconds
- * @returns {Promise<Array|string>} - Array of meals or error message if timeout
+ * @param {number} timeoutMs - Timeout per attempt in milliseconds
+ * @returns {Promise<Array<Recipe>>} - Array of partial recipes, empty if none match
+ * @throws {TimeoutError} - If every attempt timed out
+ * @throws {RecipeError} - If the recipe source could not be searched
  *
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/race | MDN: Promise.race}
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Using_promises | MDN: Using promises}
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Operators/typeof | MDN: typeof}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AbortController | MDN: AbortController}
  */
 export async function getMealsByIngredient(ingredient, timeoutMs = 5000) {
-  const fetchMeals = fetch(`${BASE_URL}/filter.php?i=${encodeURIComponent(ingredient)}`)
-    .then(res => res.ok ? res.json() : Promise.reject(new Error('Failed to fetch')))
-    .then(data => data.meals || [])
-    .catch(() => []);
-
-  const timeout = new Promise((_, reject) => setTimeout(() => reject('Request timed out'), timeoutMs));
-
-  try {
-    return await Promise.race([fetchMeals, timeout]);
-  } catch (error) {
-    console.error('Failed to fetch meals by ingredient:', error);
-    return 'took too long';
-  }
+  return time('api.getMealsByIngredient', () => getProvider().filterByIngredient(ingredient, { timeoutMs }));
 }
 
 /**
  * Get related recipes based on a recipe's category
  * Used in promise chaining examples
  *
- * @param {Object} recipe - Recipe object with strCategory property
+ * @param {Recipe} recipe - Recipe whose category to match
  * @param {number} limit - Maximum number of related recipes to return
- * @returns {Promise<Array>} - Array of related recipes
+ * @returns {Promise<Array<Recipe>>} - Array of partial related recipes
+ * @throws {RecipeError} - If the recipe source could not be searched
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/filter | MDN: Array.filter}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/slice | MDN: Array.slice}
  */
 export async function getRelatedRecipes(recipe, limit = 3) {
-  if (!recipe?.strCategory) return [];
-  try {
-    const response = await fetch(`${BASE_URL}/filter.php?c=${encodeURIComponent(recipe.strCategory)}`);
-    if (!response.ok) throw new Error(`Error: ${response.status}`);
-    const data = await response.json();
-    return (data.meals || []).filter(meal => meal.idMeal !== recipe.idMeal).slice(0, limit);
-  } catch (error) {
-    console.error('Failed to fetch related recipes:', error);
-    return [];
-  }
+  if (!recipe?.category) return [];
+  const recipes = await time('api.getRelatedRecipes', () => getProvider().filterByCategory(recipe.category));
+  return recipes.filter(related => related.id !== recipe.id).slice(0, limit);
 }
 
 /**
  * Get a random meal from the API
  *
- * @returns {Promise<Object|null>} - Random meal or null if error
+ * @returns {Promise<Recipe>} - Random recipe
+ * @throws {NotFoundError} - If the source has no recipes
+ * @throws {RecipeError} - If the recipe source could not be reached
  */
 export async function getRandomMeal() {
-  try {
-    const response = await fetch(`${BASE_URL}/random.php`);
-    if (!response.ok) throw new Error(`Error: ${response.status}`);
-    const data = await response.json();
-    return data.meals ? data.meals[0] : null;
-  } catch (error) {
-    console.error('Failed to fetch random meal:', error);
-    return null;
+  const recipe = await time('api.getRandomMeal', () => getProvider().random());
+  if (!recipe) {
+    throw new NotFoundError('No random recipe available');
   }
+  return recipe;
 }
 
 export default {
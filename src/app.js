@@ -4,23 +4,54 @@
  * Contains the command-line interface and application logic
  */
 
+import path from 'path';
 import readlineSync from 'readline-sync';
 import * as api from './api.js';
 import * as cache from './cache.js';
 import * as favorites from './favorites.js';
+import * as favoritesIo from './favorites-io.js';
+import { refreshFavorites as refreshFavoriteRecipes } from './favorites-refresh.js';
 import * as utils from './utils.js';
+import * as metrics from './metrics.js';
+import { syncCatalog } from './sync.js';
+import { importToSqlite } from './import-sqlite.js';
+import { getDataStatus, migrateDataFiles } from './migrations.js';
+import { writeFileAtomic } from './storage.js';
+import { getConfig, getProfile, setProfile, listProfiles } from './config.js';
+import * as prefetch from './prefetch.js';
+import { NotFoundError } from './errors.js';
+import {
+  EXIT_CODES,
+  UsageError,
+  getErrorExitCode,
+  describeError,
+  parseArgs,
+  getUsage
+} from './cli.js';
+
+// Interactive prompts are only shown when running the menu
+let interactive = true;
+
+// Output format for command results, set with --format in command-line mode
+let outputFormat = 'text';
+
+// How long a menu prompt waits for background cache warm-ups before stopping them
+const PREFETCH_PROMPT_WAIT_MS = 500;
 
 /**
  * Initialize the application
  *
+ * @param {Object} options - Set `prune: false` to keep expired cache entries, e.g. to inspect them
  * @returns {Promise<boolean>} - True if initialization successful
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/all | MDN: Promise.all}
  */
-async function initialize() {
+async function initialize({ prune = true } = {}) {
   try {
-    await Promise.all([cache.initialize(), favorites.initialize()]);
-    cache.clearExpired();
+    await Promise.all([cache.initializeCache(), favorites.initializeFavorites()]);
+    if (prune) {
+      await cache.clearExpiredCache();
+    }
     return true;
   } catch (error) {
     console.error('Initialization error:', error);
@@ -28,49 +59,261 @@ async function initialize() {
   }
 }
 
+/**
+ * Print a progress message when running interactively
+ * Command-line mode keeps stdout limited to the command's output
+ *
+ * @param {string} message - Message to print
+ */
+function progress(message) {
+  if (interactive) {
+    console.log(message);
+  }
+}
+
+/**
+ * Print a notice that is not part of a command's result
+ * Machine-readable formats send notices to stderr so stdout stays parseable
+ *
+ * @param {string} message - Message to print
+ */
+function notice(message) {
+  if (outputFormat === 'text') {
+    console.log(message);
+  } else {
+    console.error(message);
+  }
+}
+
+/**
+ * Report a failed command and pick its exit code
+ * A missing recipe is an expected outcome, so it is shown as a notice
+ *
+ * @param {string} context - What was being done, e.g. 'Error searching recipes'
+ * @param {Error} error - Error that was thrown
+ * @returns {number} - Exit code for command-line mode
+ */
+function reportError(context, error) {
+  if (error instanceof NotFoundError) {
+    notice(describeError(error));
+  } else {
+    console.error(`${context}: ${describeError(error)}`);
+  }
+  return getErrorExitCode(error);
+}
+
+/**
+ * Get a cached API response or fetch it, telling the user when the answer is stale
+ *
+ * @param {string} key - Cache key
+ * @param {Function} fetchFn - Function that fetches the data
+ * @returns {Promise<any>} - Data from cache or fresh fetch
+ */
+async function getCached(key, fetchFn) {
+  const result = await cache.getCachedOrFetch(key, fetchFn);
+  const info = cache.getCacheInfo(result);
+
+  if (info?.source === 'stale') {
+    const age = utils.formatDuration(info.ageMs);
+    notice(info.reason === 'error'
+      ? `Served from stale cache (${age} old) because the recipe service could not be reached`
+      : `Served from stale cache (${age} old), refreshing in the background`);
+  }
+  return result;
+}
+
+/**
+ * Print a recipe in the current output format
+ *
+ * @param {Object} recipe - Recipe to print
+ */
+function printRecipe(recipe) {
+  console.log(utils.renderRecipe(recipe, outputFormat));
+}
+
+/**
+ * Print a list of recipes in the current output format
+ * An empty list prints `emptyMessage` as text, `[]` as JSON and nothing as NDJSON
+ *
+ * @param {Array<Object>} recipes - Recipes to print
+ * @param {string} [emptyMessage] - Text shown when there are no recipes
+ */
+function printRecipeList(recipes, emptyMessage = 'No recipes found') {
+  if (outputFormat === 'text' && recipes.length === 0) {
+    console.log(emptyMessage);
+    return;
+  }
+
+  const output = utils.renderRecipeList(recipes, outputFormat);
+  if (output) {
+    console.log(output);
+  }
+}
+
+/**
+ * Print favorites in the current output format, with what the user added to each
+ * An empty list prints `emptyMessage` as text, `[]` as JSON and nothing as NDJSON
+ *
+ * @param {Array<Object>} entries - Favorites from favorites.findFavorites
+ * @param {string} title - Heading for the text format
+ * @param {string} emptyMessage - Text shown when there are no favorites
+ */
+function printFavoriteList(entries, title, emptyMessage) {
+  if (outputFormat === 'text' && entries.length === 0) {
+    console.log(emptyMessage);
+    return;
+  }
+
+  const output = utils.renderFavoriteList(entries, outputFormat, title);
+  if (output) {
+    console.log(output);
+  }
+}
+
+/**
+ * Print the outcome of a command that does not produce recipes
+ *
+ * @param {string} message - Text shown in text format
+ * @param {Object} result - Object printed in JSON formats
+ */
+function printResult(message, result) {
+  if (outputFormat === 'text') {
+    console.log(message);
+  } else {
+    console.log(JSON.stringify(result, null, outputFormat === 'json' ? 2 : 0));
+  }
+}
+
+/**
+ * Give background cache warm-ups a moment, then stop them before prompting
+ * readline-sync blocks the event loop while it waits for input, so warm-ups left
+ * running would stall at the prompt and then slow down the next command.
+ * Requests already under way finish, but no new ones are started.
+ */
+async function stopPrefetches() {
+  await prefetch.settlePrefetches({ timeoutMs: PREFETCH_PROMPT_WAIT_MS });
+  await prefetch.cancelPrefetches({ timeoutMs: 0 });
+}
+
+/**
+ * Offer to open one recipe from a list in interactive mode
+ *
+ * @param {Array<Object>} recipes - Recipes that were just listed
+ */
+async function offerRecipeDetails(recipes) {
+  if (!interactive || recipes.length === 0) {
+    return;
+  }
+
+  await stopPrefetches();
+  const viewDetails = readlineSync.keyInYN('Would you like to view details for a recipe?');
+
+  if (viewDetails) {
+    const index = readlineSync.questionInt(`Enter recipe number (1-${recipes.length}): `, {
+      limit: input => {
+        const num = parseInt(input);
+        return num >= 1 && num <= recipes.length;
+      },
+      limitMessage: `Please enter a number between 1 and ${recipes.length}`
+    });
+
+    await viewRecipeDetails(recipes[index - 1].id);
+  }
+}
+
+/**
+ * Offer to add or remove a recipe from favorites in interactive mode
+ *
+ * @param {Object} recipe - Recipe being displayed
+ */
+async function offerFavoriteToggle(recipe) {
+  if (!interactive) {
+    return;
+  }
+
+  if (await favorites.isInFavorites(recipe.id)) {
+    await offerFavoriteChanges(recipe);
+  } else {
+    const addFavorite = readlineSync.keyInYNStrict('Would you like to add this recipe to favorites?');
+    if (addFavorite) {
+      await favorites.addFavorite(recipe);
+      console.log('Recipe added to favorites');
+    }
+  }
+}
+
+/**
+ * Let the user remove or organize a favorite in interactive mode
+ *
+ * @param {Object} recipe - Favorite recipe being displayed
+ *
+ * @see {@link https://github.com/anseki/readline-sync#utility_methods-keyinselect | readline-sync: keyInSelect}
+ */
+async function offerFavoriteChanges(recipe) {
+  const actions = ['Remove from favorites', 'Add to a collection', 'Add a tag', 'Write a note', 'Rate it'];
+  const index = readlineSync.keyInSelect(actions, 'This recipe is in your favorites. What would you like to do?', {
+    cancel: 'Nothing'
+  });
+
+  switch (index) {
+    case 0:
+      await favorites.removeFavorite(recipe.id);
+      console.log('Recipe removed from favorites. Undo from the favorites screen, or restore it from the trash.');
+      break;
+    case 1:
+      await updateFavorite('collect', recipe.id, readlineSync.question('Collection name: '));
+      break;
+    case 2:
+      await updateFavorite('tag', recipe.id, readlineSync.question('Tag: '));
+      break;
+    case 3:
+      await updateFavorite('note', recipe.id, readlineSync.question('Note (leave empty to remove it): '));
+      break;
+    case 4:
+      await updateFavorite('rate', recipe.id, readlineSync.question(`Rating (1-${favorites.MAX_RATING}, or none): `));
+      break;
+  }
+}
+
 /**
  * Search for recipes with caching
  * Demonstrates using cache before making API calls
  *
+ * @param {string} [query] - Search term; prompted for when omitted
+ * @returns {Promise<number>} - Exit code for command-line mode
+ *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Using_promises | MDN: Using promises}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/try...catch | MDN: try...catch}
  */
-async function searchRecipes() {
-  const query = readlineSync.question('Enter search term: ');
+async function searchRecipes(query) {
+  if (query === undefined) {
+    query = readlineSync.question('Enter search term: ');
+  }
 
   if (!query.trim()) {
     console.log('Search term cannot be empty');
-    return;
+    return EXIT_CODES.USAGE;
   }
 
-  console.log(`Searching for "${query}"...`);
+  progress(`Searching for "${query}"...`);
 
   try {
     const cacheKey = `search_${query.toLowerCase()}`;
-    const cachedResults = await cache.getCachedOrFetch(cacheKey, () => api.searchMealsByName(query));
+    const recipes = await getCached(cacheKey, () => api.searchMealsByName(query));
 
-    if (Array.isArray(cachedResults) && cachedResults.length === 0) {
-      console.log('No recipes found.');
-      return;
+    if (!Array.isArray(recipes) || recipes.length === 0) {
+      printRecipeList([]);
+      return EXIT_CODES.NOT_FOUND;
     }
 
-    console.log(utils.formatRecipeList(cachedResults));
-
-    const viewDetails = readlineSync.keyInYNStrict('Would you like to view details for a recipe?');
-
-    if (viewDetails) {
-      const index = readlineSync.questionInt(`Enter recipe number (1-${cachedResults.length}): `, {
-        limit: input => {
-          const num = parseInt(input);
-          return num >= 1 && num <= cachedResults.length;
-        },
-        limitMessage: `Please enter a number between 1 and ${cachedResults.length}`
-      });
-
-      await viewRecipeDetails(cachedResults[index - 1].idMeal);
+    printRecipeList(recipes);
+    if (interactive) {
+      prefetch.prefetchSearchResults(recipes);
     }
+    await offerRecipeDetails(recipes);
+    return EXIT_CODES.OK;
   } catch (error) {
-    console.error('Error searching recipes:', error.message);
+    return reportError('Error searching recipes', error);
   }
 }
 
@@ -78,216 +321,515 @@ async function searchRecipes() {
  * View recipe details with related recipes
  * Demonstrates Promise chaining
  *
- * @param {string} recipeId - ID of recipe to view
+ * @param {string} [recipeId] - ID of recipe to view; prompted for when omitted
+ * @returns {Promise<number>} - Exit code for command-line mode
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Using_promises | MDN: Using promises}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/then | MDN: Promise.then}
  */
 async function viewRecipeDetails(recipeId) {
-  if (!recipeId) {
+  if (recipeId === undefined) {
     recipeId = readlineSync.question('Enter recipe ID: ');
   }
 
   if (!recipeId.trim()) {
     console.log('Recipe ID cannot be empty');
-    return;
+    return EXIT_CODES.USAGE;
   }
 
-  console.log(`Fetching details for recipe ${recipeId}...`);
+  progress(`Fetching details for recipe ${recipeId}...`);
 
   try {
-    const cacheKey = `recipe_${recipeId}`;
-    const recipe = await cache.getCachedOrFetch(cacheKey, () => api.getRecipeById(recipeId));
-
-    if (!recipe) {
-      console.log('Recipe not found');
-      return;
-    }
-
-    console.log(utils.formatRecipe(recipe));
-
-    const isFavorite = await favorites.isFavorite(recipeId);
-
-    if (isFavorite) {
-      const removeFavorite = readlineSync.keyInYNStrict('Would you like to remove this recipe from favorites?');
-      if (removeFavorite) {
-        await favorites.removeFavorite(recipeId);
-        console.log('Recipe removed from favorites');
-      }
-    } else {
-      const addFavorite = readlineSync.keyInYNStrict('Would you like to add this recipe to favorites?');
-      if (addFavorite) {
-        await favorites.addFavorite(recipe);
-        console.log('Recipe added to favorites');
+    const recipe = await getCached(`recipe_${recipeId}`, () => api.getMealById(recipeId));
+
+    printRecipe(recipe);
+    await offerFavoriteToggle(recipe);
+
+    // Machine-readable output is the recipe alone, so skip the extra request
+    if (outputFormat === 'text') {
+      console.log('Related Recipes:');
+      try {
+        const related = await getCached(`related_${recipe.id}`, () => api.getRelatedRecipes(recipe));
+        console.log(utils.formatRecipeList(related));
+      } catch (error) {
+        console.log(`Related recipes unavailable: ${describeError(error)}`);
       }
     }
-
-    const relatedRecipes = await api.getRelatedRecipes(recipeId);
-    console.log('Related Recipes:');
-    console.log(utils.formatRecipeList(relatedRecipes));
-
+    return EXIT_CODES.OK;
   } catch (error) {
-    console.error('Error viewing recipe details:', error.message);
+    return reportError('Error viewing recipe details', error);
   }
 }
 
+/**
+ * Explore recipes by first letter
+ * Demonstrates using Promise.all
+ *
+ * @param {string} [letters] - Letters to search by; prompted for when omitted
+ * @returns {Promise<number>} - Exit code for command-line mode
+ */
+async function exploreByFirstLetter(letters) {
+  if (letters === undefined) {
+    letters = readlineSync.question('Enter letters or digits to search (e.g. abc): ');
+  }
 
+  // Get unique letters; the API layer's rate limiter paces the requests
+  const uniqueLetters = Array.from(new Set(letters.toLowerCase().replace(/[^a-z0-9]/g, ''))).sort();
 
+  if (uniqueLetters.length === 0) {
+    console.log('Please enter at least one letter or digit');
+    return EXIT_CODES.USAGE;
+  }
 
+  progress(`Searching for recipes starting with: ${uniqueLetters.join(', ')}...`);
 
-You said:
-remember keep the code simple dont do anything extra
+  try {
+    const recipes = await getCached(`letters_${uniqueLetters.join('')}`, () => api.searchMealsByFirstLetter(uniqueLetters));
 
+    if (!recipes || recipes.length === 0) {
+      printRecipeList([]);
+      return EXIT_CODES.NOT_FOUND;
+    }
 
-ChatGPT said:
-js
-Copy
-Edit
-async function viewRecipeDetails(recipeId) {
-  if (!recipeId) {
-    recipeId = readlineSync.question('Enter recipe ID: ');
+    printRecipeList(recipes);
+    await offerRecipeDetails(recipes);
+    return EXIT_CODES.OK;
+  } catch (error) {
+    return reportError('Error exploring recipes by first letter', error);
   }
+}
 
-  if (!recipeId.trim()) {
-    console.log('Recipe ID cannot be empty');
-    return;
+/**
+ * Search recipes by ingredient with timeout
+ * Slow requests are cancelled by the HTTP layer and reported as a TimeoutError
+ *
+ * @param {string} [ingredient] - Ingredient to search for; prompted for when omitted
+ * @returns {Promise<number>} - Exit code for command-line mode
+ */
+async function searchByIngredient(ingredient) {
+  if (ingredient === undefined) {
+    ingredient = readlineSync.question('Enter an ingredient: ');
   }
 
-  console.log(`Fetching details for recipe ${recipeId}...`);
+  if (!ingredient.trim()) {
+    console.log('Ingredient cannot be empty');
+    return EXIT_CODES.USAGE;
+  }
+
+  progress(`Searching for recipes with ${ingredient}...`);
 
   try {
-    const recipe = await cache.getCachedOrFetch(`recipe_${recipeId}`, () => api.getRecipeById(recipeId));
+    const recipes = await getCached(`ingredient_${ingredient.toLowerCase()}`, () => api.getMealsByIngredient(ingredient));
 
-    if (!recipe) {
-      console.log('Recipe not found');
-      return;
+    if (recipes.length === 0) {
+      printRecipeList([]);
+      return EXIT_CODES.NOT_FOUND;
     }
 
-    console.log(utils.formatRecipe(recipe));
+    printRecipeList(recipes);
+    await offerRecipeDetails(recipes);
+    return EXIT_CODES.OK;
   } catch (error) {
-    console.error('Error viewing recipe details:', error.message);
+    return reportError('Error searching by ingredient', error);
   }
 }
 
 /**
- * Explore recipes by first letter
- * Demonstrates using Promise.all
+ * Describe a recorded change to favorites, e.g. "remove Soup"
+ *
+ * @param {Object} change - Entry from favorites.getHistory
+ * @returns {string} - Short description
  */
-async function exploreByFirstLetter() {
-  const letters = readlineSync.question('Enter up to 3 letters to search (e.g. abc): ');
+function describeFavoritesChange({ action, recipes }) {
+  const subject = recipes.length === 1 ? recipes[0].name : `${recipes.length} favorites`;
+  return `${action} ${subject}`;
+}
 
-  if (!letters.trim()) {
-    console.log('Please enter at least one letter');
-    return;
+/**
+ * Ask which favorites to browse when there are collections, tags, a trash or an undo to choose from
+ * Undoing and opening the trash happen here, after which the favorites are shown as usual
+ *
+ * @returns {Promise<Object>} - Filter for favorites.findFavorites, empty for all favorites
+ *
+ * @see {@link https://github.com/anseki/readline-sync#utility_methods-keyinselect | readline-sync: keyInSelect}
+ */
+async function chooseFavoritesView() {
+  const [collections, tags, trash, history] = await Promise.all([
+    favorites.getCollections(),
+    favorites.getTags(),
+    favorites.getTrash(),
+    favorites.getHistory()
+  ]);
+
+  const views = [
+    { label: 'All favorites', filter: {} },
+    ...collections.map(({ name, count }) => ({ label: `Collection: ${name} (${count})`, filter: { collection: name } })),
+    ...tags.map(({ name, count }) => ({ label: `Tag: #${name} (${count})`, filter: { tag: name } }))
+  ];
+  if (history.length > 0) {
+    views.push({ label: `Undo: ${describeFavoritesChange(history[0])}`, run: undoFavoritesChange });
+  }
+  if (trash.length > 0) {
+    views.push({ label: `Trash (${trash.length})`, run: offerTrashRestore });
+  }
+  if (views.length === 1) {
+    return {};
   }
 
-  // Get unique letters (limit to 3 to avoid API abuse)
-  const uniqueLetters = Array.from(new Set(letters.toLowerCase())).slice(0, 3);
+  // keyInSelect can show at most 35 items; the undo and trash entries come last, so keep them
+  const shown = views.length > 35 ? [...views.slice(0, 35 - 2), ...views.slice(-2)] : views;
+  const index = readlineSync.keyInSelect(shown.map(view => view.label), 'Which favorites would you like to see?', {
+    cancel: false
+  });
 
-  console.log(`Searching for recipes starting with: ${uniqueLetters.join(', ')}...`);
+  if (shown[index].run) {
+    await shown[index].run();
+    return {};
+  }
+  return shown[index].filter;
+}
 
+/**
+ * View favorite recipes, optionally only those in a collection or with a tag
+ * In interactive mode the user picks a collection or tag to browse by
+ *
+ * @param {Object} [filter] - `collection` and/or `tag` to show
+ * @returns {Promise<number>} - Exit code for command-line mode
+ */
+async function viewFavorites(filter = {}) {
   try {
-    const recipes = await cache.getCachedOrFetch(`letters_${uniqueLetters.sort().join('')}`, () => api.searchMealsByFirstLetter(uniqueLetters.join(',')));
-
-    if (!recipes || recipes.length === 0) {
-      console.log('No recipes found');
-      return;
+    if (interactive) {
+      filter = await chooseFavoritesView();
     }
 
-    console.log(utils.formatRecipeList(recipes));
+    const entries = await favorites.findFavorites(filter);
 
-    const viewDetails = readlineSync.keyInYN('Would you like to view details for a recipe?');
+    if (filter.collection || filter.tag) {
+      const label = filter.collection ? `Collection: ${filter.collection}` : `Tag: #${filter.tag}`;
+      printFavoriteList(entries, label, `No favorites match ${label}`);
+      if (entries.length === 0) {
+        return EXIT_CODES.NOT_FOUND;
+      }
+    } else {
+      printFavoriteList(entries, 'Favorites', 'You have no favorite recipes');
+    }
 
-    if (viewDetails) {
-      const index = readlineSync.questionInt(`Enter recipe number (1-${recipes.length}): `, {
-        limit: input => {
-          const num = parseInt(input);
-          return num >= 1 && num <= recipes.length;
-        },
-        limitMessage: `Please enter a number between 1 and ${recipes.length}`
-      });
+    await offerRecipeDetails(entries.map(entry => entry.recipe));
+    return EXIT_CODES.OK;
+  } catch (error) {
+    return reportError('Error viewing favorites', error);
+  }
+}
 
-      await viewRecipeDetails(recipes[index - 1].idMeal);
+/**
+ * List the collections or tags in use with how many favorites each has
+ *
+ * @param {string} kind - 'collections' or 'tags'
+ * @returns {Promise<number>} - Exit code for command-line mode
+ */
+async function listFavoriteLabels(kind) {
+  const labels = kind === 'collections' ? await favorites.getCollections() : await favorites.getTags();
+
+  if (outputFormat === 'json') {
+    console.log(JSON.stringify(labels, null, 2));
+  } else if (outputFormat === 'ndjson') {
+    labels.forEach(label => console.log(JSON.stringify(label)));
+  } else if (labels.length === 0) {
+    console.log(`You have no ${kind} yet`);
+  } else {
+    for (const { name, count } of labels) {
+      console.log(`${kind === 'tags' ? '#' : ''}${name} (${count} ${count === 1 ? 'favorite' : 'favorites'})`);
     }
+  }
+  return EXIT_CODES.OK;
+}
+
+/**
+ * How each favorite update is made and described
+ * `describe` gets the value that was set and returns what happened to the recipe
+ */
+const FAVORITE_UPDATES = {
+  collect: {
+    update: (id, name) => favorites.addToCollection(id, name),
+    describe: name => `added to collection "${name.trim()}"`
+  },
+  uncollect: {
+    update: (id, name) => favorites.removeFromCollection(id, name),
+    describe: name => `removed from collection "${name.trim()}"`
+  },
+  tag: {
+    update: (id, tag) => favorites.tagFavorite(id, tag),
+    describe: tag => `tagged #${tag.trim().toLowerCase()}`
+  },
+  untag: {
+    update: (id, tag) => favorites.untagFavorite(id, tag),
+    describe: tag => `untagged #${tag.trim().toLowerCase()}`
+  },
+  note: {
+    update: (id, note) => favorites.setNote(id, note),
+    describe: note => (note.trim() ? 'note saved' : 'note removed')
+  },
+  rate: {
+    update: (id, rating) => favorites.setRating(id, rating),
+    describe: rating => (rating === null ? 'rating removed' : `rated ${rating}/${favorites.MAX_RATING}`)
+  }
+};
+
+/**
+ * Change a favorite's collections, tags, note or rating
+ *
+ * @param {string} action - One of the FAVORITE_UPDATES keys, matching the CLI subcommands
+ * @param {string} recipeId - ID of the favorite
+ * @param {string} value - Collection, tag or note; for `rate`, 1-5 or "none"
+ * @returns {Promise<number>} - Exit code for command-line mode
+ */
+async function updateFavorite(action, recipeId, value) {
+  if (!(await favorites.isInFavorites(recipeId))) {
+    notice(`Recipe ${recipeId} is not in favorites`);
+    return EXIT_CODES.NOT_FOUND;
+  }
+
+  const { update, describe } = FAVORITE_UPDATES[action];
+  const input = action === 'rate' ? (value.trim() === 'none' ? null : Number(value)) : value;
+
+  try {
+    const changed = await update(recipeId, input);
+    printResult(
+      changed ? `Recipe ${recipeId} ${describe(input)}` : `Recipe ${recipeId} was already ${describe(input)}`,
+      { id: recipeId, action, value: input, changed }
+    );
+    return EXIT_CODES.OK;
   } catch (error) {
-    console.error('Error exploring recipes by first letter:', error.message);
+    if (error instanceof RangeError) {
+      console.error(error.message);
+      return EXIT_CODES.USAGE;
+    }
+    return reportError('Error updating favorite', error);
   }
 }
 
 /**
- * Search recipes by ingredient with timeout
- * Demonstrates using Promise.race for timeout
+ * Add a recipe to favorites by ID
+ *
+ * @param {string} recipeId - ID of recipe to add
+ * @returns {Promise<number>} - Exit code for command-line mode
  */
-async function searchByIngredient() {
-  const ingredient = readlineSync.question('Enter an ingredient: ');
+async function addFavoriteById(recipeId) {
+  try {
+    const recipe = await getCached(`recipe_${recipeId}`, () => api.getMealById(recipeId));
+
+    const added = await favorites.addFavorite(recipe);
+    printResult(
+      added ? `Added "${recipe.name}" to favorites` : `"${recipe.name}" is already in favorites`,
+      { id: recipe.id, favorite: true, changed: added }
+    );
+    return EXIT_CODES.OK;
+  } catch (error) {
+    return reportError('Error adding favorite', error);
+  }
+}
 
-  if (!ingredient.trim()) {
-    console.log('Ingredient cannot be empty');
-    return;
+/**
+ * Remove a recipe from favorites by ID
+ *
+ * @param {string} recipeId - ID of recipe to remove
+ * @returns {Promise<number>} - Exit code for command-line mode
+ */
+async function removeFavoriteById(recipeId) {
+  if (await favorites.removeFavorite(recipeId)) {
+    printResult(`Removed recipe ${recipeId} from favorites and moved it to the trash`, { id: recipeId, favorite: false, changed: true });
+    return EXIT_CODES.OK;
   }
 
-  console.log(`Searching for recipes with ${ingredient}...`);
+  notice(`Recipe ${recipeId} is not in favorites`);
+  return EXIT_CODES.NOT_FOUND;
+}
 
+/**
+ * Export favorites with what the user added to them
+ * Prints to stdout unless a file is given
+ *
+ * @param {string} [file] - File to write
+ * @returns {Promise<number>} - Exit code for command-line mode
+ */
+async function exportFavorites(file) {
   try {
-    const recipes = await cache.getCachedOrFetch(`ingredient_${ingredient.toLowerCase()}`, () => api.getMealsByIngredient(ingredient));
+    const entries = await favorites.findFavorites();
+    const contents = favoritesIo.exportFavorites(entries, outputFormat);
 
-    if (typeof recipes === 'string') {
-      console.log(recipes); // Display error message
-      return;
+    if (!file) {
+      console.log(contents);
+      return EXIT_CODES.OK;
     }
 
-    console.log(utils.formatRecipeList(recipes));
+    await writeFileAtomic(file, `${contents}\n`);
+    notice(`Exported ${entries.length} favorites to ${file}`);
+    return EXIT_CODES.OK;
+  } catch (error) {
+    return reportError('Error exporting favorites', error);
+  }
+}
 
-    const viewDetails = readlineSync.keyInYN('Would you like to view details for a recipe?');
+/**
+ * Import favorites from an exported JSON or CSV file
+ * Invalid records are reported and left out; the rest are still imported
+ *
+ * @param {string} file - File to read
+ * @param {string} strategy - What to do with recipes that are already favorites, one of favorites.MERGE_STRATEGIES
+ * @returns {Promise<number>} - Exit code for command-line mode; ERROR if any record was invalid
+ */
+async function importFavorites(file, strategy) {
+  try {
+    const { favorites: records, invalid } = await favoritesIo.readFavoritesFile(file);
+    for (const { record, reason } of invalid) {
+      console.error(`Skipped record ${record}: ${reason}`);
+    }
 
-    if (viewDetails) {
-      const index = readlineSync.questionInt(`Enter recipe number (1-${recipes.length}): `, {
-        limit: input => {
-          const num = parseInt(input);
-          return num >= 1 && num <= recipes.length;
-        },
-        limitMessage: `Please enter a number between 1 and ${recipes.length}`
-      });
+    const result = await favorites.importFavorites(records, { strategy });
+    printResult(
+      `Imported ${records.length} favorites from ${file}: ${result.added} added, ${result.overwritten} overwritten, `
+        + `${result.copied} kept as copies, ${result.skipped} skipped, ${invalid.length} invalid`,
+      { file, strategy, ...result, invalid: invalid.length }
+    );
+    return invalid.length > 0 ? EXIT_CODES.ERROR : EXIT_CODES.OK;
+  } catch (error) {
+    return reportError('Error importing favorites', error);
+  }
+}
 
-      await viewRecipeDetails(recipes[index - 1].idMeal);
+/**
+ * Update favorites from the recipe service and report ones that no longer exist
+ *
+ * @returns {Promise<number>} - Exit code for command-line mode; UNAVAILABLE if no favorite could be checked
+ */
+async function refreshFavorites() {
+  progress('Refreshing favorites...');
+
+  try {
+    const result = await refreshFavoriteRecipes({
+      onProgress: ({ done, total }) => {
+        if (done === total) {
+          progress(`Checked ${total} favorites`);
+        }
+      }
+    });
+
+    const lines = [
+      `Refreshed ${result.checked} favorites: ${result.updated} updated, ${result.upgraded} filled in with full details, `
+        + `${result.unchanged} unchanged, ${result.missing} no longer available, ${result.failed} could not be checked`
+    ];
+    for (const { id, name } of result.missingRecipes) {
+      lines.push(`No longer available: ${name} (ID: ${id})`);
     }
+    printResult(lines.join('\n'), result);
+
+    return result.checked > 0 && result.failed === result.checked ? EXIT_CODES.UNAVAILABLE : EXIT_CODES.OK;
   } catch (error) {
-    console.error('Error searching by ingredient:', error.message);
+    return reportError('Error refreshing favorites', error);
+  }
+}
+
+/**
+ * Show recent changes to favorites that can be undone
+ *
+ * @returns {Promise<number>} - Exit code for command-line mode
+ */
+async function showFavoritesHistory() {
+  const history = await favorites.getHistory();
+
+  if (outputFormat === 'json') {
+    console.log(JSON.stringify(history, null, 2));
+  } else if (outputFormat === 'ndjson') {
+    history.forEach(change => console.log(JSON.stringify(change)));
+  } else if (history.length === 0) {
+    console.log('There are no changes to undo');
+  } else {
+    for (const change of history) {
+      console.log(`${new Date(change.at).toISOString()}  ${describeFavoritesChange(change)}`);
+    }
   }
+  return EXIT_CODES.OK;
 }
 
 /**
- * View favorite recipes
+ * Undo the most recent change to favorites
+ *
+ * @returns {Promise<number>} - Exit code for command-line mode; NOT_FOUND if there was nothing to undo
  */
-async function viewFavorites() {
+async function undoFavoritesChange() {
   try {
-    // Get favorites
-    const favoriteRecipes = await favorites.getFavorites();
-
-    if (favoriteRecipes.length === 0) {
-      console.log('You have no favorite recipes');
-      return;
+    const undone = await favorites.undoLastChange();
+    if (!undone) {
+      notice('There are no changes to undo');
+      return EXIT_CODES.NOT_FOUND;
     }
 
-    console.log(utils.formatRecipeList(favoriteRecipes));
+    printResult(`Undid: ${describeFavoritesChange(undone)}`, { undone });
+    return EXIT_CODES.OK;
+  } catch (error) {
+    return reportError('Error undoing the last change', error);
+  }
+}
 
-    // Allow viewing details
-    const viewDetails = readlineSync.keyInYN('Would you like to view details for a recipe?');
+/**
+ * List favorites in the trash
+ *
+ * @returns {Promise<number>} - Exit code for command-line mode
+ */
+async function showTrash() {
+  const trash = await favorites.getTrash();
+  const records = trash.map(({ removedAt, ...favorite }) => ({
+    ...utils.toFavoriteRecord(favorite),
+    removedAt: new Date(removedAt).toISOString()
+  }));
+
+  if (outputFormat === 'json') {
+    console.log(JSON.stringify(records, null, 2));
+  } else if (outputFormat === 'ndjson') {
+    records.forEach(record => console.log(JSON.stringify(record)));
+  } else if (trash.length === 0) {
+    console.log('The trash is empty');
+  } else {
+    trash.forEach(({ recipe, removedAt }, index) => {
+      console.log(`${index + 1}. ${recipe.name} (ID: ${recipe.id}), removed ${utils.formatDuration(Date.now() - removedAt)} ago`);
+    });
+  }
+  return EXIT_CODES.OK;
+}
 
-    if (viewDetails) {
-      const index = readlineSync.questionInt(`Enter recipe number (1-${favoriteRecipes.length}): `, {
-        limit: input => {
-          const num = parseInt(input);
-          return num >= 1 && num <= favoriteRecipes.length;
-        },
-        limitMessage: `Please enter a number between 1 and ${favoriteRecipes.length}`
-      });
+/**
+ * Offer to restore a favorite from the trash in interactive mode
+ */
+async function offerTrashRestore() {
+  const trash = await favorites.getTrash();
+  const labels = trash.slice(0, 35).map(({ recipe, removedAt }) =>
+    `${recipe.name} (removed ${utils.formatDuration(Date.now() - removedAt)} ago)`);
+
+  const index = readlineSync.keyInSelect(labels, 'Which recipe would you like to restore?', { cancel: 'None' });
+  if (index !== -1) {
+    await restoreFavorite(trash[index].recipe.id);
+  }
+}
 
-      // View the selected recipe
-      await viewRecipeDetails(favoriteRecipes[index - 1].idMeal);
+/**
+ * Bring a favorite back from the trash
+ *
+ * @param {string} recipeId - ID of the removed favorite
+ * @returns {Promise<number>} - Exit code for command-line mode; NOT_FOUND if it is not in the trash
+ */
+async function restoreFavorite(recipeId) {
+  try {
+    if (await favorites.restoreFavorite(recipeId)) {
+      printResult(`Restored recipe ${recipeId} to favorites`, { id: recipeId, favorite: true, changed: true });
+      return EXIT_CODES.OK;
     }
+
+    notice(await favorites.isInFavorites(recipeId)
+      ? `Recipe ${recipeId} is already in favorites`
+      : `Recipe ${recipeId} is not in the trash`);
+    return EXIT_CODES.NOT_FOUND;
   } catch (error) {
-    console.error('Error viewing favorites:', error.message);
+    return reportError('Error restoring favorite', error);
   }
 }
 
@@ -295,41 +837,338 @@ async function viewFavorites() {
  * Discover random recipes
  * Demonstrates Promise.race to get the first of several random recipes
  *
+ * @returns {Promise<number>} - Exit code for command-line mode
+ *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/race | MDN: Promise.race}
  */
 async function discoverRandom() {
-  console.log('Fetching random recipes...');
+  progress('Fetching random recipes...');
 
   try {
-    const randomRecipes = await Promise.race([
+    const randomRecipe = await Promise.race([
       api.getRandomMeal(),
       api.getRandomMeal(),
       api.getRandomMeal()
     ]);
 
-    if (!randomRecipes) {
-      console.log('No random recipe found.');
-      return;
+    printRecipe(randomRecipe);
+    await offerFavoriteToggle(randomRecipe);
+    return EXIT_CODES.OK;
+  } catch (error) {
+    return reportError('Error discovering random recipes', error);
+  }
+}
+
+/**
+ * Remove all cached API responses
+ *
+ * @returns {Promise<number>} - Exit code for command-line mode
+ */
+async function clearCache() {
+  if (await cache.clearCache()) {
+    printResult('Cache cleared', { cleared: true });
+    return EXIT_CODES.OK;
+  }
+
+  console.error('Failed to clear cache');
+  return EXIT_CODES.ERROR;
+}
+
+/**
+ * Show what the cache holds and how often it answered lookups
+ *
+ * @returns {Promise<number>} - Exit code for command-line mode
+ */
+async function showCacheStats() {
+  try {
+    const stats = await cache.getCacheStats();
+    const age = timestamp => (timestamp === null ? 'none' : `${utils.formatDuration(Date.now() - timestamp)} old`);
+    const ratio = stats.hitRatio === null ? 'no lookups yet' : `${Math.round(stats.hitRatio * 100)}% hit ratio`;
+
+    printResult([
+      `Backend: ${stats.backend}`,
+      `Entries: ${stats.entries} (${stats.fresh} fresh, ${stats.stale} stale, ${stats.expired} expired)`,
+      `Size: ${utils.formatBytes(stats.bytes)}`,
+      `Oldest entry: ${age(stats.oldest)}`,
+      `Newest entry: ${age(stats.newest)}`,
+      `Lookups: ${stats.hits} hits, ${stats.misses} misses (${ratio})`
+    ].join('\n'), stats);
+    return EXIT_CODES.OK;
+  } catch (error) {
+    return reportError('Error reading cache stats', error);
+  }
+}
+
+/**
+ * List cached entries, optionally only keys starting with a prefix
+ *
+ * @param {string} prefix - Key prefix to filter by
+ * @returns {Promise<number>} - Exit code for command-line mode
+ */
+async function listCache(prefix = '') {
+  try {
+    const entries = await cache.listCacheEntries(prefix);
+
+    if (outputFormat === 'json') {
+      console.log(JSON.stringify(entries, null, 2));
+    } else if (outputFormat === 'ndjson') {
+      entries.forEach(entry => console.log(JSON.stringify(entry)));
+    } else if (entries.length === 0) {
+      console.log(prefix ? `No cached entries start with "${prefix}"` : 'The cache is empty');
+    } else {
+      const width = Math.max(...entries.map(entry => entry.key.length));
+      for (const entry of entries) {
+        const age = utils.formatDuration(entry.ageMs);
+        console.log(`${entry.key.padEnd(width)}  ${entry.status.padEnd(7)}  ${age} old, ${utils.formatBytes(entry.bytes)}`);
+      }
+    }
+    return EXIT_CODES.OK;
+  } catch (error) {
+    return reportError('Error listing the cache', error);
+  }
+}
+
+/**
+ * Show one cached entry and its data
+ *
+ * @param {string} key - Cache key
+ * @returns {Promise<number>} - Exit code for command-line mode
+ */
+async function showCacheEntry(key) {
+  const entry = await cache.getCacheEntry(key);
+  if (!entry) {
+    notice(`"${key}" is not cached`);
+    return EXIT_CODES.NOT_FOUND;
+  }
+
+  printResult([
+    `Key: ${entry.key}`,
+    `Status: ${entry.status}`,
+    `Saved: ${new Date(entry.savedAt).toISOString()} (${utils.formatDuration(entry.ageMs)} ago)`,
+    `Time to live: ${utils.formatDuration(entry.ttlMs)}`,
+    `Size: ${utils.formatBytes(entry.bytes)}`,
+    '',
+    JSON.stringify(entry.data, null, 2)
+  ].join('\n'), entry);
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Remove a cached entry, or every entry matching a `*` pattern
+ *
+ * @param {string} pattern - Key or pattern such as `search_*`
+ * @returns {Promise<number>} - Exit code for command-line mode
+ */
+async function deleteCacheEntries(pattern) {
+  try {
+    const removed = await cache.deleteCacheEntries(pattern);
+    if (removed === 0) {
+      notice(`No cached entries match "${pattern}"`);
+      return EXIT_CODES.NOT_FOUND;
     }
 
-    console.log(utils.formatRecipe(randomRecipes));
+    printResult(`Removed ${removed} cache ${removed === 1 ? 'entry' : 'entries'}`, { pattern, removed });
+    return EXIT_CODES.OK;
+  } catch (error) {
+    return reportError('Error deleting cache entries', error);
+  }
+}
+
+/**
+ * Remove entries that are too old to be used even as a stale fallback
+ *
+ * @returns {Promise<number>} - Exit code for command-line mode
+ */
+async function pruneCache() {
+  const removed = await cache.clearExpiredCache();
+  printResult(`Removed ${removed} expired cache ${removed === 1 ? 'entry' : 'entries'}`, { removed });
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Fetch favorites and the top results of cached searches into the cache
+ * Useful before going offline
+ *
+ * @returns {Promise<number>} - Exit code for command-line mode
+ */
+async function warmCache() {
+  progress('Warming the cache...');
+
+  try {
+    const result = await prefetch.warmCache();
+    printResult(
+      `Warmed ${result.recipes} recipes: ${result.fetched} entries fetched, ${result.cached} already cached, ${result.failed} failed`,
+      result
+    );
+    return result.failed > 0 && result.fetched === 0 && result.cached === 0 ? EXIT_CODES.UNAVAILABLE : EXIT_CODES.OK;
+  } catch (error) {
+    return reportError('Error warming the cache', error);
+  }
+}
+
+/**
+ * Download the whole catalog into the local index
+ * Later searches are answered from the index while it is fresh
+ *
+ * @returns {Promise<number>} - Exit code for command-line mode
+ */
+async function syncRecipes() {
+  progress('Downloading the recipe catalog...');
 
-    const isFavorite = await favorites.isFavorite(randomRecipes.idMeal);
-    if (isFavorite) {
-      const removeFromFavorites = readlineSync.keyInYNStrict('This recipe is in your favorites. Would you like to remove it?');
-      if (removeFromFavorites) {
-        await favorites.removeFromFavorites(randomRecipes.idMeal);
-        console.log('Recipe removed from favorites.');
+  try {
+    const catalog = await syncCatalog({
+      onProgress: ({ stage, done, total }) => {
+        if (done === total) {
+          progress(stage === 'letters' ? `Searched ${total} letters` : `Fetched details for ${total} recipes`);
+        }
       }
+    });
+
+    printResult(`Synced ${catalog.recipes.length} recipes into the local index`, {
+      synced: true,
+      recipes: catalog.recipes.length,
+      syncedAt: new Date(catalog.syncedAt).toISOString()
+    });
+    return EXIT_CODES.OK;
+  } catch (error) {
+    return reportError('Error syncing the recipe catalog', error);
+  }
+}
+
+/**
+ * Copy the JSON data files into the SQLite database
+ *
+ * @returns {Promise<number>} - Exit code for command-line mode
+ */
+async function importStorage() {
+  try {
+    const result = await importToSqlite({
+      onProgress: ({ stage, name }) => progress(stage === 'cache' ? 'Copying the cache...' : `Copying profile "${name}"...`)
+    });
+
+    const favoriteCount = result.profiles.reduce((total, profile) => total + profile.favorites, 0);
+    let message = `Copied ${favoriteCount} favorites from ${result.profiles.length} profile(s) `
+      + `and ${result.cacheEntries} cache entries into ${result.database}`;
+    if (getConfig().storage.engine !== 'sqlite') {
+      message += '\nSet "storage": { "engine": "sqlite" } in data/settings.json to start using it';
+    }
+    printResult(message, { imported: true, ...result });
+    return EXIT_CODES.OK;
+  } catch (error) {
+    return reportError('Error copying data into SQLite', error);
+  }
+}
+
+// What `data status` says about each file, by status
+const DATA_STATUS_TEXT = {
+  missing: () => 'not created yet',
+  current: ({ version }) => `version ${version}, up to date`,
+  outdated: ({ version, current }) => `version ${version}, upgrade to ${current} with \`data migrate\``,
+  newer: ({ version, current }) => `version ${version}, written by a newer release (this one reads up to ${current})`,
+  unreadable: ({ reason }) => `unreadable: ${reason}`
+};
+
+/**
+ * Show the schema version of each data file
+ *
+ * @returns {Promise<number>} - Exit code for command-line mode
+ */
+async function showDataStatus() {
+  try {
+    const statuses = await getDataStatus();
+
+    if (outputFormat === 'json') {
+      console.log(JSON.stringify(statuses, null, 2));
+    } else if (outputFormat === 'ndjson') {
+      statuses.forEach(status => console.log(JSON.stringify(status)));
     } else {
-      const addToFavorites = readlineSync.keyInYNStrict('Would you like to add this recipe to favorites?');
-      if (addToFavorites) {
-        await favorites.addToFavorites(randomRecipes);
-        console.log('Recipe added to favorites.');
-      }
+      const names = statuses.map(({ file }) => path.relative(process.cwd(), file));
+      const width = Math.max(...names.map(name => name.length));
+      statuses.forEach((status, i) => console.log(`${names[i].padEnd(width)}  ${DATA_STATUS_TEXT[status.status](status)}`));
     }
+    return EXIT_CODES.OK;
   } catch (error) {
-    console.error('Error discovering random recipes:', error.message);
+    return reportError('Error checking data files', error);
+  }
+}
+
+/**
+ * Upgrade old data files to the current schema versions, keeping a backup of each
+ * Files that cannot be upgraded are reported and left alone
+ *
+ * @returns {Promise<number>} - Exit code for command-line mode
+ */
+async function migrateData() {
+  try {
+    const result = await migrateDataFiles();
+
+    const lines = result.migrated.map(({ file, version, current, backup }) =>
+      `Upgraded ${path.relative(process.cwd(), file)} from version ${version} to ${current} (backup: ${path.relative(process.cwd(), backup)})`);
+    printResult(lines.length > 0 ? lines.join('\n') : 'All data files are up to date', result);
+
+    result.problems.forEach(problem =>
+      console.error(`Skipped ${path.relative(process.cwd(), problem.file)}: ${DATA_STATUS_TEXT[problem.status](problem)}`));
+    return result.problems.length > 0 ? EXIT_CODES.ERROR : EXIT_CODES.OK;
+  } catch (error) {
+    return reportError('Error upgrading data files', error);
+  }
+}
+
+/**
+ * List the profiles, marking the current one
+ *
+ * @returns {Promise<number>} - Exit code for command-line mode
+ */
+async function showProfiles() {
+  const current = getProfile();
+  const profiles = listProfiles().map(name => ({ name, current: name === current }));
+  // A profile chosen with --profile only gets a directory once something is saved to it
+  if (!profiles.some(profile => profile.current)) {
+    profiles.push({ name: current, current: true });
+  }
+
+  if (outputFormat === 'json') {
+    console.log(JSON.stringify(profiles, null, 2));
+  } else if (outputFormat === 'ndjson') {
+    profiles.forEach(profile => console.log(JSON.stringify(profile)));
+  } else {
+    profiles.forEach(profile => console.log(`${profile.current ? '*' : ' '} ${profile.name}`));
+  }
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Switch to another profile, or create one, in interactive mode
+ * The recipe cache stays the same; favorites and settings become the chosen profile's
+ *
+ * @see {@link https://github.com/anseki/readline-sync#utility_methods-keyinselect | readline-sync: keyInSelect}
+ */
+async function switchProfile() {
+  const current = getProfile();
+  const profiles = listProfiles().slice(0, 34);
+  const labels = [...profiles.map(name => (name === current ? `${name} (current)` : name)), 'New profile'];
+
+  const index = readlineSync.keyInSelect(labels, 'Which profile would you like to use?', { cancel: 'Back' });
+  if (index === -1) {
+    return;
+  }
+
+  let name = profiles[index];
+  if (index === profiles.length) {
+    name = readlineSync.question('Profile name (letters, digits, - and _): ').trim();
+  }
+  if (!name || name === current) {
+    return;
+  }
+
+  try {
+    setProfile(name);
+    await favorites.initializeFavorites();
+    console.log(`Switched to profile "${name}"`);
+    prefetch.prefetchFavorites();
+  } catch (error) {
+    console.error(`Error switching profile: ${error.message}`);
+    setProfile(current);
   }
 }
 
@@ -337,6 +1176,8 @@ async function discoverRandom() {
  * Display the main menu and handle user input
  */
 async function showMainMenu() {
+  await stopPrefetches();
+
   console.log('\n===== RECIPE EXPLORER =====');
   console.log('1. Search recipes');
   console.log('2. View recipe details by ID');
@@ -344,11 +1185,13 @@ async function showMainMenu() {
   console.log('4. Search by ingredient');
   console.log('5. View favorites');
   console.log('6. Discover random recipe');
-  console.log('7. Exit');
+  console.log('7. Sync recipe catalog for offline use');
+  console.log(`8. Switch profile (current: ${getProfile()})`);
+  console.log('9. Exit');
 
-  const choice = readlineSync.questionInt('Enter your choice (1-7): ', {
-    limit: [1, 2, 3, 4, 5, 6, 7],
-    limitMessage: 'Please enter a number between 1 and 7'
+  const choice = readlineSync.questionInt('Enter your choice (1-9): ', {
+    limit: [1, 2, 3, 4, 5, 6, 7, 8, 9],
+    limitMessage: 'Please enter a number between 1 and 9'
   });
 
   switch (choice) {
@@ -371,48 +1214,207 @@ async function showMainMenu() {
       await discoverRandom();
       break;
     case 7:
+      await syncRecipes();
+      break;
+    case 8:
+      await switchProfile();
+      break;
+    case 9:
+      // Exiting mid-write would leave a lock file behind
+      await prefetch.cancelPrefetches();
+      await cache.saveCacheStats();
       console.log('Thank you for using Recipe Explorer!');
       process.exit(0);
       break;
   }
 
+  await cache.saveCacheStats();
+
   // Return to main menu after function completes
   return showMainMenu();
 }
 
 /**
- * Main application entry point
+ * Run a single parsed command without prompting
  *
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/async_function | MDN: async function}
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/catch | MDN: Promise.catch}
+ * @param {Object} parsed - Result of cli.parseArgs
+ * @returns {Promise<number>} - Exit code
+ */
+async function runCommand({ command, subcommand, args, options }) {
+  switch (command) {
+    case 'search':
+      return searchRecipes(args.join(' '));
+    case 'show':
+      return viewRecipeDetails(args[0]);
+    case 'letters':
+      return exploreByFirstLetter(args[0]);
+    case 'ingredient':
+      return searchByIngredient(args.join(' '));
+    case 'favorites':
+      if (subcommand === 'add') return addFavoriteById(args[0]);
+      if (subcommand === 'remove') return removeFavoriteById(args[0]);
+      if (subcommand === 'collections') {
+        return args[0] ? viewFavorites({ collection: args[0] }) : listFavoriteLabels('collections');
+      }
+      if (subcommand === 'tags') return args[0] ? viewFavorites({ tag: args[0] }) : listFavoriteLabels('tags');
+      if (subcommand === 'note') return updateFavorite('note', args[0], args.slice(1).join(' '));
+      if (subcommand === 'export') return exportFavorites(args[0]);
+      if (subcommand === 'import') return importFavorites(args[0], options.merge);
+      if (subcommand === 'refresh') return refreshFavorites();
+      if (subcommand === 'history') return showFavoritesHistory();
+      if (subcommand === 'undo') return undoFavoritesChange();
+      if (subcommand === 'trash') return showTrash();
+      if (subcommand === 'restore') return restoreFavorite(args[0]);
+      if (subcommand in FAVORITE_UPDATES) return updateFavorite(subcommand, args[0], args[1]);
+      return viewFavorites();
+    case 'random':
+      return discoverRandom();
+    case 'cache':
+      if (subcommand === 'stats') return showCacheStats();
+      if (subcommand === 'list') return listCache(args[0]);
+      if (subcommand === 'show') return showCacheEntry(args[0]);
+      if (subcommand === 'delete') return deleteCacheEntries(args[0]);
+      if (subcommand === 'prune') return pruneCache();
+      if (subcommand === 'warm') return warmCache();
+      return clearCache();
+    case 'sync':
+      return syncRecipes();
+    case 'storage':
+      return importStorage();
+    case 'data':
+      return subcommand === 'migrate' ? migrateData() : showDataStatus();
+    case 'profiles':
+      return showProfiles();
+    default:
+      throw new UsageError(`Unknown command "${command}"`);
+  }
+}
+
+/**
+ * Run Recipe Explorer with command-line arguments
+ * Prints help or usage errors and returns the process exit code
+ *
+ * @param {Array<string>} argv - Arguments without the node binary and script path
+ * @returns {Promise<number>} - Exit code
+ */
+async function runCli(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(`Error: ${error.message}\n`);
+    console.error(getUsage(error.command));
+    return EXIT_CODES.USAGE;
+  }
+
+  if (parsed.options.profile) {
+    setProfile(parsed.options.profile);
+  }
+
+  if (parsed.options.help) {
+    console.log(getUsage(parsed.command));
+    return EXIT_CODES.OK;
+  }
+
+  // Options without a command, e.g. --profile, start the menu with them applied
+  if (!parsed.command) {
+    await startMenu();
+    return EXIT_CODES.OK;
+  }
+
+  interactive = false;
+  outputFormat = parsed.options.format;
+
+  // Cache commands should see expired entries rather than have them pruned first,
+  // and data commands should see the files as they are rather than create them
+  if (parsed.command !== 'data' && !(await initialize({ prune: parsed.command !== 'cache' }))) {
+    return EXIT_CODES.ERROR;
+  }
+
+  try {
+    return await metrics.time(`command.${parsed.command}`, () => runCommand(parsed));
+  } finally {
+    await cache.saveCacheStats();
+    if (parsed.options.timings) {
+      console.error(metrics.formatMetrics());
+    }
+  }
+}
+
+/**
+ * Initialize and show the interactive menu
  */
-async function main() {
+async function startMenu() {
   console.log('Initializing Recipe Explorer...');
 
   const success = await initialize();
   if (!success) {
     console.error('Initialization failed. Exiting...');
-    process.exit(1);
+    process.exit(EXIT_CODES.ERROR);
   }
 
   console.log('Welcome to Recipe Explorer!');
+  prefetch.prefetchFavorites();
   await showMainMenu();
 }
 
+/**
+ * Main application entry point
+ * Starts the interactive menu, or runs a single command when arguments are given
+ *
+ * @param {Array<string>} argv - Arguments without the node binary and script path
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/async_function | MDN: async function}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/catch | MDN: Promise.catch}
+ */
+async function main(argv = process.argv.slice(2)) {
+  if (argv.length > 0) {
+    process.exitCode = await runCli(argv);
+    return;
+  }
+
+  await startMenu();
+}
+
 // Check if this file is being run directly
 if (import.meta.url === `file://${process.argv[1]}`) {
   main().catch(error => {
     console.error('Fatal error:', error);
-    process.exit(1);
+    process.exit(EXIT_CODES.ERROR);
   });
 }
 
 export default {
   main,
+  runCli,
   searchRecipes,
   viewRecipeDetails,
   exploreByFirstLetter,
   searchByIngredient,
   viewFavorites,
-  discoverRandom
-};
\ No newline at end of file
+  listFavoriteLabels,
+  updateFavorite,
+  addFavoriteById,
+  removeFavoriteById,
+  exportFavorites,
+  importFavorites,
+  refreshFavorites,
+  showFavoritesHistory,
+  undoFavoritesChange,
+  showTrash,
+  restoreFavorite,
+  discoverRandom,
+  clearCache,
+  showCacheStats,
+  listCache,
+  showCacheEntry,
+  deleteCacheEntries,
+  pruneCache,
+  warmCache,
+  syncRecipes,
+  importStorage,
+  showDataStatus,
+  migrateData,
+  showProfiles
+};
@@ -2,37 +2,263 @@
 /**
  * This module provides caching functionality to store API responses locally
  * to reduce API calls and improve performance
+ *
+ * Entries are kept by a storage backend chosen in the `cache` settings:
+ * `file` (data/cache.json), `memory` (LRU, lost on exit) or `tiered` (memory over file).
+ * With the sqlite storage engine, `file` and `tiered` keep entries in the database instead.
+ *
+ * How long an entry stays fresh is decided when it is saved: an explicit `ttlMs`,
+ * else the most specific matching pattern in `cache.policies`, else `cache.ttlMs`.
+ * Expired entries are kept for a while longer so getCachedOrFetch can serve them
+ * stale while revalidating, or when fetching fails (see `staleWhileRevalidateMs`
+ * and `staleIfErrorMs`).
+ *
+ * Lookups are counted as hits or misses; saveCacheStats() adds the counts to
+ * `cache.statsFile` so getCacheStats() can report a hit ratio across runs.
+ * The same lookups, fetch latency and bytes are recorded in metrics.js for this run.
+ */
+
+import { reviveRecipes } from './recipe.js';
+import { getConfig } from './config.js';
+import { createCacheBackend } from './cache/index.js';
+import { NotFoundError } from './errors.js';
+import { readJsonFile, writeFileAtomic, withFileLock, serializeJson } from './storage.js';
+import * as metrics from './metrics.js';
+
+let currentBackend = null;
+
+// Where each value returned by getCachedOrFetch came from
+const cacheInfo = new WeakMap();
+
+// Background refreshes started by stale-while-revalidate
+const pendingRevalidations = new Set();
+
+// Fetches in progress by key, shared by concurrent getCachedOrFetch calls
+const inFlight = new Map();
+
+// Lookups counted since the stats were last saved
+const unsavedCounts = { hits: 0, misses: 0 };
+
+/**
+ * Get the active cache backend, creating it from the settings on first use
+ *
+ * @returns {Object} - Cache backend
+ */
+export function getCacheBackend() {
+  if (!currentBackend) {
+    const { cache: settings, storage } = getConfig();
+    currentBackend = createCacheBackend(settings, storage);
+  }
+  return currentBackend;
+}
+
+/**
+ * Replace the active cache backend
+ * Passing null makes the next getCacheBackend() create one from the settings again
+ *
+ * @param {Object|null} backend - Backend to use
+ */
+export function setCacheBackend(backend) {
+  currentBackend = backend;
+}
+
+/**
+ * Check whether a key matches a policy pattern, where `*` matches any characters
+ *
+ * @param {string} pattern - Pattern such as `recipe_*`
+ * @param {string} key - Cache key
+ * @returns {boolean} - True if the pattern covers the key
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Regular_expressions#escaping | MDN: Escaping in regular expressions}
+ */
+function matchesPattern(pattern, key) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`).test(key);
+}
+
+/**
+ * Get the caching policy for a key
+ * When several patterns match, the one with the most literal characters wins,
+ * so `recipe_52772` beats `recipe_*`, which beats `*`
+ *
+ * @param {string} key - Cache key
+ * @param {Object} settings - `cache` settings (default: current settings)
+ * @returns {Object} - Policy with `ttlMs`, `staleWhileRevalidateMs` and `staleIfErrorMs`;
+ *   a ttlMs of 0 means "don't cache"
+ */
+export function getCachePolicy(key, settings = getConfig().cache) {
+  const policies = settings.policies || {};
+  const [pattern] = Object.keys(policies)
+    .filter(candidate => matchesPattern(candidate, key))
+    .sort((a, b) => b.replace(/\*/g, '').length - a.replace(/\*/g, '').length);
+
+  return {
+    ttlMs: settings.ttlMs,
+    staleWhileRevalidateMs: settings.staleWhileRevalidateMs ?? 0,
+    staleIfErrorMs: settings.staleIfErrorMs ?? 0,
+    ...(pattern ? policies[pattern] : {})
+  };
+}
+
+/**
+ * Check whether a cache entry is too old to use
+ * Entries saved before per-entry TTLs existed use their key's current policy
+ *
+ * @param {Object} entry - Cache entry with a timestamp and optional ttlMs
+ * @param {string} key - Cache key
+ * @returns {boolean} - True if the entry has expired
+ */
+function isExpired(entry, key) {
+  const ttlMs = entry.ttlMs ?? getCachePolicy(key).ttlMs;
+  return Date.now() - entry.timestamp >= ttlMs;
+}
+
+/**
+ * Get how long an entry has been expired
+ *
+ * @param {Object} entry - Cache entry
+ * @param {string} key - Cache key
+ * @returns {number} - Milliseconds since the entry expired, negative while it is fresh
+ */
+function getStaleness(entry, key) {
+  const ttlMs = entry.ttlMs ?? getCachePolicy(key).ttlMs;
+  return Date.now() - entry.timestamp - ttlMs;
+}
+
+/**
+ * Check whether an entry is past any use, even as a stale fallback
+ *
+ * @param {Object} entry - Cache entry
+ * @param {string} key - Cache key
+ * @returns {boolean} - True if the entry can be removed
+ */
+function isUnusable(entry, key) {
+  const { staleWhileRevalidateMs, staleIfErrorMs } = getCachePolicy(key);
+  return getStaleness(entry, key) >= Math.max(staleWhileRevalidateMs, staleIfErrorMs);
+}
+
+/**
+ * Get the size of cached data
+ *
+ * @param {any} data - Cached data
+ * @returns {number} - Size of the data as JSON, in bytes
+ *
+ * @see {@link https://nodejs.org/api/buffer.html#static-method-bufferbytelengthstring-encoding | Node.js: Buffer.byteLength}
+ */
+function sizeOf(data) {
+  return Buffer.byteLength(JSON.stringify(data) ?? '');
+}
+
+/**
+ * Count a lookup in the saved stats and the metrics
+ *
+ * @param {string} outcome - 'hits' (fresh entry), 'stale' (served while revalidating) or 'misses'
+ * @param {Object} entry - Entry that answered the lookup, if any
+ */
+function recordLookup(outcome, entry = null) {
+  unsavedCounts[outcome === 'misses' ? 'misses' : 'hits']++;
+  metrics.increment(`cache.${outcome}`);
+  if (entry) {
+    metrics.increment('cache.readBytes', sizeOf(entry.data));
+  }
+}
+
+/**
+ * Describe how usable an entry is
+ *
+ * @param {Object} entry - Cache entry
+ * @param {string} key - Cache key
+ * @returns {string} - 'fresh', 'stale' (expired but kept as a fallback) or 'expired'
+ */
+function getEntryStatus(entry, key) {
+  if (!isExpired(entry, key)) return 'fresh';
+  return isUnusable(entry, key) ? 'expired' : 'stale';
+}
+
+/**
+ * Summarize an entry for listings
+ *
+ * @param {string} key - Cache key
+ * @param {Object} entry - Cache entry
+ * @returns {Object} - { key, status, savedAt, ageMs, ttlMs, bytes }
  */
+function describeEntry(key, entry) {
+  return {
+    key,
+    status: getEntryStatus(entry, key),
+    savedAt: entry.timestamp,
+    ageMs: Date.now() - entry.timestamp,
+    ttlMs: entry.ttlMs ?? getCachePolicy(key).ttlMs,
+    bytes: sizeOf(entry.data)
+  };
+}
 
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
+/**
+ * Read an entry without checking its age
+ *
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} - Entry, or null if missing or unreadable
+ */
+async function readEntry(key) {
+  try {
+    return await getCacheBackend().get(key);
+  } catch {
+    return null;
+  }
+}
 
-// Get the directory path using ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+/**
+ * Record where a value came from, for getCacheInfo()
+ *
+ * @param {any} value - Value about to be returned
+ * @param {Object} info - Where it came from
+ * @returns {any} - The same value
+ */
+function annotate(value, info) {
+  if (value !== null && typeof value === 'object') {
+    cacheInfo.set(value, info);
+  }
+  return value;
+}
 
-const CACHE_FILE = path.join(__dirname, '../data/cache.json');
-const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+/**
+ * Describe where a value returned by getCachedOrFetch came from
+ *
+ * @param {any} value - Value returned by getCachedOrFetch
+ * @returns {Object|null} - { source: 'cache'|'network'|'stale', ageMs, reason } or null if unknown;
+ *   stale values have a reason of 'revalidating' or 'error'
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/WeakMap | MDN: WeakMap}
+ */
+export function getCacheInfo(value) {
+  return value !== null && typeof value === 'object' ? cacheInfo.get(value) || null : null;
+}
 
 /**
- * Initialize the cache file if it doesn't exist
+ * Wait for background refreshes started by stale-while-revalidate
+ *
+ * @returns {Promise<void>} - Resolves once every pending refresh has settled
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/allSettled | MDN: Promise.allSettled}
+ */
+export async function settleRevalidations() {
+  await Promise.allSettled([...pendingRevalidations]);
+}
+
+/**
+ * Initialize the cache storage if it doesn't exist
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/try...catch | MDN: try...catch}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/async_function | MDN: async function}
  * @see {@link https://nodejs.org/api/fs.html#fs_promises_api | Node.js: fs/promises}
  */
 export async function initializeCache() {
-  try {
-    await fs.access(CACHE_FILE);
-  } catch (err) {
-    await fs.mkdir(path.dirname(CACHE_FILE), { recursive: true });
-    await fs.writeFile(CACHE_FILE, JSON.stringify({}));
-  }
+  await getCacheBackend().initialize();
 }
 
 /**
  * Get data from cache if it exists and hasn't expired
+ * Recipes cached in TheMealDB's raw shape are returned as Recipe objects
  *
  * @param {string} key - Cache key
  * @returns {Promise<Object|null>} - Cached data or null if not found or expired
@@ -42,13 +268,14 @@ export async function initializeCache() {
  */
 export async function getFromCache(key) {
   try {
-    const data = await fs.readFile(CACHE_FILE, 'utf8');
-    const cache = JSON.parse(data);
+    const entry = await getCacheBackend().get(key);
 
-    if (cache[key] && Date.now() - cache[key].timestamp < CACHE_DURATION) {
-      return cache[key].data;
+    if (entry && !isExpired(entry, key)) {
+      recordLookup('hits', entry);
+      return reviveRecipes(entry.data);
     }
 
+    recordLookup('misses');
     return null;
   } catch (error) {
     return null;
@@ -57,27 +284,28 @@ export async function getFromCache(key) {
 
 
 /**
- * Save data to cache with a timestamp
+ * Save data to cache with a timestamp and time to live
  *
  * @param {string} key - Cache key
  * @param {Object} data - Data to cache
- * @returns {Promise<boolean>} - True if successfully saved to cache
+ * @param {Object} options - Optional `ttlMs` overriding the key's policy
+ * @returns {Promise<boolean>} - True if saved, false on failure or when the TTL is 0
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/JSON/stringify | MDN: JSON.stringify}
  */
-export async function saveToCache(key, data) {
-  try {
-    await initializeCache();
-
-    const cache = JSON.parse(await fs.readFile(CACHE_FILE, 'utf8'));
+export async function saveToCache(key, data, { ttlMs = getCachePolicy(key).ttlMs } = {}) {
+  if (!(ttlMs > 0)) {
+    return false;
+  }
 
-    cache[key] = {
+  try {
+    await getCacheBackend().set(key, {
       timestamp: Date.now(),
+      ttlMs,
       data: data,
-    };
-
-    await fs.writeFile(CACHE_FILE, JSON.stringify(cache));
+    });
 
+    metrics.increment('cache.writtenBytes', sizeOf(data));
     return true;
   } catch {
     return false;
@@ -86,68 +314,296 @@ export async function saveToCache(key, data) {
 
 /**
  * Clear expired entries from the cache
+ * Entries still inside their stale-while-revalidate or stale-if-error window are kept
  *
  * @returns {Promise<number>} - Number of entries removed
- *
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Operators/delete | MDN: delete operator}
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/for...in | MDN: for...in}
  */
 export async function clearExpiredCache() {
   try {
-    const data = await fs.readFile(CACHE_FILE, 'utf8');
-    const cache = JSON.parse(data);
+    return await getCacheBackend().prune(isUnusable);
+  } catch {
+    return 0;
+  }
+}
 
-    let removedCount = 0;
+/**
+ * Remove every entry from the cache
+ *
+ * @returns {Promise<boolean>} - True if the cache was cleared
+ */
+export async function clearCache() {
+  try {
+    await getCacheBackend().clear();
+    return true;
+  } catch {
+    return false;
+  }
+}
 
-    for (const key in cache) {
-      if (Date.now() - cache[key].timestamp >= CACHE_DURATION) {
-        delete cache[key];
-        removedCount++;
-      }
-    }
+/**
+ * Check whether a key has a fresh entry, without counting a lookup
+ *
+ * @param {string} key - Cache key
+ * @returns {Promise<boolean>} - True if the entry exists and has not expired
+ */
+export async function isCached(key) {
+  const entry = await readEntry(key);
+  return Boolean(entry) && !isExpired(entry, key);
+}
 
-    if (removedCount > 0) {
-      await fs.writeFile(CACHE_FILE, JSON.stringify(cache));
-    }
+/**
+ * List cached entries, sorted by key
+ *
+ * @param {string} prefix - Only list keys starting with this (default: all keys)
+ * @returns {Promise<Array<Object>>} - Entry summaries: { key, status, savedAt, ageMs, ttlMs, bytes }
+ * @throws {Error} - If the cache could not be read
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/localeCompare | MDN: String.localeCompare}
+ */
+export async function listCacheEntries(prefix = '') {
+  const entries = await getCacheBackend().entries();
+  return entries
+    .filter(([key]) => key.startsWith(prefix))
+    .map(([key, entry]) => describeEntry(key, entry))
+    .sort((a, b) => a.key.localeCompare(b.key));
+}
 
-    return removedCount;
+/**
+ * Get one cached entry with its data, whatever its age
+ *
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} - Entry summary plus `data`, or null if the key is not cached
+ */
+export async function getCacheEntry(key) {
+  const entry = await readEntry(key);
+  return entry ? { ...describeEntry(key, entry), data: reviveRecipes(entry.data) } : null;
+}
+
+/**
+ * Remove the entries whose keys match a pattern
+ * The pattern is a key, or uses `*` like the policy patterns, e.g. `search_*`
+ *
+ * @param {string} pattern - Key or pattern to remove
+ * @returns {Promise<number>} - Number of entries removed
+ * @throws {Error} - If the cache could not be updated
+ */
+export async function deleteCacheEntries(pattern) {
+  return getCacheBackend().prune((entry, key) => matchesPattern(pattern, key));
+}
+
+/**
+ * Check that parsed stats have numeric counts
+ *
+ * @param {any} data - Parsed stats file
+ * @returns {boolean} - True if hits and misses are numbers
+ */
+function isLookupCounts(data) {
+  return Number.isFinite(data?.hits) && Number.isFinite(data?.misses);
+}
+
+/**
+ * Read the lookup counts saved by earlier runs
+ *
+ * @param {string} file - Stats file
+ * @returns {Promise<Object>} - { hits, misses }
+ */
+async function readSavedCounts(file) {
+  return readJsonFile(file, { fallback: { hits: 0, misses: 0 }, validate: isLookupCounts, schema: 'cache-stats' });
+}
+
+/**
+ * Add the hits and misses counted in this run to the stats file
+ *
+ * @param {string} file - Stats file (default: `cache.statsFile` setting)
+ * @returns {Promise<boolean>} - True if the counts were saved or there was nothing to save
+ */
+export async function saveCacheStats(file = getConfig().cache.statsFile) {
+  const counts = { ...unsavedCounts };
+  if (counts.hits === 0 && counts.misses === 0) {
+    return true;
+  }
+
+  try {
+    await withFileLock(file, async () => {
+      const saved = await readSavedCounts(file);
+      await writeFileAtomic(file, serializeJson({
+        hits: saved.hits + counts.hits,
+        misses: saved.misses + counts.misses
+      }, { schema: 'cache-stats' }));
+    });
+    unsavedCounts.hits -= counts.hits;
+    unsavedCounts.misses -= counts.misses;
+    return true;
   } catch {
-    return 0;
+    return false;
   }
 }
 
+/**
+ * Summarize the cache's contents and how often it has answered lookups
+ *
+ * @param {string} file - Stats file (default: `cache.statsFile` setting)
+ * @returns {Promise<Object>} - { backend, entries, fresh, stale, expired, bytes, oldest, newest,
+ *   hits, misses, hitRatio }; oldest/newest are save timestamps and hitRatio is null before any lookups
+ * @throws {Error} - If the cache could not be read
+ */
+export async function getCacheStats(file = getConfig().cache.statsFile) {
+  const backend = getCacheBackend();
+  const entries = (await backend.entries()).map(([key, entry]) => describeEntry(key, entry));
+  const saved = await readSavedCounts(file).catch(() => ({ hits: 0, misses: 0 }));
+  const hits = saved.hits + unsavedCounts.hits;
+  const misses = saved.misses + unsavedCounts.misses;
+  const savedAt = entries.map(entry => entry.savedAt);
+
+  return {
+    backend: backend.name,
+    entries: entries.length,
+    fresh: entries.filter(entry => entry.status === 'fresh').length,
+    stale: entries.filter(entry => entry.status === 'stale').length,
+    expired: entries.filter(entry => entry.status === 'expired').length,
+    bytes: await backend.size(),
+    oldest: savedAt.length > 0 ? Math.min(...savedAt) : null,
+    newest: savedAt.length > 0 ? Math.max(...savedAt) : null,
+    hits,
+    misses,
+    hitRatio: hits + misses > 0 ? hits / (hits + misses) : null
+  };
+}
+
+/**
+ * Fetch data and cache it, sharing one fetch between concurrent callers for the same key
+ *
+ * @param {string} key - Cache key
+ * @param {Function} fetchFn - Function that fetches the data
+ * @param {number} ttlMs - Optional TTL for the saved entry
+ * @returns {Promise<any>} - Fetched data
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/finally | MDN: Promise.finally}
+ */
+function fetchAndSave(key, fetchFn, ttlMs) {
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const request = Promise.resolve()
+    .then(() => metrics.time('cache.fetch', fetchFn))
+    .then(async data => {
+      if (data != null) {
+        await saveToCache(key, data, { ttlMs });
+      }
+      return data;
+    })
+    .finally(() => inFlight.delete(key));
+
+  inFlight.set(key, request);
+  return request;
+}
+
 /**
  * Get a cached API response or fetch it if not available
  *
+ * Expired entries can still be returned:
+ * - stale-while-revalidate: within `staleWhileRevalidateMs` of expiring, the entry is
+ *   returned at once and refreshed in the background
+ * - stale-if-error: within `staleIfErrorMs` of expiring, the entry is returned when
+ *   fetchFn throws or resolves to nothing (a missing recipe is still reported)
+ * Use getCacheInfo() on the result to find out whether it was stale.
+ * Concurrent misses on the same key share a single fetchFn call.
+ *
  * @param {string} key - Cache key
  * @param {Function} fetchFn - Function to call if cache miss
- * @param {boolean} forceRefresh - Force a fresh fetch even if cached
+ * @param {Object|boolean} options - `forceRefresh` to skip the cached entry, plus `ttlMs`,
+ *   `staleWhileRevalidateMs` and `staleIfErrorMs` overriding the key's policy;
+ *   passing just `true` forces a refresh as before
  * @returns {Promise<Object>} - Data from cache or fresh fetch
+ * @throws {Error} - What fetchFn threw, if there is no stale entry to fall back on
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/async_function | MDN: async function}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Using_promises | MDN: Using promises}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Cache-Control#stale-while-revalidate | MDN: stale-while-revalidate}
  */
-export async function getCachedOrFetch(key, fetchFn, forceRefresh = false) {
-  let cachedData = null;
+export async function getCachedOrFetch(key, fetchFn, options = {}) {
+  const { forceRefresh = false, ttlMs, ...overrides } = typeof options === 'boolean' ? { forceRefresh: options } : options;
+  const policy = { ...getCachePolicy(key), ...overrides };
 
   if (!forceRefresh) {
-    cachedData = await getFromCache(key);
+    const entry = await readEntry(key);
+
+    if (entry && !isExpired(entry, key)) {
+      recordLookup('hits', entry);
+      return annotate(reviveRecipes(entry.data), { source: 'cache', ageMs: Date.now() - entry.timestamp });
+    }
+
+    if (entry && getStaleness(entry, key) < policy.staleWhileRevalidateMs) {
+      recordLookup('stale', entry);
+      const refresh = fetchAndSave(key, fetchFn, ttlMs)
+        .catch(() => null)
+        .finally(() => pendingRevalidations.delete(refresh));
+      pendingRevalidations.add(refresh);
+
+      return annotate(reviveRecipes(entry.data), {
+        source: 'stale',
+        ageMs: Date.now() - entry.timestamp,
+        reason: 'revalidating'
+      });
+    }
+
+    recordLookup('misses');
+  }
+
+  /**
+   * Look for an expired entry to use instead of a failed fetch
+   *
+   * @returns {Promise<any|null>} - Stale data, or null if there is none
+   */
+  async function staleFallback() {
+    const entry = await readEntry(key);
+    if (!entry || getStaleness(entry, key) >= policy.staleIfErrorMs) {
+      return null;
+    }
+    metrics.increment('cache.staleOnError');
+    metrics.increment('cache.readBytes', sizeOf(entry.data));
+    return annotate(reviveRecipes(entry.data), {
+      source: 'stale',
+      ageMs: Date.now() - entry.timestamp,
+      reason: 'error'
+    });
   }
 
-  if (cachedData) {
-    return cachedData;
+  let freshData;
+  try {
+    freshData = await fetchAndSave(key, fetchFn, ttlMs);
+  } catch (error) {
+    const stale = error instanceof NotFoundError ? null : await staleFallback();
+    if (stale !== null) {
+      return stale;
+    }
+    throw error;
   }
 
-  const freshData = await fetchFn();
-  await saveToCache(key, freshData);
+  if (freshData == null) {
+    return (await staleFallback()) ?? freshData;
+  }
 
-  return freshData;
+  return annotate(freshData, { source: 'network', ageMs: 0 });
 }
 
 export default {
+  getCacheBackend,
+  setCacheBackend,
+  getCachePolicy,
+  getCacheInfo,
+  settleRevalidations,
   initializeCache,
   getFromCache,
   saveToCache,
   clearExpiredCache,
+  clearCache,
+  isCached,
+  listCacheEntries,
+  getCacheEntry,
+  deleteCacheEntries,
+  saveCacheStats,
+  getCacheStats,
   getCachedOrFetch
 };
@@ -0,0 +1,60 @@
+// src/cache/compression.js
+/**
+ * Codecs for storing the cache file compressed
+ * Each compressed format gets its own file extension, so the file backend can
+ * tell which format an existing file was written in
+ *
+ * @see {@link https://nodejs.org/api/zlib.html | Node.js: zlib}
+ */
+
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { TEXT_CODEC } from '../storage.js';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+const brotliDecompress = promisify(zlib.brotliDecompress);
+
+/**
+ * Codecs by compression setting, with the extension added to the cache file name
+ * Codecs follow the storage.js interface: { encoding, decode, encode }
+ */
+export const COMPRESSION_CODECS = {
+  none: { ...TEXT_CODEC, extension: '' },
+  gzip: {
+    extension: '.gz',
+    encoding: null, // Read as a Buffer
+    decode: async contents => (await gunzip(contents)).toString('utf8'),
+    encode: text => gzip(text)
+  },
+  brotli: {
+    extension: '.br',
+    encoding: null,
+    decode: async contents => (await brotliDecompress(contents)).toString('utf8'),
+    // Tell brotli it is compressing text, which suits JSON
+    encode: text => brotliCompress(text, {
+      params: { [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT }
+    })
+  }
+};
+
+/**
+ * Get the codec for a compression setting
+ *
+ * @param {string} compression - 'none', 'gzip' or 'brotli'
+ * @returns {Object} - Codec with an `extension`
+ * @throws {Error} - If the compression setting is unknown
+ */
+export function getCompressionCodec(compression) {
+  const codec = COMPRESSION_CODECS[compression];
+  if (!codec) {
+    throw new Error(`Unknown cache compression "${compression}", expected one of: ${Object.keys(COMPRESSION_CODECS).join(', ')}`);
+  }
+  return codec;
+}
+
+export default {
+  COMPRESSION_CODECS,
+  getCompressionCodec
+};
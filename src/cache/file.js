@@ -0,0 +1,299 @@
+// src/cache/file.js
+/**
+ * Cache backend that keeps every entry in one JSON file
+ * The file is read on every call, so separate processes always see each other's writes.
+ * Writes hold the file's lock and replace it atomically, and saves made while a
+ * write is pending are merged into one rewrite, so parallel saves never clobber each other.
+ * A file that no longer parses is quarantined and restored from its last good backup.
+ *
+ * The file can be stored gzip or brotli compressed, as `<file>.gz` or `<file>.br`.
+ * A file written with a different compression setting is converted when the
+ * backend is initialized. Keys are kept in least-recently-used order, so when the
+ * file would grow past `maxFileBytes` the entries at the front are dropped first.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { writeFileAtomic, withFileLock, readJsonFile, serializeJson, getBackupPath } from '../storage.js';
+import { COMPRESSION_CODECS, getCompressionCodec } from './compression.js';
+
+/**
+ * Check that parsed cache data is an object of entries
+ *
+ * @param {any} data - Parsed file contents
+ * @returns {boolean} - True for a non-array object
+ */
+function isEntryMap(data) {
+  return data !== null && typeof data === 'object' && !Array.isArray(data);
+}
+
+/**
+ * Get the size of file contents
+ *
+ * @param {string|Buffer} contents - Encoded file contents
+ * @returns {number} - Size in bytes
+ */
+function byteLength(contents) {
+  return typeof contents === 'string' ? Buffer.byteLength(contents) : contents.length;
+}
+
+/**
+ * Delete a file if it exists
+ *
+ * @param {string} target - Path to delete
+ */
+async function removeIfPresent(target) {
+  try {
+    await fs.unlink(target);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+/**
+ * Create a file backend
+ *
+ * @param {Object} options - Backend options
+ * @param {string} options.file - Path to the JSON cache file, before any compression extension
+ * @param {string} options.compression - 'none' (default), 'gzip' or 'brotli'
+ * @param {number} options.maxFileBytes - Largest size of the file on disk (default: Infinity)
+ * @returns {Object} - Cache backend
+ * @throws {Error} - If the compression setting is unknown
+ *
+ * @see {@link https://nodejs.org/api/fs.html#fs_promises_api | Node.js: fs/promises}
+ */
+export function createFileBackend({ file, compression = 'none', maxFileBytes = Infinity }) {
+  const codec = getCompressionCodec(compression);
+  const dataFile = `${file}${codec.extension}`;
+
+  // Entries waiting for the next merged write
+  let pendingBatch = null;
+
+  // Keys read since the last write, least recent first; the next write moves them to the back
+  const recentReads = new Set();
+
+  /**
+   * Read every entry from the file, recovering it if it is corrupt
+   *
+   * @returns {Promise<Object>} - Entries by key
+   * @throws {Error} - If the file cannot be read
+   */
+  async function readAll() {
+    return readJsonFile(dataFile, { fallback: {}, validate: isEntryMap, codec, schema: 'cache', lockFile: file });
+  }
+
+  /**
+   * Encode entries, dropping least recently used ones until the result fits in maxFileBytes
+   * Compressed sizes can't be predicted, so a share of entries matching the excess is
+   * dropped and the rest encoded again until it fits
+   *
+   * @param {Object} cache - Entries by key, least recently used first; trimmed in place
+   * @returns {Promise<string|Buffer>} - File contents
+   */
+  async function encodeWithinLimit(cache) {
+    let contents = await codec.encode(serializeJson(cache, { schema: 'cache' }));
+    while (byteLength(contents) > maxFileBytes) {
+      const keys = Object.keys(cache);
+      if (keys.length === 0) break;
+
+      const excess = 1 - maxFileBytes / byteLength(contents);
+      for (const key of keys.slice(0, Math.max(1, Math.ceil(keys.length * excess)))) {
+        delete cache[key];
+      }
+      contents = await codec.encode(serializeJson(cache, { schema: 'cache' }));
+    }
+    return contents;
+  }
+
+  /**
+   * Read every entry before changing the file
+   * Keys read since the last write move behind the others, so they are evicted last
+   *
+   * @returns {Promise<Object>} - Entries by key, least recently used first
+   */
+  async function readForUpdate() {
+    const cache = await readAll();
+    for (const key of recentReads) {
+      if (key in cache) {
+        const entry = cache[key];
+        delete cache[key];
+        cache[key] = entry;
+      }
+    }
+    recentReads.clear();
+    return cache;
+  }
+
+  /**
+   * Replace the file's contents
+   *
+   * @param {Object} cache - Entries by key, least recently used first
+   * @param {Object} options - Set `backup` when the current file was just read successfully
+   */
+  async function writeAll(cache, { backup = false } = {}) {
+    await writeFileAtomic(dataFile, await encodeWithinLimit(cache), { backup });
+  }
+
+  /**
+   * Convert a cache file written with a different compression setting
+   * The first one found that can be read is rewritten in the current format and removed
+   *
+   * @returns {Promise<boolean>} - True if a file was converted
+   */
+  async function migrate() {
+    for (const otherCodec of Object.values(COMPRESSION_CODECS)) {
+      const otherFile = `${file}${otherCodec.extension}`;
+      if (otherFile === dataFile) continue;
+
+      let entries;
+      try {
+        entries = await readJsonFile(otherFile, {
+          fallback: null, validate: isEntryMap, codec: otherCodec, schema: 'cache', lockFile: file
+        });
+      } catch {
+        // A file we can't read is left alone
+        continue;
+      }
+      if (!entries) continue;
+
+      await exclusive(async () => {
+        await writeAll(entries);
+        await removeIfPresent(otherFile);
+        await removeIfPresent(getBackupPath(otherFile));
+      });
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Run a read-modify-write operation while holding the file's lock
+   *
+   * @param {Function} operation - Async function that updates the file
+   * @returns {Promise<any>} - Result of the operation
+   */
+  function exclusive(operation) {
+    return withFileLock(file, operation);
+  }
+
+  /**
+   * Create the file with no entries if it doesn't exist
+   *
+   * @returns {Promise<boolean>} - True if the file was created
+   */
+  async function ensureFile() {
+    try {
+      await fs.access(dataFile);
+      return false;
+    } catch {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await writeAll({});
+      return true;
+    }
+  }
+
+  return {
+    name: 'file',
+    file,
+
+    // Create the file (converting one in another format if there is one),
+    // or check an existing one and recover it if it is corrupt
+    async initialize() {
+      try {
+        await fs.access(dataFile);
+      } catch {
+        if (await migrate()) return;
+      }
+      if (!(await ensureFile())) {
+        await readAll();
+      }
+    },
+
+    async get(key) {
+      const entry = (await readAll())[key] || null;
+      if (entry) {
+        recentReads.delete(key);
+        recentReads.add(key);
+      }
+      return entry;
+    },
+
+    async set(key, entry) {
+      if (!pendingBatch) {
+        const batch = { entries: new Map() };
+        batch.promise = exclusive(async () => {
+          // Saves from now on go into the next batch
+          pendingBatch = null;
+          await ensureFile();
+          const cache = await readForUpdate();
+          for (const [batchKey, batchEntry] of batch.entries) {
+            // Re-inserting moves the key to the back, as the most recently used
+            delete cache[batchKey];
+            cache[batchKey] = batchEntry;
+          }
+          await writeAll(cache, { backup: true });
+        });
+        pendingBatch = batch;
+      }
+
+      pendingBatch.entries.set(key, entry);
+      return pendingBatch.promise;
+    },
+
+    delete(key) {
+      return exclusive(async () => {
+        const cache = await readForUpdate();
+        if (!(key in cache)) {
+          return false;
+        }
+        delete cache[key];
+        await writeAll(cache, { backup: true });
+        return true;
+      });
+    },
+
+    async entries() {
+      return Object.entries(await readAll());
+    },
+
+    prune(shouldRemove) {
+      return exclusive(async () => {
+        const cache = await readForUpdate();
+        let removedCount = 0;
+
+        for (const key in cache) {
+          if (shouldRemove(cache[key], key)) {
+            delete cache[key];
+            removedCount++;
+          }
+        }
+
+        if (removedCount > 0) {
+          await writeAll(cache, { backup: true });
+        }
+        return removedCount;
+      });
+    },
+
+    clear() {
+      return exclusive(async () => {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await writeAll({});
+      });
+    },
+
+    // Size of the file on disk
+    async size() {
+      try {
+        return (await fs.stat(dataFile)).size;
+      } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+      }
+    }
+  };
+}
+
+export default {
+  createFileBackend
+};
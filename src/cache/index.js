@@ -0,0 +1,74 @@
+// src/cache/index.js
+/**
+ * Cache backend registry
+ *
+ * A backend stores cache entries ({ timestamp, data }) by key, with these async methods:
+ * - initialize() -> create storage if needed
+ * - get(key) -> entry|null
+ * - set(key, entry)
+ * - delete(key) -> boolean, true if the key existed
+ * - entries() -> Array<[key, entry]>
+ * - prune(shouldRemove) -> number of entries for which shouldRemove(entry, key) was true
+ * - clear()
+ * - size() -> bytes used by the stored entries
+ *
+ * Backends only store entries; expiry rules live in cache.js.
+ *
+ * The `file` and `tiered` backends persist entries with the storage engine chosen in
+ * the `storage` settings: the JSON cache file, or the SQLite database.
+ */
+
+import { createMemoryBackend } from './memory.js';
+import { createFileBackend } from './file.js';
+import { createTieredBackend } from './tiered.js';
+import { createSqliteBackend } from './sqlite.js';
+
+/**
+ * Create the backend that keeps entries on disk
+ *
+ * @param {Object} settings - `cache` section of the settings
+ * @param {Object} storage - `storage` section of the settings
+ * @returns {Object} - File or SQLite backend
+ * @throws {Error} - If the storage engine is unknown
+ */
+function createPersistentBackend(settings, storage) {
+  if (storage.engine === 'sqlite') {
+    return createSqliteBackend({ database: storage.database, maxFileBytes: settings.maxFileBytes });
+  }
+  if (storage.engine === 'json') {
+    return createFileBackend(settings);
+  }
+  throw new Error(`Unknown storage engine "${storage.engine}", expected json or sqlite`);
+}
+
+// Factories for each backend name, given the `cache` and `storage` settings sections
+const BACKEND_FACTORIES = {
+  memory: settings => createMemoryBackend(settings),
+  file: (settings, storage) => createPersistentBackend(settings, storage),
+  tiered: (settings, storage) => createTieredBackend({
+    memory: createMemoryBackend(settings),
+    persistent: createPersistentBackend(settings, storage)
+  })
+};
+
+/**
+ * Create the backend named in the cache settings
+ *
+ * @param {Object} settings - `cache` section of the settings
+ * @param {Object} storage - `storage` section of the settings (default: the JSON engine)
+ * @returns {Object} - Cache backend
+ * @throws {Error} - If the backend name or storage engine is unknown
+ */
+export function createCacheBackend(settings, storage = { engine: 'json' }) {
+  const factory = BACKEND_FACTORIES[settings.backend];
+  if (!factory) {
+    throw new Error(`Unknown cache backend "${settings.backend}", expected one of: ${Object.keys(BACKEND_FACTORIES).join(', ')}`);
+  }
+  return factory(settings, storage);
+}
+
+export { createMemoryBackend, createFileBackend, createTieredBackend, createSqliteBackend };
+
+export default {
+  createCacheBackend
+};
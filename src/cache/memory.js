@@ -0,0 +1,120 @@
+// src/cache/memory.js
+/**
+ * In-memory cache backend with least-recently-used eviction
+ * A Map keeps keys in insertion order, so re-inserting a key on every read
+ * leaves the least recently used entry first in line for eviction
+ */
+
+/**
+ * Estimate how much memory an entry takes
+ *
+ * @param {Object} entry - Cache entry
+ * @returns {number} - Size of the entry as JSON, in bytes
+ *
+ * @see {@link https://nodejs.org/api/buffer.html#static-method-bufferbytelengthstring-encoding | Node.js: Buffer.byteLength}
+ */
+function sizeOf(entry) {
+  return Buffer.byteLength(JSON.stringify(entry));
+}
+
+/**
+ * Create a memory backend
+ *
+ * @param {Object} options - Backend options
+ * @param {number} options.maxEntries - Maximum number of entries (default: Infinity)
+ * @param {number} options.maxBytes - Maximum total entry size in bytes (default: Infinity)
+ * @returns {Object} - Cache backend
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map | MDN: Map}
+ */
+export function createMemoryBackend({ maxEntries = Infinity, maxBytes = Infinity } = {}) {
+  const entries = new Map();
+  let totalBytes = 0;
+
+  function remove(key) {
+    const stored = entries.get(key);
+    if (stored) {
+      totalBytes -= stored.size;
+      entries.delete(key);
+    }
+  }
+
+  // Drop least recently used entries until both limits are met
+  function evict() {
+    for (const key of entries.keys()) {
+      if (entries.size <= maxEntries && totalBytes <= maxBytes) break;
+      remove(key);
+    }
+  }
+
+  return {
+    name: 'memory',
+
+    async initialize() {},
+
+    async get(key) {
+      const stored = entries.get(key);
+      if (!stored) {
+        return null;
+      }
+      // Move the key to the end of the Map to mark it as recently used
+      entries.delete(key);
+      entries.set(key, stored);
+      return stored.entry;
+    },
+
+    async set(key, entry) {
+      remove(key);
+      const size = sizeOf(entry);
+      if (size > maxBytes) {
+        return;
+      }
+      entries.set(key, { entry, size });
+      totalBytes += size;
+      evict();
+    },
+
+    async delete(key) {
+      const existed = entries.has(key);
+      remove(key);
+      return existed;
+    },
+
+    async entries() {
+      return [...entries].map(([key, stored]) => [key, stored.entry]);
+    },
+
+    async prune(shouldRemove) {
+      let removedCount = 0;
+      for (const [key, stored] of entries) {
+        if (shouldRemove(stored.entry, key)) {
+          remove(key);
+          removedCount++;
+        }
+      }
+      return removedCount;
+    },
+
+    async clear() {
+      entries.clear();
+      totalBytes = 0;
+    },
+
+    async size() {
+      return totalBytes;
+    },
+
+    /**
+     * Describe how full the backend is
+     *
+     * @returns {Object} - { entries, bytes }
+     */
+    getStats() {
+      return { entries: entries.size, bytes: totalBytes };
+    }
+  };
+}
+
+export default {
+  createMemoryBackend
+};
@@ -0,0 +1,122 @@
+// src/cache/sqlite.js
+/**
+ * Cache backend that keeps entries in the SQLite database (see database.js)
+ * Every call is a single statement, so separate processes see each other's writes
+ * without a lock file. Each row records when it was last read or written, and when
+ * the entries grow past `maxFileBytes` the least recently used rows are dropped first.
+ *
+ * Here `maxFileBytes` limits the JSON text of the entries, not the database file: the
+ * file also holds the favorites, and SQLite's pages and indexes add to its size.
+ */
+
+import { openDatabase, transaction } from '../database.js';
+
+/**
+ * Create a SQLite backend
+ *
+ * @param {Object} options - Backend options
+ * @param {string} options.database - Path to the database file
+ * @param {number} options.maxFileBytes - Largest total size of the entries' JSON text (default: Infinity)
+ * @returns {Object} - Cache backend
+ */
+export function createSqliteBackend({ database, maxFileBytes = Infinity }) {
+  // Orders rows by use even when several happen in the same millisecond
+  let lastUse = 0;
+  const nextUse = () => (lastUse = Math.max(lastUse + 1, Date.now()));
+
+  /**
+   * Drop least recently used entries until the total size fits in maxFileBytes
+   *
+   * @param {Object} db - Open database
+   */
+  function trim(db) {
+    if (maxFileBytes === Infinity) return;
+
+    let { total } = db.prepare('SELECT COALESCE(SUM(bytes), 0) AS total FROM cache').get();
+    const oldest = db.prepare('SELECT key, bytes FROM cache ORDER BY last_used LIMIT 100');
+    const remove = db.prepare('DELETE FROM cache WHERE key = ?');
+    while (total > maxFileBytes) {
+      const rows = oldest.all();
+      if (rows.length === 0) break;
+      for (const { key, bytes } of rows) {
+        if (total <= maxFileBytes) break;
+        remove.run(key);
+        total -= bytes;
+      }
+    }
+  }
+
+  return {
+    name: 'sqlite',
+    database,
+
+    async initialize() {
+      await openDatabase(database);
+    },
+
+    async get(key) {
+      const db = await openDatabase(database);
+      const row = db.prepare('SELECT entry FROM cache WHERE key = ?').get(key);
+      if (!row) {
+        return null;
+      }
+      db.prepare('UPDATE cache SET last_used = ? WHERE key = ?').run(nextUse(), key);
+      return JSON.parse(row.entry);
+    },
+
+    async set(key, entry) {
+      const db = await openDatabase(database);
+      const json = JSON.stringify(entry);
+      transaction(db, () => {
+        db.prepare(`
+          INSERT INTO cache (key, timestamp, last_used, bytes, entry) VALUES (?, ?, ?, ?, ?)
+          ON CONFLICT (key) DO UPDATE SET timestamp = excluded.timestamp, last_used = excluded.last_used,
+            bytes = excluded.bytes, entry = excluded.entry
+        `).run(key, entry.timestamp ?? Date.now(), nextUse(), Buffer.byteLength(json), json);
+        trim(db);
+      });
+    },
+
+    async delete(key) {
+      const db = await openDatabase(database);
+      return db.prepare('DELETE FROM cache WHERE key = ?').run(key).changes > 0;
+    },
+
+    // Least recently used first, like the file backend
+    async entries() {
+      const db = await openDatabase(database);
+      return db.prepare('SELECT key, entry FROM cache ORDER BY last_used').all()
+        .map(({ key, entry }) => [key, JSON.parse(entry)]);
+    },
+
+    async prune(shouldRemove) {
+      const entries = await this.entries();
+      const db = await openDatabase(database);
+      const remove = db.prepare('DELETE FROM cache WHERE key = ?');
+      return transaction(db, () => {
+        let removedCount = 0;
+        for (const [key, entry] of entries) {
+          if (shouldRemove(entry, key)) {
+            removedCount += remove.run(key).changes;
+          }
+        }
+        return removedCount;
+      });
+    },
+
+    async clear() {
+      const db = await openDatabase(database);
+      db.exec('DELETE FROM cache');
+    },
+
+    // Total size of the stored entries as JSON
+    async size() {
+      const db = await openDatabase(database);
+      return db.prepare('SELECT COALESCE(SUM(bytes), 0) AS total FROM cache').get().total;
+    }
+  };
+}
+
+export default {
+  createSqliteBackend
+};
@@ -0,0 +1,71 @@
+// src/cache/tiered.js
+/**
+ * Cache backend that layers a fast memory backend over a persistent one
+ * Reads are served from memory when possible and copied up from disk on a miss;
+ * writes go to both layers so the persistent layer is always complete
+ */
+
+/**
+ * Create a tiered backend
+ *
+ * @param {Object} options - Backend options
+ * @param {Object} options.memory - Fast, possibly lossy backend checked first
+ * @param {Object} options.persistent - Backend holding every entry
+ * @returns {Object} - Cache backend
+ */
+export function createTieredBackend({ memory, persistent }) {
+  return {
+    name: 'tiered',
+    memory,
+    persistent,
+
+    async initialize() {
+      await persistent.initialize();
+    },
+
+    async get(key) {
+      const cached = await memory.get(key);
+      if (cached) {
+        return cached;
+      }
+
+      const entry = await persistent.get(key);
+      if (entry) {
+        await memory.set(key, entry);
+      }
+      return entry;
+    },
+
+    async set(key, entry) {
+      await memory.set(key, entry);
+      await persistent.set(key, entry);
+    },
+
+    async delete(key) {
+      await memory.delete(key);
+      return persistent.delete(key);
+    },
+
+    async entries() {
+      return persistent.entries();
+    },
+
+    async prune(shouldRemove) {
+      await memory.prune(shouldRemove);
+      return persistent.prune(shouldRemove);
+    },
+
+    async clear() {
+      await memory.clear();
+      await persistent.clear();
+    },
+
+    async size() {
+      return persistent.size();
+    }
+  };
+}
+
+export default {
+  createTieredBackend
+};
@@ -0,0 +1,91 @@
+// src/catalog.js
+/**
+ * Local recipe index built by the `sync` command
+ * The index is a single JSON file holding the whole catalog with the time it
+ * was synced, so searches can be answered without the network while it is fresh
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { toRecipe } from './recipe.js';
+import { serializeJson, writeFileAtomic } from './storage.js';
+import { fromVersioned } from './schema.js';
+
+// Indexes already read, by file path, so queries don't re-read the file
+const loadedCatalogs = new Map();
+
+/**
+ * @typedef {Object} Catalog
+ * @property {number} syncedAt - Time of the last sync in milliseconds
+ * @property {Array<import('./recipe.js').Recipe>} recipes - Every recipe in the index
+ */
+
+/**
+ * Read the index file
+ *
+ * @param {string} file - Path to the index file
+ * @returns {Promise<Catalog|null>} - Catalog, or null if there is no usable index
+ *
+ * @see {@link https://nodejs.org/api/fs.html#fspromisesreadfilepath-options | Node.js: fs.readFile}
+ */
+export async function loadCatalog(file) {
+  if (loadedCatalogs.has(file)) {
+    return loadedCatalogs.get(file);
+  }
+
+  let catalog = null;
+  try {
+    const data = fromVersioned('catalog', JSON.parse(await fs.readFile(file, 'utf8')));
+    if (Array.isArray(data?.recipes) && typeof data.syncedAt === 'number') {
+      catalog = { syncedAt: data.syncedAt, recipes: data.recipes.map(toRecipe).filter(Boolean) };
+    } else {
+      console.error(`Ignoring malformed recipe index ${file}`);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Error reading recipe index ${file}:`, error.message);
+    }
+  }
+
+  loadedCatalogs.set(file, catalog);
+  return catalog;
+}
+
+/**
+ * Write the index file, replacing any previous index
+ * The file is replaced atomically, so an interrupted sync leaves the previous index intact
+ *
+ * @param {string} file - Path to the index file
+ * @param {Catalog} catalog - Catalog to save
+ */
+export async function saveCatalog(file, catalog) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await writeFileAtomic(file, serializeJson(catalog, { schema: 'catalog' }));
+  loadedCatalogs.set(file, catalog);
+}
+
+/**
+ * Check whether an index is recent enough to answer queries
+ *
+ * @param {Catalog|null} catalog - Catalog to check
+ * @param {number} maxAgeMs - Maximum age in milliseconds
+ * @param {number} now - Current time (default: Date.now())
+ * @returns {boolean} - True if the catalog exists and is younger than maxAgeMs
+ */
+export function isCatalogFresh(catalog, maxAgeMs, now = Date.now()) {
+  return Boolean(catalog) && now - catalog.syncedAt < maxAgeMs;
+}
+
+/**
+ * Forget indexes read so far, so the next load reads the file again
+ */
+export function resetCatalogs() {
+  loadedCatalogs.clear();
+}
+
+export default {
+  loadCatalog,
+  saveCatalog,
+  isCatalogFresh,
+  resetCatalogs
+};
@@ -0,0 +1,314 @@
+// src/cli.js
+/**
+ * Command-line argument parsing for running Recipe Explorer non-interactively
+ * Turns process arguments into a command description that app.js can dispatch
+ */
+
+import { parseArgs as parseNodeArgs } from 'util';
+import { OUTPUT_FORMATS } from './utils.js';
+import { MERGE_STRATEGIES } from './favorites.js';
+import { EXPORT_FORMATS } from './favorites-io.js';
+import { isValidProfileName } from './config.js';
+import {
+  NetworkError,
+  TimeoutError,
+  NotFoundError,
+  RateLimitError,
+  HttpError,
+  ParseError
+} from './errors.js';
+
+/**
+ * Process exit codes used by the command-line mode
+ */
+export const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  NOT_FOUND: 3,
+  UNAVAILABLE: 4, // Network failure, timeout or server error
+  RATE_LIMITED: 5,
+  BAD_RESPONSE: 6
+};
+
+/**
+ * Supported commands with their usage lines and argument rules
+ * Commands with subcommands list the number of arguments each one takes, and
+ * `formats` lists the --format values of subcommands that do not use OUTPUT_FORMATS
+ * (the first one is the default)
+ */
+export const COMMANDS = {
+  search: {
+    usage: 'search <term>',
+    description: 'Search recipes by name',
+    args: '+'
+  },
+  show: {
+    usage: 'show <id>',
+    description: 'Show details and related recipes for a recipe ID',
+    args: 1
+  },
+  letters: {
+    usage: 'letters <letters>',
+    description: 'List recipes starting with any of the given letters',
+    args: 1
+  },
+  ingredient: {
+    usage: 'ingredient <name>',
+    description: 'List recipes that use an ingredient',
+    args: '+'
+  },
+  favorites: {
+    usage: 'favorites <subcommand> [args]',
+    description: 'Manage favorite recipes: list, add <id>, remove <id>, collections [name], tags [tag], '
+      + 'collect|uncollect <id> <collection>, tag|untag <id> <tag>, note <id> [text], rate <id> <1-5|none>, '
+      + 'export [file] (--format json, csv or md), import <file> (.json or .csv, see --merge), '
+      + 'refresh (update from the recipe service and flag recipes that no longer exist), '
+      + 'history, undo (the last change), trash, restore <id> (from the trash)',
+    subcommands: {
+      list: 0,
+      add: 1,
+      remove: 1,
+      collections: '?',
+      tags: '?',
+      collect: 2,
+      uncollect: 2,
+      tag: 2,
+      untag: 2,
+      note: '+',
+      rate: 2,
+      export: '?',
+      import: 1,
+      refresh: 0,
+      history: 0,
+      undo: 0,
+      trash: 0,
+      restore: 1
+    },
+    formats: { export: EXPORT_FORMATS }
+  },
+  random: {
+    usage: 'random',
+    description: 'Show a random recipe',
+    args: 0
+  },
+  cache: {
+    usage: 'cache <stats|list|show|delete|clear|prune|warm> [key]',
+    description: 'Inspect or manage the local API response cache (list takes a key prefix, delete a key or pattern)',
+    subcommands: { stats: 0, list: '?', show: 1, delete: 1, clear: 0, prune: 0, warm: 0 }
+  },
+  sync: {
+    usage: 'sync',
+    description: 'Download the full catalog into the local index for offline use',
+    args: 0
+  },
+  storage: {
+    usage: 'storage import',
+    description: 'Copy the JSON favorites of every profile and the cache into the SQLite database',
+    subcommands: { import: 0 }
+  },
+  data: {
+    usage: 'data <status|migrate>',
+    description: 'Show the version of each data file, or upgrade old ones (keeping backups)',
+    subcommands: { status: 0, migrate: 0 }
+  },
+  profiles: {
+    usage: 'profiles',
+    description: 'List user profiles; choose one for any command with --profile <name>',
+    args: 0
+  }
+};
+
+/**
+ * Error thrown when the command line cannot be understood
+ */
+export class UsageError extends Error {
+  constructor(message, command = null) {
+    super(message);
+    this.name = 'UsageError';
+    this.command = command;
+  }
+}
+
+/**
+ * Pick the exit code that matches an error
+ *
+ * @param {Error} error - Error thrown while running a command
+ * @returns {number} - One of EXIT_CODES
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Operators/instanceof | MDN: instanceof}
+ */
+export function getErrorExitCode(error) {
+  if (error instanceof UsageError) return EXIT_CODES.USAGE;
+  if (error instanceof NotFoundError) return EXIT_CODES.NOT_FOUND;
+  if (error instanceof RateLimitError) return EXIT_CODES.RATE_LIMITED;
+  if (error instanceof ParseError) return EXIT_CODES.BAD_RESPONSE;
+  if (error instanceof NetworkError || error instanceof TimeoutError || error instanceof HttpError) {
+    return EXIT_CODES.UNAVAILABLE;
+  }
+  return EXIT_CODES.ERROR;
+}
+
+/**
+ * Turn an error into a message for the person running the command
+ *
+ * @param {Error} error - Error thrown while running a command
+ * @returns {string} - Human-readable explanation
+ */
+export function describeError(error) {
+  if (error instanceof NotFoundError) {
+    return error.message;
+  }
+  if (error instanceof RateLimitError) {
+    const wait = error.retryAfterMs ? ` Try again in ${Math.ceil(error.retryAfterMs / 1000)}s.` : ' Try again shortly.';
+    return `The recipe service is limiting requests.${wait}`;
+  }
+  if (error instanceof TimeoutError) {
+    return 'The recipe service took too long to respond.';
+  }
+  if (error instanceof NetworkError) {
+    return 'Could not reach the recipe service. Check your connection.';
+  }
+  if (error instanceof HttpError) {
+    return `The recipe service returned an error (HTTP ${error.status}).`;
+  }
+  if (error instanceof ParseError) {
+    return 'The recipe service sent a response we could not read.';
+  }
+  return error.message;
+}
+
+/**
+ * Check that a command received the number of arguments it expects
+ *
+ * @param {number|string} expected - Exact count, '+' for one or more, or '?' for at most one
+ * @param {Array<string>} args - Positional arguments after the command
+ * @param {string} command - Command name used in the error message
+ */
+function checkArgCount(expected, args, command) {
+  if (expected === '+' && args.length === 0) {
+    throw new UsageError(`"${command}" needs at least one argument`, command);
+  }
+  if (expected === '?' && args.length > 1) {
+    throw new UsageError(`"${command}" takes at most 1 argument, got ${args.length}`, command);
+  }
+  if (typeof expected === 'number' && args.length !== expected) {
+    throw new UsageError(`"${command}" takes ${expected} argument(s), got ${args.length}`, command);
+  }
+}
+
+/**
+ * Parse command-line arguments into a command description
+ *
+ * @param {Array<string>} argv - Arguments without the node binary and script path
+ * @returns {Object} - { command, subcommand, args, options }
+ * @throws {UsageError} - If the command or its arguments are invalid
+ *
+ * @see {@link https://nodejs.org/api/util.html#utilparseargsconfig | Node.js: util.parseArgs}
+ */
+export function parseArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseNodeArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        help: { type: 'boolean', short: 'h' },
+        verbose: { type: 'boolean', short: 'v' },
+        timings: { type: 'boolean' },
+        format: { type: 'string', short: 'f' },
+        merge: { type: 'string' },
+        profile: { type: 'string', short: 'p' }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const [command = null, ...rest] = parsed.positionals;
+  const spec = command ? COMMANDS[command] : null;
+  if (command && !spec) {
+    throw new UsageError(`Unknown command "${command}"`);
+  }
+
+  const formats = spec?.formats?.[rest[0]] || OUTPUT_FORMATS;
+  const options = {
+    help: Boolean(parsed.values.help),
+    format: parsed.values.format ?? formats[0],
+    // What `favorites import` does with recipes that are already favorites
+    merge: parsed.values.merge ?? MERGE_STRATEGIES[0],
+    // Whose favorites and settings to use, null for RECIPE_PROFILE or the default profile
+    profile: parsed.values.profile ?? null,
+    // --verbose and --timings both print the metrics summary after the command
+    timings: Boolean(parsed.values.verbose || parsed.values.timings)
+  };
+
+  if (!formats.includes(options.format)) {
+    throw new UsageError(`Unknown format "${options.format}", expected one of: ${formats.join(', ')}`, command);
+  }
+  if (!MERGE_STRATEGIES.includes(options.merge)) {
+    throw new UsageError(`Unknown merge strategy "${options.merge}", expected one of: ${MERGE_STRATEGIES.join(', ')}`, command);
+  }
+  if (options.profile !== null && !isValidProfileName(options.profile)) {
+    throw new UsageError(`Invalid profile name "${options.profile}": use up to 40 letters, digits, - and _`, command);
+  }
+
+  if (!command) {
+    return { command: null, subcommand: null, args: [], options };
+  }
+
+  if (options.help) {
+    return { command, subcommand: null, args: rest, options };
+  }
+
+  if (spec.subcommands) {
+    const [subcommand, ...args] = rest;
+    if (!subcommand || !(subcommand in spec.subcommands)) {
+      throw new UsageError(`"${command}" needs one of: ${Object.keys(spec.subcommands).join(', ')}`, command);
+    }
+    checkArgCount(spec.subcommands[subcommand], args, `${command} ${subcommand}`);
+    return { command, subcommand, args, options };
+  }
+
+  checkArgCount(spec.args, rest, command);
+  return { command, subcommand: null, args: rest, options };
+}
+
+/**
+ * Build the help text for all commands or a single command
+ *
+ * @param {string|null} command - Command to describe, or null for the overview
+ * @returns {string} - Help text
+ */
+export function getUsage(command = null) {
+  if (command && COMMANDS[command]) {
+    const spec = COMMANDS[command];
+    return `Usage: recipe-explorer ${spec.usage}\n\n${spec.description}`;
+  }
+
+  const width = Math.max(...Object.values(COMMANDS).map(spec => spec.usage.length));
+  let result = 'Usage: recipe-explorer [command] [options]\n\n';
+  result += 'Run without a command to start the interactive menu (--profile works there too).\n\n';
+  result += 'Commands:\n';
+  for (const spec of Object.values(COMMANDS)) {
+    result += `  ${spec.usage.padEnd(width)}  ${spec.description}\n`;
+  }
+  result += '\nOptions:\n';
+  result += '  -f, --format <format>   Output format: text (default), json or ndjson; json (default), csv or md for favorites export\n';
+  result += '      --merge <strategy>  What favorites import does with existing favorites: skip (default), overwrite or keep-both\n';
+  result += '  -p, --profile <name>    Use the favorites and settings of a profile (default: RECIPE_PROFILE or "default")\n';
+  result += '  -v, --verbose           Print cache, network and timing metrics to stderr afterwards\n';
+  result += '      --timings           Same as --verbose\n';
+  result += '  -h, --help              Show help for a command\n';
+  return result;
+}
+
+export default {
+  EXIT_CODES,
+  COMMANDS,
+  UsageError,
+  getErrorExitCode,
+  describeError,
+  parseArgs,
+  getUsage
+};
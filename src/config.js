@@ -0,0 +1,325 @@
+// src/config.js
+/**
+ * Application settings
+ * Defaults are merged with an optional settings file and environment variables
+ *
+ * The settings file is `data/settings.json` unless RECIPE_SETTINGS_FILE points elsewhere.
+ * Relative paths in the file are resolved against the file's own directory.
+ *
+ * Several people can share one installation through profiles. Each profile other than
+ * the default one keeps its favorites in `data/profiles/<name>/`, and a `settings.json`
+ * there can change the profile's own sections (PROFILE_SECTIONS). The cache, the catalog
+ * and the recipe source are shared by every profile.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_HTTP_OPTIONS } from './http.js';
+import { DEFAULT_RATE_LIMIT } from './rate-limiter.js';
+import { DEFAULT_BASE_URL as MEALDB_BASE_URL } from './providers/mealdb.js';
+
+// Get the directory path using ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DATA_DIR = path.join(__dirname, '../data');
+
+const DEFAULT_SETTINGS_FILE = path.join(DATA_DIR, 'settings.json');
+
+/**
+ * Profile used when none is chosen; it keeps its data directly in DATA_DIR
+ */
+export const DEFAULT_PROFILE = 'default';
+
+/**
+ * Directory holding a subdirectory per named profile
+ */
+export const PROFILES_DIR = path.join(DATA_DIR, 'profiles');
+
+// Settings sections a profile's settings file can change
+const PROFILE_SECTIONS = ['favorites', 'prefetch'];
+
+// Profile names become directory names, so keep them to letters, digits, - and _
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/i;
+
+/**
+ * Default settings used when nothing else is configured
+ */
+export const DEFAULT_CONFIG = {
+  provider: 'mealdb',
+  mealdb: {
+    baseUrl: MEALDB_BASE_URL
+  },
+  local: {
+    directory: path.join(DATA_DIR, 'recipes')
+  },
+  cache: {
+    backend: 'tiered', // 'file', 'memory' or 'tiered' (memory over file)
+    file: path.join(DATA_DIR, 'cache.json'),
+    statsFile: path.join(DATA_DIR, 'cache-stats.json'), // Hit and miss counts kept across runs
+    compression: 'none', // 'none', 'gzip' (cache.json.gz) or 'brotli' (cache.json.br)
+    // Least recently used entries are dropped beyond this size: of the cache file with the json
+    // engine, or of the entries' JSON text with the sqlite engine, whose database file is larger
+    maxFileBytes: 20 * 1024 * 1024,
+    maxEntries: 500, // Memory limits, used by the memory and tiered backends
+    maxBytes: 10 * 1024 * 1024,
+    ttlMs: 24 * 60 * 60 * 1000, // Default time to live for entries
+    staleWhileRevalidateMs: 0, // How long after expiring an entry is served while it refreshes
+    staleIfErrorMs: 30 * 24 * 60 * 60 * 1000, // How long after expiring an entry is a fallback for failed fetches
+    policies: {
+      'recipe_*': { ttlMs: 7 * 24 * 60 * 60 * 1000 }, // Recipe details rarely change
+      'search_*': { ttlMs: 60 * 60 * 1000 },
+      'random*': { ttlMs: 0 } // Never cache random picks
+    }
+  },
+  storage: {
+    engine: 'json', // 'json' files in data/, or 'sqlite' for favorites and the cache (needs Node.js 22.13+)
+    database: path.join(DATA_DIR, 'recipe-explorer.db') // Used by the sqlite engine and `storage import`
+  },
+  catalog: {
+    enabled: true,
+    file: path.join(DATA_DIR, 'index.json'),
+    maxAgeMs: 7 * 24 * 60 * 60 * 1000 // Re-sync weekly
+  },
+  favorites: {
+    refreshConcurrency: 2, // Favorites looked up at the same time by `favorites refresh`
+    historySize: 50, // Changes that can be undone
+    trashRetentionMs: 30 * 24 * 60 * 60 * 1000 // How long removed favorites can be restored
+  },
+  prefetch: {
+    enabled: true, // Warm the cache in the background while browsing interactively
+    concurrency: 2, // Recipes warmed at the same time
+    searchResults: 3, // Top results warmed after each search
+    related: true // Also warm each recipe's related recipes
+  },
+  http: { ...DEFAULT_HTTP_OPTIONS },
+  rateLimit: { ...DEFAULT_RATE_LIMIT }
+};
+
+let currentConfig = null;
+
+// Profile chosen with setProfile(), null to use RECIPE_PROFILE or the default
+let currentProfile = null;
+
+/**
+ * Check whether a value is a plain object that should be merged key by key
+ *
+ * @param {any} value - Value to check
+ * @returns {boolean} - True for non-array objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge settings objects, with later sources winning
+ *
+ * @param {Object} base - Settings to start from
+ * @param {Object} overrides - Settings to apply on top
+ * @returns {Object} - New merged settings object
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Object/entries | MDN: Object.entries}
+ */
+export function mergeConfig(base, overrides) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(overrides || {})) {
+    result[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+  }
+  return result;
+}
+
+/**
+ * Read the settings file if there is one
+ *
+ * @param {string} file - Path to the settings file
+ * @returns {Object} - Parsed settings, or an empty object if the file does not exist
+ * @throws {Error} - If the file exists but is not valid JSON
+ */
+function readSettingsFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch {
+    return {};
+  }
+
+  let settings;
+  try {
+    settings = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid settings file ${file}: ${error.message}`);
+  }
+
+  if (settings.local?.directory) {
+    settings.local.directory = path.resolve(path.dirname(file), settings.local.directory);
+  }
+  if (settings.cache?.file) {
+    settings.cache.file = path.resolve(path.dirname(file), settings.cache.file);
+  }
+  if (settings.cache?.statsFile) {
+    settings.cache.statsFile = path.resolve(path.dirname(file), settings.cache.statsFile);
+  }
+  if (settings.storage?.database) {
+    settings.storage.database = path.resolve(path.dirname(file), settings.storage.database);
+  }
+  if (settings.catalog?.file) {
+    settings.catalog.file = path.resolve(path.dirname(file), settings.catalog.file);
+  }
+  return settings;
+}
+
+/**
+ * Check whether a name can be used for a profile
+ *
+ * @param {string} name - Profile name
+ * @returns {boolean} - True for 1 to 40 letters, digits, - and _, not starting with - or _
+ */
+export function isValidProfileName(name) {
+  return typeof name === 'string' && PROFILE_NAME_PATTERN.test(name);
+}
+
+/**
+ * Get the directory a profile keeps its favorites and settings in
+ *
+ * @param {string} name - Profile name (default: the current profile)
+ * @returns {string} - DATA_DIR for the default profile, otherwise a directory in PROFILES_DIR
+ */
+export function getProfileDirectory(name = getProfile()) {
+  return name === DEFAULT_PROFILE ? DATA_DIR : path.join(PROFILES_DIR, name);
+}
+
+/**
+ * Read the sections a profile's settings file may change
+ *
+ * @param {string} profile - Profile name
+ * @returns {Object} - Settings overrides, empty for the default profile, which uses the main settings file
+ * @throws {Error} - If the file exists but is not valid JSON
+ */
+function readProfileSettings(profile) {
+  if (profile === DEFAULT_PROFILE) {
+    return {};
+  }
+
+  const settings = readSettingsFile(path.join(getProfileDirectory(profile), 'settings.json'));
+  return Object.fromEntries(Object.entries(settings).filter(([section]) => PROFILE_SECTIONS.includes(section)));
+}
+
+/**
+ * Collect settings given through environment variables
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Settings overrides
+ */
+function readEnvironment(env) {
+  const settings = {};
+  if (env.RECIPE_PROVIDER) {
+    settings.provider = env.RECIPE_PROVIDER;
+  }
+  if (env.RECIPE_LOCAL_DIR) {
+    settings.local = { directory: path.resolve(env.RECIPE_LOCAL_DIR) };
+  }
+  return settings;
+}
+
+/**
+ * Load settings from defaults, the settings file, the profile's settings file and the environment
+ *
+ * @param {Object} env - Environment variables (default: process.env)
+ * @param {string} profile - Profile to load settings for (default: RECIPE_PROFILE or the default profile)
+ * @returns {Object} - Complete settings
+ * @throws {Error} - If the profile name is invalid or a settings file is not valid JSON
+ */
+export function loadConfig(env = process.env, profile = env.RECIPE_PROFILE || DEFAULT_PROFILE) {
+  if (!isValidProfileName(profile)) {
+    throw new Error(`Invalid profile name "${profile}"`);
+  }
+
+  const file = env.RECIPE_SETTINGS_FILE ? path.resolve(env.RECIPE_SETTINGS_FILE) : DEFAULT_SETTINGS_FILE;
+  const settings = mergeConfig(readSettingsFile(file), readProfileSettings(profile));
+  return mergeConfig(mergeConfig(DEFAULT_CONFIG, settings), readEnvironment(env));
+}
+
+/**
+ * Get the current settings, loading them on first use
+ *
+ * @returns {Object} - Complete settings
+ */
+export function getConfig() {
+  if (!currentConfig) {
+    currentConfig = loadConfig(process.env, getProfile());
+  }
+  return currentConfig;
+}
+
+/**
+ * Replace the current settings
+ * Passing null makes the next getConfig() reload from disk
+ *
+ * @param {Object|null} config - Settings to use
+ */
+export function setConfig(config) {
+  currentConfig = config;
+}
+
+/**
+ * Get the name of the current profile
+ *
+ * @returns {string} - Profile chosen with setProfile(), else RECIPE_PROFILE, else the default profile
+ */
+export function getProfile() {
+  return currentProfile ?? (process.env.RECIPE_PROFILE || DEFAULT_PROFILE);
+}
+
+/**
+ * Switch to another profile
+ * Settings are reloaded with the profile's own settings on the next getConfig()
+ *
+ * @param {string} name - Profile name; the profile is created when something is first saved to it
+ * @throws {RangeError} - If the name is not a valid profile name
+ */
+export function setProfile(name) {
+  if (!isValidProfileName(name)) {
+    throw new RangeError(`Invalid profile name "${name}": use up to 40 letters, digits, - and _`);
+  }
+  currentProfile = name;
+  currentConfig = null;
+}
+
+/**
+ * List the profiles that exist
+ *
+ * @returns {Array<string>} - The default profile first, then the others by name
+ *
+ * @see {@link https://nodejs.org/api/fs.html#fsreaddirsyncpath-options | Node.js: fs.readdirSync}
+ */
+export function listProfiles() {
+  let entries;
+  try {
+    entries = fs.readdirSync(PROFILES_DIR, { withFileTypes: true });
+  } catch {
+    entries = [];
+  }
+
+  const names = entries
+    .filter(entry => entry.isDirectory() && isValidProfileName(entry.name) && entry.name !== DEFAULT_PROFILE)
+    .map(entry => entry.name)
+    .sort((a, b) => a.localeCompare(b));
+  return [DEFAULT_PROFILE, ...names];
+}
+
+export default {
+  DATA_DIR,
+  DEFAULT_PROFILE,
+  PROFILES_DIR,
+  DEFAULT_CONFIG,
+  mergeConfig,
+  isValidProfileName,
+  getProfileDirectory,
+  loadConfig,
+  getConfig,
+  setConfig,
+  getProfile,
+  setProfile,
+  listProfiles
+};
@@ -0,0 +1,289 @@
+// src/database.js
+/**
+ * SQLite database for the optional `sqlite` storage engine
+ * One database file holds the cache and every profile's favorites, undo history
+ * and trash, so they can be queried with any SQLite tool. Values are stored as
+ * JSON text, with the columns worth querying (IDs, names, dates) copied alongside.
+ *
+ * Uses Node's built-in `node:sqlite`, which is loaded only when the engine is used,
+ * so the default JSON files keep working on versions of Node without it. Node marks
+ * the module experimental and warns about it when it loads; that warning is dropped
+ * so it isn't printed on every command, while other warnings still appear.
+ *
+ * The database's version is kept in `PRAGMA user_version`, like the version header of
+ * the JSON data files (see schema.js). Opening an older database upgrades it; a
+ * database from a newer release is refused.
+ *
+ * @see {@link https://nodejs.org/api/sqlite.html | Node.js: SQLite}
+ * @see {@link https://www.sqlite.org/pragma.html#pragma_user_version | SQLite: user_version}
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { SchemaError } from './schema.js';
+
+// The first version's tables; IF NOT EXISTS also upgrades databases made before versioning
+const TABLES = `
+  CREATE TABLE IF NOT EXISTS cache (
+    key TEXT PRIMARY KEY,
+    timestamp INTEGER NOT NULL,
+    last_used INTEGER NOT NULL,
+    bytes INTEGER NOT NULL,
+    entry TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS cache_last_used ON cache (last_used);
+
+  CREATE TABLE IF NOT EXISTS favorites (
+    profile TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    id TEXT NOT NULL,
+    name TEXT,
+    category TEXT,
+    area TEXT,
+    recipe TEXT NOT NULL,
+    PRIMARY KEY (profile, position)
+  );
+
+  CREATE TABLE IF NOT EXISTS favorites_journal (
+    profile TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    at INTEGER,
+    action TEXT,
+    change TEXT NOT NULL,
+    PRIMARY KEY (profile, position)
+  );
+
+  CREATE TABLE IF NOT EXISTS favorites_trash (
+    profile TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    id TEXT,
+    removed_at INTEGER,
+    item TEXT NOT NULL,
+    PRIMARY KEY (profile, position)
+  );
+`;
+
+/**
+ * SQL that brings the database to each version
+ * `MIGRATIONS[n - 1]` turns a version n - 1 database into version n
+ */
+const MIGRATIONS = [TABLES];
+
+// Current version of the database
+export const DATABASE_VERSION = MIGRATIONS.length;
+
+// Open databases by absolute path, shared by the cache and favorites
+const databases = new Map();
+
+/**
+ * Check whether a warning is the one node:sqlite emits when it loads
+ *
+ * @param {string|Error} warning - Warning message or object
+ * @param {string|Object} options - Warning type, or options with a `type`
+ * @returns {boolean} - True for the SQLite ExperimentalWarning
+ */
+function isSqliteWarning(warning, options) {
+  const type = typeof options === 'string' ? options : options?.type ?? warning?.name;
+  return type === 'ExperimentalWarning' && String(warning?.message ?? warning).includes('SQLite');
+}
+
+/**
+ * Load the built-in SQLite module
+ * The experimental warning it emits is dropped; see the note at the top of this file
+ *
+ * @returns {Promise<Object>} - The node:sqlite module
+ * @throws {Error} - If this version of Node does not have it
+ *
+ * @see {@link https://nodejs.org/api/process.html#processemitwarningwarning-options | Node.js: process.emitWarning}
+ */
+async function loadSqlite() {
+  const { emitWarning } = process;
+  process.emitWarning = (warning, ...args) => {
+    if (!isSqliteWarning(warning, args[0])) {
+      emitWarning.call(process, warning, ...args);
+    }
+  };
+  try {
+    return await import('node:sqlite');
+  } catch (error) {
+    if (error.code !== 'ERR_UNKNOWN_BUILTIN_MODULE') throw error;
+    throw new Error(`The sqlite storage engine needs Node.js 22.13 or later (this is ${process.version}); `
+      + 'use the json engine instead');
+  } finally {
+    process.emitWarning = emitWarning;
+  }
+}
+
+/**
+ * Check whether the sqlite storage engine can be used
+ *
+ * @returns {Promise<boolean>} - True if node:sqlite is available
+ */
+export async function isSqliteAvailable() {
+  try {
+    await loadSqlite();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read a database's version
+ *
+ * @param {Object} db - A node:sqlite DatabaseSync
+ * @returns {number} - The user_version, 0 for a new database
+ */
+function getVersion(db) {
+  return db.prepare('PRAGMA user_version').get().user_version;
+}
+
+/**
+ * Bring a database to the current version, refusing one from a newer release
+ * Runs in a transaction, so a process that opens the database at the same time
+ * waits and then finds it already upgraded
+ *
+ * @param {Object} db - A node:sqlite DatabaseSync
+ * @param {string} file - Path of the database, for error messages
+ * @throws {SchemaError} - If the database is from a newer release
+ */
+function upgradeDatabase(db, file) {
+  transaction(db, () => {
+    const version = getVersion(db);
+    if (version > DATABASE_VERSION) {
+      throw new SchemaError(`${file} is version ${version}, written by a newer release; `
+        + `this one reads up to version ${DATABASE_VERSION}`, version);
+    }
+    for (let next = version + 1; next <= DATABASE_VERSION; next++) {
+      db.exec(MIGRATIONS[next - 1]);
+    }
+    // PRAGMA statements can't take parameters; the version is always an integer
+    db.exec(`PRAGMA user_version = ${DATABASE_VERSION}`);
+  });
+}
+
+/**
+ * Open a database, creating the file and its tables if needed
+ * Each file is opened once per process and shared
+ *
+ * @param {string} file - Path to the database file
+ * @returns {Promise<Object>} - A node:sqlite DatabaseSync
+ * @throws {Error} - If SQLite is unavailable or the file cannot be opened
+ * @throws {SchemaError} - If the database is from a newer release
+ *
+ * @see {@link https://www.sqlite.org/wal.html | SQLite: Write-Ahead Logging}
+ */
+export async function openDatabase(file) {
+  const key = path.resolve(file);
+  if (!databases.has(key)) {
+    // Stored as a promise so concurrent first calls share one connection
+    databases.set(key, (async () => {
+      const { DatabaseSync } = await loadSqlite();
+      await fs.mkdir(path.dirname(key), { recursive: true });
+
+      const db = new DatabaseSync(key);
+      // WAL lets other processes read while one writes; busy_timeout makes writers wait their turn
+      db.exec('PRAGMA journal_mode = WAL; PRAGMA busy_timeout = 5000;');
+      try {
+        upgradeDatabase(db, key);
+      } catch (error) {
+        db.close();
+        throw error;
+      }
+      return db;
+    })());
+    databases.get(key).catch(() => databases.delete(key));
+  }
+  return databases.get(key);
+}
+
+/**
+ * Read a database's version without opening it for the app
+ * Unlike openDatabase, nothing is created or upgraded
+ *
+ * @param {string} file - Path to the database file
+ * @returns {Promise<number|null>} - The version, or null if the file doesn't exist
+ * @throws {Error} - If SQLite is unavailable or the file is not a database
+ */
+export async function readDatabaseVersion(file) {
+  try {
+    await fs.access(file);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  const { DatabaseSync } = await loadSqlite();
+  const db = new DatabaseSync(file, { readOnly: true });
+  try {
+    return getVersion(db);
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Copy a database, including changes still in its write-ahead log, to a new file
+ *
+ * @param {string} file - Path to the database file
+ * @param {string} target - Path of the copy, which must not exist yet
+ * @throws {Error} - If SQLite is unavailable or the copy cannot be written
+ *
+ * @see {@link https://www.sqlite.org/lang_vacuum.html#vacuuminto | SQLite: VACUUM INTO}
+ */
+export async function backupDatabase(file, target) {
+  const { DatabaseSync } = await loadSqlite();
+  const db = new DatabaseSync(file, { readOnly: true });
+  try {
+    db.prepare('VACUUM INTO ?').run(target);
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Run statements as one transaction, rolling back if any of them fails
+ *
+ * @param {Object} db - Database from openDatabase
+ * @param {Function} fn - Synchronous function that runs the statements
+ * @returns {any} - Result of fn
+ *
+ * @see {@link https://www.sqlite.org/lang_transaction.html | SQLite: Transactions}
+ */
+export function transaction(db, fn) {
+  db.exec('BEGIN IMMEDIATE');
+  try {
+    const result = fn();
+    db.exec('COMMIT');
+    return result;
+  } catch (error) {
+    db.exec('ROLLBACK');
+    throw error;
+  }
+}
+
+/**
+ * Close every open database
+ * Mainly for tests, which remove their database files afterwards
+ */
+export async function closeDatabases() {
+  const open = [...databases.values()];
+  databases.clear();
+  for (const pending of open) {
+    try {
+      (await pending).close();
+    } catch {
+      // A database that failed to open has nothing to close
+    }
+  }
+}
+
+export default {
+  DATABASE_VERSION,
+  isSqliteAvailable,
+  openDatabase,
+  readDatabaseVersion,
+  backupDatabase,
+  transaction,
+  closeDatabases
+};
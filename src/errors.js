@@ -0,0 +1,72 @@
+// src/errors.js
+/**
+ * Error types used when talking to recipe sources
+ * Every error extends RecipeError so callers can tell them apart from bugs
+ *
+ * RecipeError
+ * ├── NetworkError    - no response at all
+ * ├── TimeoutError    - no response in time
+ * ├── NotFoundError   - the recipe or endpoint does not exist
+ * ├── ParseError      - the response was not what we expected
+ * └── HttpError       - any other unsuccessful HTTP status
+ *     └── RateLimitError - HTTP 429
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Error#custom_error_types | MDN: Custom error types}
+ */
+
+/**
+ * Base class for all recipe errors
+ */
+export class RecipeError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Extra details; `cause` is passed on to Error
+   */
+  constructor(message, { cause, ...details } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = new.target.name;
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * The request never got a response (DNS failure, connection refused, ...)
+ */
+export class NetworkError extends RecipeError {}
+
+/**
+ * The request did not finish within its time limit
+ */
+export class TimeoutError extends RecipeError {}
+
+/**
+ * The requested recipe or endpoint does not exist
+ * Has `id` for missing recipes, or `status` and `url` for HTTP 404 responses
+ */
+export class NotFoundError extends RecipeError {}
+
+/**
+ * The server answered with an unsuccessful HTTP status
+ * Has `status`, `url` and, when the server sent one, `retryAfterMs`
+ */
+export class HttpError extends RecipeError {}
+
+/**
+ * The server asked us to slow down (HTTP 429)
+ */
+export class RateLimitError extends HttpError {}
+
+/**
+ * The response body was not the JSON we expected
+ */
+export class ParseError extends RecipeError {}
+
+export default {
+  RecipeError,
+  NetworkError,
+  TimeoutError,
+  NotFoundError,
+  HttpError,
+  RateLimitError,
+  ParseError
+};
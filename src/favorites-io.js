@@ -0,0 +1,346 @@
+// src/favorites-io.js
+/**
+ * Moving favorites between machines: export to JSON, CSV or Markdown, and read
+ * exported JSON or CSV files back with every record validated
+ *
+ * - JSON holds the full recipes, each with a `favorite` object (see utils.toFavoriteRecord).
+ *   Plain recipe arrays and TheMealDB responses (`{ meals: [...] }`) can be imported too.
+ * - CSV holds one row per favorite with the recipe summary and what the user added.
+ *   Lists such as tags are separated with `;`.
+ * - Markdown is for reading and sharing, so it is export only.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { toRecipe } from './recipe.js';
+import { MAX_RATING } from './favorites.js';
+import { toFavoriteRecord } from './utils.js';
+
+/** @typedef {import('./favorites.js').Favorite} Favorite */
+
+/**
+ * Formats favorites can be exported in
+ */
+export const EXPORT_FORMATS = ['json', 'csv', 'md'];
+
+/**
+ * Formats favorites can be imported from, by file extension
+ */
+export const IMPORT_FORMATS = { '.json': 'json', '.csv': 'csv' };
+
+// CSV columns, in the order they are written
+const CSV_COLUMNS = ['id', 'name', 'category', 'area', 'image', 'source', 'collections', 'tags', 'note', 'rating', 'addedAt'];
+
+// Separates the items of list columns in CSV
+const CSV_LIST_SEPARATOR = ';';
+
+/**
+ * Quote a CSV field when it contains a comma, quote or line break
+ *
+ * @param {any} value - Field value; null becomes an empty field
+ * @returns {string} - CSV field
+ *
+ * @see {@link https://www.rfc-editor.org/rfc/rfc4180 | RFC 4180: CSV}
+ */
+function toCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Split CSV text into rows of fields
+ * Handles quoted fields with commas, doubled quotes and line breaks
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows, without blank lines
+ * @throws {Error} - If a quoted field is never closed
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV has a quoted field that is never closed');
+  }
+  row.push(field);
+  rows.push(row);
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Export favorites as CSV
+ *
+ * @param {Array<Favorite>} favorites - Favorites to export
+ * @returns {string} - CSV text with a header row
+ */
+function toCsv(favorites) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const { recipe, collections, tags, note, rating, addedAt } of favorites) {
+    const values = [
+      recipe.id,
+      recipe.name,
+      recipe.category,
+      recipe.area,
+      recipe.image,
+      recipe.source,
+      collections.join(CSV_LIST_SEPARATOR),
+      tags.join(CSV_LIST_SEPARATOR),
+      note,
+      rating,
+      addedAt === null ? null : new Date(addedAt).toISOString()
+    ];
+    lines.push(values.map(toCsvField).join(','));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Export favorites as a Markdown document
+ *
+ * @param {Array<Favorite>} favorites - Favorites to export
+ * @returns {string} - Markdown text
+ */
+function toMarkdown(favorites) {
+  const lines = ['# Favorite recipes'];
+
+  for (const { recipe, collections, tags, note, rating, addedAt, missingSince } of favorites) {
+    lines.push('', `## ${recipe.name}`, '');
+    lines.push(`- ID: ${recipe.id}`);
+    if (recipe.category || recipe.area) {
+      lines.push(`- ${[recipe.category, recipe.area].filter(Boolean).join(', ')}`);
+    }
+    if (rating !== null) lines.push(`- Rating: ${rating}/${MAX_RATING}`);
+    if (collections.length > 0) lines.push(`- Collections: ${collections.join(', ')}`);
+    if (tags.length > 0) lines.push(`- Tags: ${tags.map(tag => `#${tag}`).join(' ')}`);
+    if (addedAt !== null) lines.push(`- Added: ${new Date(addedAt).toISOString().slice(0, 10)}`);
+    if (recipe.source) lines.push(`- Source: <${recipe.source}>`);
+    if (missingSince !== null) lines.push('- No longer available from the recipe service');
+    if (note) lines.push('', ...note.split(/\r?\n/).map(line => `> ${line}`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Export favorites in one of EXPORT_FORMATS
+ *
+ * @param {Array<Favorite>} favorites - Favorites to export
+ * @param {string} format - 'json', 'csv' or 'md'
+ * @returns {string} - File contents
+ * @throws {RangeError} - If the format is unknown
+ */
+export function exportFavorites(favorites, format) {
+  if (format === 'json') return JSON.stringify(favorites.map(toFavoriteRecord), null, 2);
+  if (format === 'csv') return toCsv(favorites);
+  if (format === 'md') return toMarkdown(favorites);
+  throw new RangeError(`Unknown export format "${format}", expected one of: ${EXPORT_FORMATS.join(', ')}`);
+}
+
+/**
+ * Check that a value is a list of non-empty strings
+ *
+ * @param {any} value - Value to check; undefined and null mean an empty list
+ * @param {string} field - Field name for the error message
+ * @returns {Array<string>} - The list
+ * @throws {Error} - If the value is not a list of non-empty strings
+ */
+function validateLabels(value, field) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value) || !value.every(label => typeof label === 'string' && label.trim() !== '')) {
+    throw new Error(`${field} must be a list of names`);
+  }
+  return value;
+}
+
+/**
+ * Check one imported record and turn it into a Favorite
+ * Records are recipes in model or TheMealDB shape, with what the user added in a
+ * `favorite` object (as exported) or a `meta` object (as stored)
+ *
+ * @param {any} record - Parsed record
+ * @returns {Favorite} - Validated favorite
+ * @throws {Error} - Describing the first problem found
+ */
+export function validateRecord(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    throw new Error('not an object');
+  }
+
+  const recipe = toRecipe(record);
+  if (!/^[^\s]+$/.test(recipe.id)) {
+    throw new Error('id is missing or contains spaces');
+  }
+  if (typeof recipe.name !== 'string' || recipe.name.trim() === '') {
+    throw new Error('name is missing');
+  }
+
+  const details = record.favorite ?? record.meta ?? {};
+  if (typeof details !== 'object' || Array.isArray(details)) {
+    throw new Error('favorite must be an object');
+  }
+
+  const note = details.note ?? '';
+  if (typeof note !== 'string') {
+    throw new Error('note must be text');
+  }
+
+  const rating = details.rating ?? null;
+  if (rating !== null && !(Number.isInteger(rating) && rating >= 1 && rating <= MAX_RATING)) {
+    throw new Error(`rating must be a whole number from 1 to ${MAX_RATING}`);
+  }
+
+  const addedAt = details.addedAt ?? null;
+  const addedAtMs = typeof addedAt === 'string' ? Date.parse(addedAt) : addedAt;
+  if (addedAtMs !== null && !Number.isFinite(addedAtMs)) {
+    throw new Error('addedAt must be a date');
+  }
+
+  const sourceId = details.sourceId ?? null;
+  if (sourceId !== null && !(typeof sourceId === 'string' && /^[^\s]+$/.test(sourceId))) {
+    throw new Error('sourceId must be an ID without spaces');
+  }
+
+  return {
+    recipe,
+    addedAt: addedAtMs,
+    collections: validateLabels(details.collections, 'collections'),
+    tags: validateLabels(details.tags, 'tags'),
+    note: note.trim(),
+    rating,
+    // Whether the recipe source still has the recipe is checked again on this machine
+    refreshedAt: null,
+    missingSince: null,
+    sourceId
+  };
+}
+
+/**
+ * Turn a CSV row into a record for validateRecord
+ *
+ * @param {Object} row - Field values by column name
+ * @returns {Object} - Recipe fields with a `favorite` object
+ */
+function fromCsvRow(row) {
+  const list = value => (value ? value.split(CSV_LIST_SEPARATOR).map(item => item.trim()).filter(Boolean) : []);
+  return {
+    id: row.id,
+    name: row.name,
+    category: row.category,
+    area: row.area,
+    image: row.image,
+    source: row.source,
+    favorite: {
+      collections: list(row.collections),
+      tags: list(row.tags),
+      note: row.note,
+      rating: row.rating ? Number(row.rating) : null,
+      addedAt: row.addedAt || null
+    }
+  };
+}
+
+/**
+ * Split imported text into records
+ *
+ * @param {string} text - File contents
+ * @param {string} format - 'json' or 'csv'
+ * @returns {Array<any>} - Records to validate
+ * @throws {Error} - If the text cannot be parsed at all
+ */
+function readRecords(text, format) {
+  if (format === 'csv') {
+    const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+    const columns = header.map(column => column.trim());
+    if (!columns.includes('id') || !columns.includes('name')) {
+      throw new Error('CSV needs a header row with at least "id" and "name" columns');
+    }
+    return rows.map(fields => Object.fromEntries(columns.map((column, i) => [column, fields[i] ?? ''])))
+      .map(fromCsvRow);
+  }
+
+  const data = JSON.parse(text);
+  const records = Array.isArray(data) ? data : data?.meals;
+  if (!Array.isArray(records)) {
+    throw new Error('JSON must be a list of recipes');
+  }
+  return records;
+}
+
+/**
+ * Parse exported favorites, keeping the valid records and describing the rest
+ *
+ * @param {string} text - File contents
+ * @param {string} format - 'json' or 'csv'
+ * @returns {Object} - { favorites, invalid: [{ record, reason }] } with 1-based record numbers
+ * @throws {Error} - If the text cannot be parsed at all
+ */
+export function parseFavorites(text, format) {
+  const favorites = [];
+  const invalid = [];
+
+  readRecords(text, format).forEach((record, index) => {
+    try {
+      favorites.push(validateRecord(record));
+    } catch (error) {
+      invalid.push({ record: index + 1, reason: error.message });
+    }
+  });
+  return { favorites, invalid };
+}
+
+/**
+ * Read an exported favorites file, picking the format from its extension
+ *
+ * @param {string} file - Path to a .json or .csv file
+ * @returns {Promise<Object>} - Same as parseFavorites
+ * @throws {Error} - If the file type is not supported or the file cannot be read or parsed
+ *
+ * @see {@link https://nodejs.org/api/path.html#pathextnamepath | Node.js: path.extname}
+ */
+export async function readFavoritesFile(file) {
+  const format = IMPORT_FORMATS[path.extname(file).toLowerCase()];
+  if (!format) {
+    throw new Error(`Cannot import ${path.basename(file)}: expected a ${Object.keys(IMPORT_FORMATS).join(' or ')} file`);
+  }
+  return parseFavorites(await fs.readFile(file, 'utf8'), format);
+}
+
+export default {
+  EXPORT_FORMATS,
+  IMPORT_FORMATS,
+  exportFavorites,
+  validateRecord,
+  parseFavorites,
+  readFavoritesFile
+};
@@ -0,0 +1,83 @@
+// src/favorites-refresh.js
+/**
+ * Bring favorites up to date with the recipe source
+ * Favorites are copies of whatever was shown when they were added, so they drift
+ * from TheMealDB, and ones added from filter results are summaries without
+ * ingredients or instructions. Refreshing looks each one up again, a few at a time,
+ * stores the current details and marks the ones that no longer exist.
+ */
+
+import * as api from './api.js';
+import * as cache from './cache.js';
+import * as favorites from './favorites.js';
+import { getConfig } from './config.js';
+import { NotFoundError } from './errors.js';
+import { isPartial } from './recipe.js';
+import { runWithConcurrency } from './utils.js';
+
+/**
+ * Look up one favorite and compare it with the stored copy
+ * The synced catalog index is skipped so the answer comes from the recipe source.
+ * Copies made by a keep-both import are looked up by their original's ID.
+ *
+ * @param {Object} favorite - Favorite from favorites.findFavorites
+ * @returns {Promise<Object>} - { id, name, outcome, recipe }; outcome is 'updated', 'upgraded',
+ *   'unchanged', 'missing' or 'failed', and recipe is the current one, or null if missing or failed
+ */
+async function refreshRecipe({ recipe: stored, sourceId }) {
+  const { id, name } = stored;
+  const lookupId = sourceId ?? id;
+
+  try {
+    const found = await api.getMealById(lookupId, 2, { fresh: true });
+    await cache.saveToCache(`recipe_${lookupId}`, found);
+
+    // A copy keeps its own ID
+    const recipe = { ...found, id };
+    let outcome = 'unchanged';
+    if (isPartial(stored) && !isPartial(recipe)) {
+      outcome = 'upgraded';
+    } else if (JSON.stringify(recipe) !== JSON.stringify(stored)) {
+      outcome = 'updated';
+    }
+    return { id, name, outcome, recipe };
+  } catch (error) {
+    return { id, name, outcome: error instanceof NotFoundError ? 'missing' : 'failed', recipe: null };
+  }
+}
+
+/**
+ * Refresh every favorite from the recipe source
+ * Favorites that could not be checked, e.g. while offline, are left as they are
+ *
+ * @param {Object} options - `concurrency` overrides the favorites.refreshConcurrency setting;
+ *   `onProgress` is called with { done, total } as lookups finish
+ * @returns {Promise<Object>} - Counts { checked, updated, upgraded, unchanged, missing, failed }
+ *   plus `missingRecipes`, the { id, name } of favorites that no longer exist
+ * @throws {Error} - If the favorites file cannot be read or written
+ */
+export async function refreshFavorites({ concurrency = getConfig().favorites.refreshConcurrency, onProgress = () => {} } = {}) {
+  const stored = await favorites.findFavorites();
+
+  let done = 0;
+  const results = await runWithConcurrency(stored.map(favorite => async () => {
+    const result = await refreshRecipe(favorite);
+    onProgress({ done: ++done, total: stored.length });
+    return result;
+  }), concurrency);
+
+  await favorites.saveRefreshedFavorites(results.filter(result => result.outcome !== 'failed'));
+
+  const summary = { checked: results.length, updated: 0, upgraded: 0, unchanged: 0, missing: 0, failed: 0 };
+  for (const { outcome } of results) {
+    summary[outcome]++;
+  }
+  summary.missingRecipes = results
+    .filter(result => result.outcome === 'missing')
+    .map(({ id, name }) => ({ id, name }));
+  return summary;
+}
+
+export default {
+  refreshFavorites
+};
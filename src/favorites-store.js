@@ -0,0 +1,173 @@
+// src/favorites-store.js
+/**
+ * Where a profile's favorites, undo history and trash are kept
+ * favorites.js works on whole lists and does not care how they are stored. A store has:
+ * - initialize() -> boolean, true if storage was created
+ * - read(list) -> Array of items, empty if there are none
+ * - write(list, items, { backup })
+ * - withLock(fn) -> result of fn, run while no other process changes the profile
+ *
+ * Lists are FAVORITES (stored recipes), JOURNAL (undo entries) and TRASH (removed favorites).
+ * The `json` engine keeps each list in a file in the profile's directory; the `sqlite`
+ * engine keeps them in tables of the shared database (see database.js).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { writeFileAtomic, withFileLock, readJsonFile, serializeJson } from './storage.js';
+import { openDatabase, transaction } from './database.js';
+import { getConfig, getProfile, getProfileDirectory } from './config.js';
+
+export const FAVORITES = 'favorites';
+export const JOURNAL = 'journal';
+export const TRASH = 'trash';
+
+// File names and data schemas (see schema.js) used by the json engine
+const LIST_FILES = {
+  [FAVORITES]: { name: 'favorites.json', schema: 'favorites' },
+  [JOURNAL]: { name: 'favorites-journal.json', schema: 'favorites-journal' },
+  [TRASH]: { name: 'favorites-trash.json', schema: 'favorites-trash' }
+};
+
+// Tables used by the sqlite engine, with the queryable columns copied from each item
+const LIST_TABLES = {
+  [FAVORITES]: {
+    table: 'favorites',
+    columns: ['id', 'name', 'category', 'area', 'recipe'],
+    values: recipe => [recipe.id, recipe.name ?? null, recipe.category ?? null, recipe.area ?? null]
+  },
+  [JOURNAL]: {
+    table: 'favorites_journal',
+    columns: ['at', 'action', 'change'],
+    values: entry => [entry.at ?? null, entry.action ?? null]
+  },
+  [TRASH]: {
+    table: 'favorites_trash',
+    columns: ['id', 'removed_at', 'item'],
+    values: item => [item.favorite?.id ?? null, item.removedAt ?? null]
+  }
+};
+
+/**
+ * Get the favorites data files of a profile directory
+ *
+ * @param {string} directory - Profile directory
+ * @returns {Array<Object>} - { list, file, schema } for each list, favorites first
+ */
+export function getListFiles(directory) {
+  return Object.entries(LIST_FILES).map(([list, { name, schema }]) => ({ list, file: path.join(directory, name), schema }));
+}
+
+/**
+ * Create a store that keeps each list in a JSON file
+ * A corrupt file is quarantined and restored from its backup (see storage.js)
+ *
+ * @param {string} directory - Profile directory
+ * @returns {Object} - Favorites store
+ */
+export function createJsonStore(directory) {
+  const fileFor = list => path.join(directory, LIST_FILES[list].name);
+
+  return {
+    engine: 'json',
+
+    // Create the favorites file if it doesn't exist
+    async initialize() {
+      const file = fileFor(FAVORITES);
+      try {
+        await fs.access(file);
+        return false;
+      } catch (error) {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await writeFileAtomic(file, serializeJson([], { schema: LIST_FILES[FAVORITES].schema }));
+        return true;
+      }
+    },
+
+    read(list) {
+      // Every list is changed under the favorites file's lock, so recovering one takes it too
+      return readJsonFile(fileFor(list), {
+        fallback: [], validate: Array.isArray, schema: LIST_FILES[list].schema, lockFile: fileFor(FAVORITES)
+      });
+    },
+
+    async write(list, items, { backup = false } = {}) {
+      const text = serializeJson(items, { schema: LIST_FILES[list].schema });
+      await writeFileAtomic(fileFor(list), text, { backup });
+    },
+
+    withLock(fn) {
+      return withFileLock(fileFor(FAVORITES), fn);
+    }
+  };
+}
+
+/**
+ * Create a store that keeps the lists in the SQLite database
+ * Each list is replaced in one transaction, so readers never see half a change
+ *
+ * @param {string} database - Path to the database file
+ * @param {string} profile - Profile the rows belong to
+ * @returns {Object} - Favorites store
+ */
+export function createSqliteStore(database, profile) {
+  return {
+    engine: 'sqlite',
+
+    async initialize() {
+      await openDatabase(database);
+      return false;
+    },
+
+    async read(list) {
+      const db = await openDatabase(database);
+      const { table, columns } = LIST_TABLES[list];
+      const json = columns[columns.length - 1];
+      return db.prepare(`SELECT ${json} FROM ${table} WHERE profile = ? ORDER BY position`).all(profile)
+        .map(row => JSON.parse(row[json]));
+    },
+
+    async write(list, items) {
+      const db = await openDatabase(database);
+      const { table, columns, values } = LIST_TABLES[list];
+      const placeholders = columns.map(() => '?').join(', ');
+      transaction(db, () => {
+        db.prepare(`DELETE FROM ${table} WHERE profile = ?`).run(profile);
+        const insert = db.prepare(`INSERT INTO ${table} (profile, position, ${columns.join(', ')}) VALUES (?, ?, ${placeholders})`);
+        items.forEach((item, position) => insert.run(profile, position, ...values(item), JSON.stringify(item)));
+      });
+    },
+
+    // Changes read and write several lists, so they still take turns across processes
+    withLock(fn) {
+      return withFileLock(`${database}-${profile}`, fn);
+    }
+  };
+}
+
+/**
+ * Get the store for the current profile and storage engine
+ *
+ * @returns {Object} - Favorites store
+ * @throws {Error} - If the storage engine is unknown
+ */
+export function getFavoritesStore() {
+  const { storage } = getConfig();
+  if (storage.engine === 'sqlite') {
+    return createSqliteStore(storage.database, getProfile());
+  }
+  if (storage.engine === 'json') {
+    return createJsonStore(getProfileDirectory());
+  }
+  throw new Error(`Unknown storage engine "${storage.engine}", expected json or sqlite`);
+}
+
+export default {
+  FAVORITES,
+  JOURNAL,
+  TRASH,
+  getListFiles,
+  createJsonStore,
+  createSqliteStore,
+  getFavoritesStore
+};
@@ -1,46 +1,348 @@
 // src/favorites.js
 /**
  * This module provides functionality to manage favorite recipes
+ * Favorites are stored as Recipe objects from the recipe model, each with an optional
+ * `meta` object holding what the user added: date added, collections, tags, a note and a rating
+ * Changes are made while holding the store's lock and written atomically; with the json
+ * storage engine a corrupt favorites file is quarantined and restored from its backup
+ *
+ * Every change is recorded in a journal so it can be undone, and removed favorites
+ * are kept in a trash for a while so they can be restored.
+ *
+ * All three lists belong to the current profile (see config.js) and are kept by the
+ * storage engine chosen in the settings (see favorites-store.js).
+ */
+
+import { toRecipe } from './recipe.js';
+import { getConfig } from './config.js';
+import { FAVORITES, JOURNAL, TRASH, getFavoritesStore } from './favorites-store.js';
+
+/** @typedef {import('./recipe.js').Recipe} Recipe */
+
+/**
+ * @typedef {Object} Favorite
+ * @property {Recipe} recipe - The favorite recipe
+ * @property {number|null} addedAt - When it was added (ms since the epoch), null if saved before this was recorded
+ * @property {Array<string>} collections - Names of the collections it belongs to, e.g. "Weeknight"
+ * @property {Array<string>} tags - User tags, lowercase
+ * @property {string} note - Free-form note, empty if none
+ * @property {number|null} rating - Personal rating from 1 to 5, null if unrated
+ * @property {number|null} refreshedAt - When the recipe was last checked against the recipe source, null if never
+ * @property {number|null} missingSince - When the recipe source first stopped finding it, null while it is found
+ * @property {string|null} sourceId - ID the recipe source knows it by, for copies with an ID of their own
+ *   (see the keep-both merge strategy); null when that is the recipe's ID
+ */
+
+/**
+ * @typedef {Object} JournalEntry
+ * @property {number} at - When the change was made (ms since the epoch)
+ * @property {string} action - 'add', 'remove', 'edit', 'import', 'refresh' or 'restore'
+ * @property {Array<Object>} changes - { id, index, before, after } per favorite, in stored shape; null where it did not exist
+ * @property {Array<Object>} trashed - Trash items the change added
+ * @property {Array<Object>} untrashed - Trash items the change took out
+ */
+
+// Highest personal rating
+export const MAX_RATING = 5;
+
+/**
+ * What importFavorites does with a recipe that is already a favorite
+ * - skip: keep the existing favorite
+ * - overwrite: replace it with the imported one, in the same place
+ * - keep-both: add the imported one as a copy with a suffixed ID, e.g. `52772-2`
+ */
+export const MERGE_STRATEGIES = ['skip', 'overwrite', 'keep-both'];
+
+/**
+ * Create the favorites storage if it doesn't exist
+ *
+ * @returns {Promise<boolean>} - True if it was created
+ */
+async function ensureFavoritesFile() {
+  return getFavoritesStore().initialize();
+}
+
+/**
+ * Turn a stored favorite into a Favorite
+ * Favorites saved before metadata existed get empty defaults
+ *
+ * @param {Object} stored - Recipe with an optional `meta` object, in model or raw TheMealDB shape
+ * @returns {Favorite} - Favorite with every field present
+ */
+function toFavorite(stored) {
+  const meta = stored.meta || {};
+  return {
+    recipe: toRecipe(stored),
+    addedAt: meta.addedAt ?? null,
+    collections: Array.isArray(meta.collections) ? [...meta.collections] : [],
+    tags: Array.isArray(meta.tags) ? [...meta.tags] : [],
+    note: meta.note || '',
+    rating: meta.rating ?? null,
+    refreshedAt: meta.refreshedAt ?? null,
+    missingSince: meta.missingSince ?? null,
+    sourceId: meta.sourceId ?? null
+  };
+}
+
+/**
+ * Turn a Favorite back into its stored shape
+ * Only metadata that is set is written, so plain favorites stay plain recipes
+ *
+ * @param {Favorite} favorite - Favorite to store
+ * @returns {Object} - Recipe, plus `meta` if anything is set
+ */
+function toStored(favorite) {
+  const meta = {};
+  if (favorite.addedAt !== null) meta.addedAt = favorite.addedAt;
+  if (favorite.collections.length > 0) meta.collections = favorite.collections;
+  if (favorite.tags.length > 0) meta.tags = favorite.tags;
+  if (favorite.note) meta.note = favorite.note;
+  if (favorite.rating !== null) meta.rating = favorite.rating;
+  if (favorite.refreshedAt !== null) meta.refreshedAt = favorite.refreshedAt;
+  if (favorite.missingSince !== null) meta.missingSince = favorite.missingSince;
+  if (favorite.sourceId) meta.sourceId = favorite.sourceId;
+  return Object.keys(meta).length > 0 ? { ...favorite.recipe, meta } : favorite.recipe;
+}
+
+/**
+ * Read favorites with their metadata, recovering the file if it is corrupt
+ *
+ * @returns {Promise<Array<Favorite>>} - Favorites in the order they were added
+ * @throws {Error} - If the file cannot be read
+ */
+async function readFavoriteEntries() {
+  const data = await getFavoritesStore().read(FAVORITES);
+  return data.map(toFavorite);
+}
+
+/**
+ * Replace the stored favorites, keeping the current file as a backup with the json engine
+ * Only call this while holding the store's lock, after reading it successfully
+ *
+ * @param {Array<Favorite>} entries - Favorites to store
+ */
+async function writeFavoriteEntries(entries) {
+  await getFavoritesStore().write(FAVORITES, entries.map(toStored), { backup: true });
+}
+
+/**
+ * Read favorites from the file, recovering it if it is corrupt
+ *
+ * @returns {Promise<Array<Recipe>>} - Array of favorite recipes
+ * @throws {Error} - If the file cannot be read
+ */
+async function readFavorites() {
+  return (await readFavoriteEntries()).map(entry => entry.recipe);
+}
+
+/**
+ * Read the trash, leaving out items older than the retention period
+ * Items are { removedAt, favorite } with the favorite in stored shape
+ *
+ * @returns {Promise<Array<Object>>} - { removedAt, favorite } items, oldest first
+ * @throws {Error} - If the file cannot be read
+ */
+async function readTrash() {
+  const trash = await getFavoritesStore().read(TRASH);
+  const cutoff = Date.now() - getConfig().favorites.trashRetentionMs;
+  return trash.filter(item => item.removedAt >= cutoff);
+}
+
+/**
+ * Check whether two trash items are the same removal
+ *
+ * @param {Object} a - Trash item
+ * @param {Object} b - Trash item
+ * @returns {boolean} - True for the same recipe removed at the same time
+ */
+function isSameTrashItem(a, b) {
+  return a.removedAt === b.removedAt && a.favorite.id === b.favorite.id;
+}
+
+/**
+ * Add and take out trash items, dropping expired ones
+ * Only call this while holding the store's lock
+ *
+ * @param {Array<Object>} added - Items to add
+ * @param {Array<Object>} removed - Items to take out
+ */
+async function updateTrash(added, removed) {
+  const trash = (await readTrash()).filter(item => !removed.some(other => isSameTrashItem(item, other)));
+  await getFavoritesStore().write(TRASH, [...trash, ...added]);
+}
+
+/**
+ * Read the undo history
+ *
+ * @returns {Promise<Array<JournalEntry>>} - Changes, oldest first
+ * @throws {Error} - If the file cannot be read
  */
+async function readJournal() {
+  return getFavoritesStore().read(JOURNAL);
+}
+
+/**
+ * Compare favorites before and after a change
+ *
+ * @param {Array<Object>} before - Stored favorites before
+ * @param {Array<Object>} after - Stored favorites after
+ * @returns {Array<Object>} - { id, index, before, after } for each favorite that changed
+ */
+function diffFavorites(before, after) {
+  const indexed = list => new Map(list.map((stored, index) => [stored.id, { index, json: JSON.stringify(stored) }]));
+  const old = indexed(before);
+  const current = indexed(after);
+
+  const changes = [];
+  for (const id of new Set([...old.keys(), ...current.keys()])) {
+    const was = old.get(id);
+    const is = current.get(id);
+    if (was?.json !== is?.json) {
+      changes.push({
+        id,
+        index: (was ?? is).index,
+        before: was ? JSON.parse(was.json) : null,
+        after: is ? JSON.parse(is.json) : null
+      });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Change favorites while holding the store's lock, and record the change so it can be undone
+ * Nothing is written if the favorites end up the same. The trash is written first,
+ * so a removed favorite is never lost; failing to record the change only logs an error.
+ *
+ * @param {string} action - Journal action, e.g. 'edit'
+ * @param {Function} change - Called with the Favorites array to change in place and
+ *   a `trash` object whose `trashed` and `untrashed` lists it can add items to
+ * @returns {Promise<any>} - What change() returned
+ * @throws {Error} - If the favorites file cannot be read or written
+ */
+async function changeFavorites(action, change) {
+  await ensureFavoritesFile();
+  return getFavoritesStore().withLock(async () => {
+    const entries = await readFavoriteEntries();
+    // Cloned because toStored shares the label arrays that change() may edit
+    const before = structuredClone(entries.map(toStored));
+    const trash = { trashed: [], untrashed: [] };
+
+    const result = await change(entries, trash);
+
+    const changes = diffFavorites(before, entries.map(toStored));
+    if (changes.length === 0) {
+      return result;
+    }
 
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
+    if (trash.trashed.length > 0 || trash.untrashed.length > 0) {
+      await updateTrash(trash.trashed, trash.untrashed);
+    }
+    await writeFavoriteEntries(entries);
 
-// Get the directory path using ES modules
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+    try {
+      const journal = [...(await readJournal()), { at: Date.now(), action, changes, ...trash }];
+      await getFavoritesStore().write(JOURNAL, journal.slice(-getConfig().favorites.historySize));
+    } catch (error) {
+      console.error('Error recording favorites change:', error.message);
+    }
+    return result;
+  });
+}
 
-const FAVORITES_FILE = path.join(__dirname, '../data/favorites.json');
+/**
+ * Change one favorite
+ *
+ * @param {string} recipeId - ID of the favorite to change
+ * @param {Function} change - Called with the Favorite; returns false if nothing changed
+ * @returns {Promise<boolean>} - True if the favorite exists and was changed
+ */
+async function updateFavorite(recipeId, change) {
+  try {
+    return await changeFavorites('edit', entries => {
+      const entry = entries.find(candidate => candidate.recipe.id === recipeId);
+      return Boolean(entry) && change(entry) !== false;
+    });
+  } catch (error) {
+    console.error('Error updating favorite:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Clean up a collection name or tag
+ *
+ * @param {string} value - Name as typed
+ * @param {string} kind - What the value is, for the error message
+ * @returns {string} - Trimmed name
+ * @throws {RangeError} - If the name is empty
+ */
+function normalizeLabel(value, kind) {
+  const label = String(value ?? '').trim();
+  if (!label) {
+    throw new RangeError(`${kind} cannot be empty`);
+  }
+  return label;
+}
+
+/**
+ * Add a label to a list, keeping it sorted
+ *
+ * @param {Array<string>} list - Labels to change in place
+ * @param {string} label - Label to add
+ * @returns {boolean} - False if the label was already there
+ */
+function addLabel(list, label) {
+  if (list.includes(label)) {
+    return false;
+  }
+  list.push(label);
+  list.sort((a, b) => a.localeCompare(b));
+  return true;
+}
+
+/**
+ * Remove a label from a list
+ *
+ * @param {Array<string>} list - Labels to change in place
+ * @param {string} label - Label to remove
+ * @returns {boolean} - False if the label was not there
+ */
+function removeLabel(list, label) {
+  const index = list.indexOf(label);
+  if (index === -1) {
+    return false;
+  }
+  list.splice(index, 1);
+  return true;
+}
 
 /**
  * Initialize favorites file if it doesn't exist
+ * An existing file is checked, and quarantined and restored from its backup if corrupt
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/async_function | MDN: async function}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Statements/try...catch | MDN: try...catch}
  * @see {@link https://nodejs.org/api/fs.html#fs_promises_api | Node.js: fs/promises}
  */
 export async function initializeFavorites() {
-  try {
-    await fs.access(FAVORITES_FILE);
-  } catch (error) {
-    await fs.mkdir(path.dirname(FAVORITES_FILE), { recursive: true });
-    await fs.writeFile(FAVORITES_FILE, JSON.stringify([]));
+  if (!(await ensureFavoritesFile())) {
+    await readFavorites();
   }
 }
 
 /**
  * Get all favorite recipes
+ * Entries saved in TheMealDB's raw shape are converted to Recipes
  *
- * @returns {Promise<Array>} - Array of favorite recipes
+ * @returns {Promise<Array<Recipe>>} - Array of favorite recipes, empty if the file can't be read
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/JSON/parse | MDN: JSON.parse}
  */
 export async function getFavorites() {
   try {
-    await initializeFavorites();
-    const data = await fs.readFile(FAVORITES_FILE, 'utf-8');
-    return JSON.parse(data);
+    await ensureFavoritesFile();
+    return await readFavorites();
   } catch (error) {
     return [];
   }
@@ -49,7 +351,7 @@ export async function getFavorites() {
 /**
  * Add a recipe to favorites
  *
- * @param {Object} recipe - Recipe to add
+ * @param {Recipe|Object} recipe - Recipe to add, in model or raw TheMealDB shape
  * @returns {Promise<boolean>} - True if added successfully
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/some | MDN: Array.some}
@@ -57,17 +359,17 @@ export async function getFavorites() {
  */
 export async function addFavorite(recipe) {
   try {
-    await initializeFavorites();
-    const favorites = await getFavorites();
-
-    if (favorites.some(fav => fav.idMeal === recipe.idMeal)) {
-      return false;
-    }
+    // Read without getFavorites() so an unreadable file is never overwritten
+    return await changeFavorites('add', favorites => {
+      const favorite = toRecipe(recipe);
 
-    favorites.push(recipe);
-    await fs.writeFile(FAVORITES_FILE, JSON.stringify(favorites, null, 2), 'utf-8');
+      if (favorites.some(fav => fav.recipe.id === favorite.id)) {
+        return false;
+      }
 
-    return true;
+      favorites.push({ ...toFavorite(favorite), addedAt: Date.now() });
+      return true;
+    });
   } catch (error) {
     console.error("Error adding favorite:", error.message);
     return false;
@@ -75,26 +377,27 @@ export async function addFavorite(recipe) {
 }
 
 /**
- * Remove a recipe from favorites
+ * Remove a recipe from favorites, moving it to the trash
  *
  * @param {string} recipeId - ID of recipe to remove
  * @returns {Promise<boolean>} - True if removed successfully
  *
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/filter | MDN: Array.filter}
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/JSON/stringify | MDN: JSON.stringify}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/findIndex | MDN: Array.findIndex}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/splice | MDN: Array.splice}
  */
 export async function removeFavorite(recipeId) {
   try {
-    await initializeFavorites();
-    const favorites = await getFavorites();
-    const updatedFavorites = favorites.filter((fav) => fav.idMeal !== recipeId);
+    return await changeFavorites('remove', (favorites, trash) => {
+      const index = favorites.findIndex((fav) => fav.recipe.id === recipeId);
 
-    if (favorites.length === updatedFavorites.length) {
-      return false;
-    }
+      if (index === -1) {
+        return false;
+      }
 
-    await fs.writeFile(FAVORITES_FILE, JSON.stringify(updatedFavorites, null, 2));
-    return true;
+      const [removed] = favorites.splice(index, 1);
+      trash.trashed.push({ removedAt: Date.now(), favorite: toStored(removed) });
+      return true;
+    });
   } catch (error) {
     return false;
   }
@@ -109,7 +412,7 @@ export async function removeFavorite(recipeId) {
 export async function isInFavorites(recipeId) {
   try {
     const favorites = await getFavorites();
-    return favorites.some((fav) => fav.idMeal === recipeId);
+    return favorites.some((fav) => fav.id === recipeId);
   } catch (error) {
     return false;
   }
@@ -119,24 +422,406 @@ export async function isInFavorites(recipeId) {
  * Get a specific favorite recipe by ID
  *
  * @param {string} recipeId - Recipe ID to get
- * @returns {Promise<Object|null>} - Recipe object or null if not found
+ * @returns {Promise<Recipe|null>} - Recipe object or null if not found
  *
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/find | MDN: Array.find}
  */
 export async function getFavoriteById(recipeId) {
   try {
     const favorites = await getFavorites();
-    return favorites.find((fav) => fav.idMeal === recipeId) || null;
+    return favorites.find((fav) => fav.id === recipeId) || null;
   } catch (error) {
     return null;
   }
 }
 
+/**
+ * Get favorites with their metadata, optionally only those in a collection or with a tag
+ *
+ * @param {Object} filter - Optional `collection` name and/or `tag`
+ * @returns {Promise<Array<Favorite>>} - Matching favorites, empty if the file can't be read
+ */
+export async function findFavorites({ collection, tag } = {}) {
+  try {
+    await ensureFavoritesFile();
+    const entries = await readFavoriteEntries();
+    return entries.filter(entry =>
+      (collection === undefined || entry.collections.includes(collection.trim())) &&
+      (tag === undefined || entry.tags.includes(tag.trim().toLowerCase()))
+    );
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Count favorites per label
+ *
+ * @param {Array<Favorite>} entries - Favorites
+ * @param {string} field - 'collections' or 'tags'
+ * @returns {Array<Object>} - { name, count } sorted by name
+ */
+function countLabels(entries, field) {
+  const counts = new Map();
+  for (const entry of entries) {
+    for (const label of entry[field]) {
+      counts.set(label, (counts.get(label) || 0) + 1);
+    }
+  }
+  return [...counts]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * List the collections in use
+ *
+ * @returns {Promise<Array<Object>>} - { name, count } sorted by name
+ */
+export async function getCollections() {
+  return countLabels(await findFavorites(), 'collections');
+}
+
+/**
+ * List the tags in use
+ *
+ * @returns {Promise<Array<Object>>} - { name, count } sorted by name
+ */
+export async function getTags() {
+  return countLabels(await findFavorites(), 'tags');
+}
+
+/**
+ * Put a favorite into a named collection
+ * Collections exist as long as at least one favorite is in them
+ *
+ * @param {string} recipeId - ID of the favorite
+ * @param {string} collection - Collection name, e.g. "Weeknight"
+ * @returns {Promise<boolean>} - True if added, false if not a favorite or already in the collection
+ * @throws {RangeError} - If the collection name is empty
+ */
+export async function addToCollection(recipeId, collection) {
+  const name = normalizeLabel(collection, 'Collection name');
+  return updateFavorite(recipeId, entry => addLabel(entry.collections, name));
+}
+
+/**
+ * Take a favorite out of a collection
+ *
+ * @param {string} recipeId - ID of the favorite
+ * @param {string} collection - Collection name
+ * @returns {Promise<boolean>} - True if removed, false if not a favorite or not in the collection
+ * @throws {RangeError} - If the collection name is empty
+ */
+export async function removeFromCollection(recipeId, collection) {
+  const name = normalizeLabel(collection, 'Collection name');
+  return updateFavorite(recipeId, entry => removeLabel(entry.collections, name));
+}
+
+/**
+ * Tag a favorite
+ * Tags are stored in lowercase so "Quick" and "quick" are the same tag
+ *
+ * @param {string} recipeId - ID of the favorite
+ * @param {string} tag - Tag to add
+ * @returns {Promise<boolean>} - True if tagged, false if not a favorite or already tagged
+ * @throws {RangeError} - If the tag is empty
+ */
+export async function tagFavorite(recipeId, tag) {
+  const name = normalizeLabel(tag, 'Tag').toLowerCase();
+  return updateFavorite(recipeId, entry => addLabel(entry.tags, name));
+}
+
+/**
+ * Remove a tag from a favorite
+ *
+ * @param {string} recipeId - ID of the favorite
+ * @param {string} tag - Tag to remove
+ * @returns {Promise<boolean>} - True if removed, false if not a favorite or not tagged
+ * @throws {RangeError} - If the tag is empty
+ */
+export async function untagFavorite(recipeId, tag) {
+  const name = normalizeLabel(tag, 'Tag').toLowerCase();
+  return updateFavorite(recipeId, entry => removeLabel(entry.tags, name));
+}
+
+/**
+ * Set or clear a favorite's note
+ *
+ * @param {string} recipeId - ID of the favorite
+ * @param {string} note - Note text; empty to clear it
+ * @returns {Promise<boolean>} - True if the favorite exists
+ */
+export async function setNote(recipeId, note) {
+  return updateFavorite(recipeId, entry => {
+    entry.note = String(note ?? '').trim();
+  });
+}
+
+/**
+ * Set or clear a favorite's personal rating
+ *
+ * @param {string} recipeId - ID of the favorite
+ * @param {number|null} rating - Whole number from 1 to MAX_RATING, or null to clear it
+ * @returns {Promise<boolean>} - True if the favorite exists
+ * @throws {RangeError} - If the rating is out of range
+ */
+export async function setRating(recipeId, rating) {
+  if (rating !== null && !(Number.isInteger(rating) && rating >= 1 && rating <= MAX_RATING)) {
+    throw new RangeError(`Rating must be a whole number from 1 to ${MAX_RATING}`);
+  }
+  return updateFavorite(recipeId, entry => {
+    entry.rating = rating;
+  });
+}
+
+/**
+ * Clean up imported labels the same way the single-favorite functions do
+ *
+ * @param {Array<string>} labels - Collection names or tags
+ * @param {boolean} lowercase - Store in lowercase, as for tags
+ * @returns {Array<string>} - Trimmed, de-duplicated and sorted labels
+ */
+function normalizeLabels(labels, lowercase) {
+  const result = [];
+  for (const label of labels) {
+    const name = normalizeLabel(label, 'Label');
+    addLabel(result, lowercase ? name.toLowerCase() : name);
+  }
+  return result;
+}
+
+/**
+ * Find an ID for a copy of a favorite that no other favorite uses
+ *
+ * @param {string} id - ID of the original recipe
+ * @param {Set<string>} usedIds - IDs already taken
+ * @returns {string} - `<id>-2`, `<id>-3` and so on
+ */
+function getCopyId(id, usedIds) {
+  let copy = 2;
+  while (usedIds.has(`${id}-${copy}`)) {
+    copy++;
+  }
+  return `${id}-${copy}`;
+}
+
+/**
+ * Add many favorites at once, e.g. from an exported file
+ * Everything is merged under one lock and written once. Unlike addFavorite, errors
+ * are thrown so the caller can tell the user the import did not happen.
+ *
+ * @param {Array<Favorite>} imported - Favorites to add; ones without `addedAt` are dated now,
+ *   or keep the date of the favorite they overwrite
+ * @param {Object} options - `strategy` for recipes that are already favorites, one of MERGE_STRATEGIES (default: 'skip')
+ * @returns {Promise<Object>} - Counts { added, overwritten, copied, skipped }
+ * @throws {RangeError} - If the strategy is unknown or a collection name or tag is empty
+ * @throws {Error} - If the favorites file cannot be read or written
+ */
+export async function importFavorites(imported, { strategy = 'skip' } = {}) {
+  if (!MERGE_STRATEGIES.includes(strategy)) {
+    throw new RangeError(`Unknown merge strategy "${strategy}", expected one of: ${MERGE_STRATEGIES.join(', ')}`);
+  }
+
+  const now = Date.now();
+  const incoming = imported.map(favorite => ({
+    ...favorite,
+    collections: normalizeLabels(favorite.collections, false),
+    tags: normalizeLabels(favorite.tags, true)
+  }));
+
+  return changeFavorites('import', entries => {
+    const usedIds = new Set(entries.map(entry => entry.recipe.id));
+    const counts = { added: 0, overwritten: 0, copied: 0, skipped: 0 };
+
+    for (const favorite of incoming) {
+      const { id } = favorite.recipe;
+
+      if (!usedIds.has(id)) {
+        entries.push({ ...favorite, addedAt: favorite.addedAt ?? now });
+        usedIds.add(id);
+        counts.added++;
+      } else if (strategy === 'overwrite') {
+        const index = entries.findIndex(entry => entry.recipe.id === id);
+        entries[index] = { ...favorite, addedAt: favorite.addedAt ?? entries[index].addedAt ?? now };
+        counts.overwritten++;
+      } else if (strategy === 'keep-both') {
+        const copyId = getCopyId(id, usedIds);
+        // The copy is still looked up by the original's ID when refreshing and prefetching
+        entries.push({
+          ...favorite,
+          addedAt: favorite.addedAt ?? now,
+          recipe: { ...favorite.recipe, id: copyId },
+          sourceId: favorite.sourceId || id
+        });
+        usedIds.add(copyId);
+        counts.copied++;
+      } else {
+        counts.skipped++;
+      }
+    }
+    return counts;
+  });
+}
+
+/**
+ * Store the outcome of checking favorites against the recipe source
+ * Found recipes replace the stored copies, which brings back fields that changed
+ * upstream and fills in summaries saved without details. Recipes that are gone
+ * keep their stored copy and are marked as missing.
+ *
+ * @param {Array<Object>} results - { id, recipe } for each checked favorite; `recipe` is null if it no longer exists
+ * @returns {Promise<number>} - Number of favorites updated; ones removed while checking are left out
+ * @throws {Error} - If the favorites file cannot be read or written
+ */
+export async function saveRefreshedFavorites(results) {
+  const now = Date.now();
+
+  return changeFavorites('refresh', entries => {
+    let updated = 0;
+
+    for (const { id, recipe } of results) {
+      const entry = entries.find(candidate => candidate.recipe.id === id);
+      if (!entry) {
+        continue;
+      }
+
+      if (recipe) {
+        entry.recipe = toRecipe(recipe);
+        entry.missingSince = null;
+      } else {
+        entry.missingSince = entry.missingSince ?? now;
+      }
+      entry.refreshedAt = now;
+      updated++;
+    }
+    return updated;
+  });
+}
+
+/**
+ * List favorites in the trash
+ *
+ * @returns {Promise<Array<Object>>} - Favorites with a `removedAt` time, most recently removed first;
+ *   empty if the trash can't be read
+ */
+export async function getTrash() {
+  try {
+    const trash = await readTrash();
+    return trash.map(({ removedAt, favorite }) => ({ ...toFavorite(favorite), removedAt })).reverse();
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Bring a favorite back from the trash, with everything the user added to it
+ * If it was removed more than once, the most recent removal is restored
+ *
+ * @param {string} recipeId - ID of the removed favorite
+ * @returns {Promise<boolean>} - True if restored; false if it is not in the trash or is a favorite again
+ * @throws {Error} - If the favorites or trash file cannot be read or written
+ */
+export async function restoreFavorite(recipeId) {
+  return changeFavorites('restore', async (entries, trash) => {
+    const item = (await readTrash()).findLast(candidate => candidate.favorite.id === recipeId);
+    if (!item || entries.some(entry => entry.recipe.id === recipeId)) {
+      return false;
+    }
+
+    entries.push(toFavorite(item.favorite));
+    trash.untrashed.push(item);
+    return true;
+  });
+}
+
+/**
+ * Describe a journal entry for people
+ *
+ * @param {JournalEntry} entry - Recorded change
+ * @returns {Object} - { at, action, recipes: [{ id, name }] }
+ */
+function summarizeChange({ at, action, changes }) {
+  return {
+    at,
+    action,
+    recipes: changes.map(({ id, before, after }) => ({ id, name: (after ?? before).name }))
+  };
+}
+
+/**
+ * List recent changes that can be undone
+ *
+ * @returns {Promise<Array<Object>>} - { at, action, recipes } per change, newest first; empty if the history can't be read
+ */
+export async function getHistory() {
+  try {
+    return (await readJournal()).map(summarizeChange).reverse();
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Undo the most recent change to favorites
+ * Each favorite the change touched is put back the way it was, in its old place,
+ * and a removed favorite is taken out of the trash again
+ *
+ * @returns {Promise<Object|null>} - { at, action, recipes } of the undone change, or null if there is nothing to undo
+ * @throws {Error} - If a favorites file cannot be read or written
+ */
+export async function undoLastChange() {
+  await ensureFavoritesFile();
+  return getFavoritesStore().withLock(async () => {
+    const journal = await readJournal();
+    const last = journal.pop();
+    if (!last) {
+      return null;
+    }
+
+    const entries = await readFavoriteEntries();
+    for (const { id, index, before } of [...last.changes].reverse()) {
+      const current = entries.findIndex(entry => entry.recipe.id === id);
+      if (before === null) {
+        if (current !== -1) entries.splice(current, 1);
+      } else if (current !== -1) {
+        entries[current] = toFavorite(before);
+      } else {
+        entries.splice(Math.min(index, entries.length), 0, toFavorite(before));
+      }
+    }
+
+    if (last.trashed.length > 0 || last.untrashed.length > 0) {
+      await updateTrash(last.untrashed, last.trashed);
+    }
+    await writeFavoriteEntries(entries);
+    await getFavoritesStore().write(JOURNAL, journal);
+    return summarizeChange(last);
+  });
+}
+
 export default {
+  MAX_RATING,
+  MERGE_STRATEGIES,
   initializeFavorites,
   getFavorites,
   addFavorite,
   removeFavorite,
   isInFavorites,
-  getFavoriteById
+  getFavoriteById,
+  findFavorites,
+  getCollections,
+  getTags,
+  addToCollection,
+  removeFromCollection,
+  tagFavorite,
+  untagFavorite,
+  setNote,
+  setRating,
+  importFavorites,
+  saveRefreshedFavorites,
+  getTrash,
+  restoreFavorite,
+  getHistory,
+  undoLastChange
 };
\ No newline at end of file
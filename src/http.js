@@ -0,0 +1,247 @@
+// src/http.js
+/**
+ * Shared HTTP request layer for recipe providers
+ * Adds per-attempt timeouts with real cancellation, retries with exponential
+ * backoff and jitter, and typed errors on top of the built-in fetch API
+ * Attempts, retries, attempt latency and bytes received are recorded in metrics.js
+ */
+
+import {
+  RecipeError,
+  NetworkError,
+  TimeoutError,
+  NotFoundError,
+  HttpError,
+  RateLimitError,
+  ParseError
+} from './errors.js';
+import * as metrics from './metrics.js';
+
+/**
+ * Default request options, overridable per call or through the `http` settings
+ */
+export const DEFAULT_HTTP_OPTIONS = {
+  retries: 2, // Extra attempts after the first one
+  timeoutMs: 10000, // Per attempt
+  backoffMs: 250, // Delay before the first retry, doubled for each later one
+  maxBackoffMs: 4000,
+  retryOn: [408, 429, 500, 502, 503, 504]
+};
+
+/**
+ * Wait for a number of milliseconds
+ *
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Calculate how long to wait before a retry
+ * Uses "equal jitter": half the exponential delay plus a random part of the other half
+ *
+ * @param {number} attempt - Number of the attempt that just failed, starting at 0
+ * @param {Object} options - Request options with backoffMs and maxBackoffMs
+ * @param {Function} random - Random number source (default: Math.random)
+ * @returns {number} - Delay in milliseconds
+ *
+ * @see {@link https://aws.amazon.com/blogs/architecture/exponential-backoff-and-jitter/ | AWS: Exponential backoff and jitter}
+ */
+export function getBackoffDelay(attempt, options, random = Math.random) {
+  const ceiling = Math.min(options.maxBackoffMs, options.backoffMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+}
+
+/**
+ * Read a Retry-After header given in seconds
+ *
+ * @param {Response} response - Fetch response
+ * @returns {number|undefined} - Delay in milliseconds, if the header was usable
+ */
+function getRetryAfter(response) {
+  const seconds = Number(response.headers?.get?.('retry-after'));
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : undefined;
+}
+
+/**
+ * Check whether a failed attempt is worth repeating
+ *
+ * @param {Error} error - Error from the attempt
+ * @param {Array<number>} retryOn - HTTP statuses to retry
+ * @returns {boolean} - True if the request should be retried
+ */
+export function isRetryable(error, retryOn) {
+  if (error instanceof NetworkError || error instanceof TimeoutError) {
+    return true;
+  }
+  return error.status !== undefined && retryOn.includes(error.status);
+}
+
+/**
+ * Create the error for an unsuccessful HTTP response
+ *
+ * @param {string} url - Requested URL
+ * @param {Response} response - Fetch response
+ * @returns {RecipeError} - NotFoundError, RateLimitError or HttpError
+ */
+function createStatusError(url, response) {
+  const details = { url, status: response.status, retryAfterMs: getRetryAfter(response) };
+  if (response.status === 404) {
+    return new NotFoundError(`Nothing found at ${url}`, details);
+  }
+  if (response.status === 429) {
+    return new RateLimitError(`Rate limited by ${url}`, details);
+  }
+  return new HttpError(`Request to ${url} failed with status ${response.status}`, details);
+}
+
+/**
+ * Parse a response body as JSON
+ *
+ * @param {string} url - Requested URL, for the error message
+ * @param {Response} response - Fetch response
+ * @returns {Promise<any>} - Parsed body
+ * @throws {ParseError} - If the body is not valid JSON
+ */
+async function readJson(url, response) {
+  try {
+    return await response.json();
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) throw error;
+    throw new ParseError(`Invalid JSON from ${url}: ${error.message}`, { url, cause: error });
+  }
+}
+
+/**
+ * Make a single fetch attempt that is aborted after `timeoutMs`
+ * Also aborts when the caller's signal fires. The timeout covers reading the body
+ * with `readBody` too, since a server can send the headers and then stall.
+ *
+ * @param {string} url - URL to request
+ * @param {Object} options - Request options
+ * @param {Function} readBody - Reads the body of a successful response, or null to leave it unread
+ * @returns {Promise<Object>} - { response, body }
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AbortController | MDN: AbortController}
+ */
+async function fetchOnce(url, { fetch: fetchFn, timeoutMs, signal }, readBody) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => {
+    controller.abort(new TimeoutError(`Request to ${url} timed out after ${timeoutMs}ms`, { url, timeoutMs }));
+  }, timeoutMs);
+  const onCallerAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', onCallerAbort, { once: true });
+
+  // Settle as soon as we abort, even if the fetch implementation ignores the signal
+  const aborted = new Promise((_, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+  });
+
+  try {
+    const response = await Promise.race([(fetchFn || globalThis.fetch)(url, { signal: controller.signal }), aborted]);
+    const body = response.ok && readBody ? await Promise.race([readBody(response), aborted]) : undefined;
+    return { response, body };
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw controller.signal.reason;
+    }
+    if (error instanceof ParseError) throw error;
+    throw new NetworkError(`Request to ${url} failed: ${error.message}`, { url, cause: error });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onCallerAbort);
+  }
+}
+
+/**
+ * Make attempts until one succeeds or a failure is not worth retrying
+ *
+ * @param {string} url - URL to request
+ * @param {Object} options - Same options as request()
+ * @param {Function} readBody - Reads the body within each attempt, or null
+ * @returns {Promise<Object>} - { response, body } of the successful attempt
+ */
+async function attemptRequest(url, options, readBody) {
+  const settings = { ...DEFAULT_HTTP_OPTIONS, sleep, ...options };
+
+  for (let attempt = 0; ; attempt++) {
+    if (settings.signal?.aborted) {
+      throw settings.signal.reason;
+    }
+
+    let error;
+    try {
+      const runAttempt = () => {
+        metrics.increment('http.requests');
+        return metrics.time('http.request', () => fetchOnce(url, settings, readBody));
+      };
+      const result = await (settings.limiter
+        ? settings.limiter.schedule(runAttempt, { signal: settings.signal })
+        : runAttempt());
+      if (result.response.ok) {
+        return result;
+      }
+      error = createStatusError(url, result.response);
+    } catch (caught) {
+      // Cancellation by the caller is not ours to retry
+      if (!(caught instanceof RecipeError)) throw caught;
+      error = caught;
+    }
+
+    // Slow down every queued request, not just this one
+    if (error instanceof RateLimitError) {
+      settings.limiter?.pause(Math.min(error.retryAfterMs ?? settings.backoffMs, settings.maxBackoffMs));
+    }
+
+    if (attempt >= settings.retries || !isRetryable(error, settings.retryOn)) {
+      throw error;
+    }
+
+    metrics.increment('http.retries');
+    const backoff = getBackoffDelay(attempt, settings);
+    await settings.sleep(Math.min(Math.max(backoff, error.retryAfterMs ?? 0), settings.maxBackoffMs));
+  }
+}
+
+/**
+ * Request a URL, retrying failures that are likely to be temporary
+ *
+ * @param {string} url - URL to request
+ * @param {Object} options - Overrides for DEFAULT_HTTP_OPTIONS, plus optional
+ *   `signal` (AbortSignal to cancel), `fetch` (fetch implementation), `sleep` (delay function)
+ *   and `limiter` (rate limiter that every attempt, including retries, is queued through)
+ * @returns {Promise<Response>} - Successful response, with its body still unread
+ * @throws {NetworkError|TimeoutError|NotFoundError|RateLimitError|HttpError} - When every attempt failed
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/fetch | MDN: fetch API}
+ */
+export async function request(url, options = {}) {
+  const { response } = await attemptRequest(url, options, null);
+  return response;
+}
+
+/**
+ * Request a URL and parse the response body as JSON
+ * The body is read within the attempt, so its timeout and retries apply to it too
+ *
+ * @param {string} url - URL to request
+ * @param {Object} options - Same options as request()
+ * @returns {Promise<any>} - Parsed response body
+ * @throws {ParseError} - If the body is not valid JSON
+ */
+export async function requestJson(url, options = {}) {
+  const { body } = await attemptRequest(url, options, response => readJson(url, response));
+  // The size of the parsed body; the transferred size is not known once fetch has decompressed it
+  metrics.increment('http.receivedBytes', Buffer.byteLength(JSON.stringify(body) ?? ''));
+  return body;
+}
+
+export default {
+  DEFAULT_HTTP_OPTIONS,
+  getBackoffDelay,
+  isRetryable,
+  request,
+  requestJson
+};
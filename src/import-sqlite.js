@@ -0,0 +1,76 @@
+// src/import-sqlite.js
+/**
+ * Copy the JSON data files into the SQLite database
+ * Used once when switching `storage.engine` from json to sqlite. Each profile's
+ * favorites, undo history and trash replace whatever the database held for that
+ * profile, and cache entries are added or replaced by key, so running it again is safe.
+ * The JSON files are left in place.
+ */
+
+import { getConfig, listProfiles, getProfileDirectory } from './config.js';
+import { FAVORITES, JOURNAL, TRASH, createJsonStore, createSqliteStore } from './favorites-store.js';
+import { createFileBackend, createSqliteBackend } from './cache/index.js';
+
+/**
+ * Copy one profile's favorites lists into the database
+ * The JSON files are locked while they are read, so no change is half copied
+ *
+ * @param {string} profile - Profile name
+ * @param {string} database - Path to the database file
+ * @returns {Promise<Object>} - { name, favorites, journal, trash } with the number of items copied
+ */
+async function importProfile(profile, database) {
+  const source = createJsonStore(getProfileDirectory(profile));
+  const target = createSqliteStore(database, profile);
+
+  const lists = await source.withLock(async () => ({
+    [FAVORITES]: await source.read(FAVORITES),
+    [JOURNAL]: await source.read(JOURNAL),
+    [TRASH]: await source.read(TRASH)
+  }));
+
+  await target.withLock(async () => {
+    for (const [list, items] of Object.entries(lists)) {
+      await target.write(list, items);
+    }
+  });
+  return { name: profile, favorites: lists[FAVORITES].length, journal: lists[JOURNAL].length, trash: lists[TRASH].length };
+}
+
+/**
+ * Copy every profile's favorites and the cache file into the database
+ *
+ * @param {Object} options - Import options
+ * @param {string} options.database - Database file (default: storage.database setting)
+ * @param {Object} options.cache - Cache settings, for finding the cache file (default: cache settings)
+ * @param {Array<string>} options.profiles - Profiles to copy (default: every profile)
+ * @param {Function} options.onProgress - Called with { stage, name } as each profile and the cache start
+ * @returns {Promise<Object>} - { database, profiles: [{ name, favorites, journal, trash }], cacheEntries }
+ * @throws {Error} - If SQLite is unavailable or a file cannot be read
+ */
+export async function importToSqlite({
+  database = getConfig().storage.database,
+  cache = getConfig().cache,
+  profiles = listProfiles(),
+  onProgress = () => {}
+} = {}) {
+  const imported = [];
+  for (const profile of profiles) {
+    onProgress({ stage: 'profile', name: profile });
+    imported.push(await importProfile(profile, database));
+  }
+
+  onProgress({ stage: 'cache', name: cache.file });
+  const entries = await createFileBackend(cache).entries();
+  const target = createSqliteBackend({ database, maxFileBytes: cache.maxFileBytes });
+  // Entries come least recently used first, so the database keeps the same order
+  for (const [key, entry] of entries) {
+    await target.set(key, entry);
+  }
+
+  return { database, profiles: imported, cacheEntries: entries.length };
+}
+
+export default {
+  importToSqlite
+};
@@ -0,0 +1,138 @@
+// src/metrics.js
+/**
+ * In-process counters and timings
+ * The cache, the API functions and the HTTP layer record what they do here,
+ * so a command can report how much work it took (see the --timings option)
+ *
+ * Names are dotted, e.g. `cache.hits` or `api.searchMealsByName`.
+ * Counters whose names end in `Bytes` hold sizes in bytes.
+ */
+
+import { formatBytes } from './utils.js';
+
+// Counter values by name
+const counters = new Map();
+
+// Timing summaries by name: { count, totalMs, minMs, maxMs }
+const timings = new Map();
+
+/**
+ * Add to a counter
+ *
+ * @param {string} name - Counter name
+ * @param {number} amount - Amount to add (default: 1)
+ */
+export function increment(name, amount = 1) {
+  counters.set(name, (counters.get(name) || 0) + amount);
+}
+
+/**
+ * Record how long one operation took
+ *
+ * @param {string} name - Timing name
+ * @param {number} ms - Duration in milliseconds
+ */
+export function recordTiming(name, ms) {
+  const timing = timings.get(name) || { count: 0, totalMs: 0, minMs: Infinity, maxMs: 0 };
+  timing.count++;
+  timing.totalMs += ms;
+  timing.minMs = Math.min(timing.minMs, ms);
+  timing.maxMs = Math.max(timing.maxMs, ms);
+  timings.set(name, timing);
+}
+
+/**
+ * Run an async function and record how long it took, whether it succeeded or not
+ *
+ * @param {string} name - Timing name
+ * @param {Function} fn - Function to run
+ * @returns {Promise<any>} - What fn resolved to
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/Performance/now | MDN: performance.now}
+ */
+export async function time(name, fn) {
+  const started = performance.now();
+  try {
+    return await fn();
+  } finally {
+    recordTiming(name, performance.now() - started);
+  }
+}
+
+/**
+ * Get a snapshot of every counter and timing
+ *
+ * @returns {Object} - { counters: { name: value }, timings: { name: { count, totalMs, minMs, maxMs, avgMs } } }
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Object/fromEntries | MDN: Object.fromEntries}
+ */
+export function getMetrics() {
+  return {
+    counters: Object.fromEntries(counters),
+    timings: Object.fromEntries([...timings].map(([name, timing]) => [
+      name,
+      { ...timing, avgMs: timing.totalMs / timing.count }
+    ]))
+  };
+}
+
+/**
+ * Forget every counter and timing
+ */
+export function resetMetrics() {
+  counters.clear();
+  timings.clear();
+}
+
+/**
+ * Format a duration for the summary, e.g. "12.3 ms"
+ *
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - Duration with one decimal
+ */
+function formatMs(ms) {
+  return `${ms.toFixed(1)} ms`;
+}
+
+/**
+ * Describe metrics for people, with a cache hit ratio worked out from the cache counters
+ *
+ * @param {Object} metrics - Result of getMetrics() (default: the current metrics)
+ * @returns {string} - Multi-line summary
+ */
+export function formatMetrics(metrics = getMetrics()) {
+  const lines = ['--- Metrics ---'];
+  const { counters: values, timings: durations } = metrics;
+
+  const hits = (values['cache.hits'] || 0) + (values['cache.stale'] || 0);
+  const lookups = hits + (values['cache.misses'] || 0);
+  if (lookups > 0) {
+    lines.push(`Cache hit ratio: ${Math.round((hits / lookups) * 100)}% of ${lookups} lookup(s)`);
+  }
+
+  for (const name of Object.keys(values).sort()) {
+    const value = name.endsWith('Bytes') ? formatBytes(values[name]) : values[name];
+    lines.push(`${name}: ${value}`);
+  }
+
+  for (const name of Object.keys(durations).sort()) {
+    const { count, totalMs, avgMs, maxMs } = durations[name];
+    lines.push(count === 1
+      ? `${name}: ${formatMs(totalMs)}`
+      : `${name}: ${count} calls, ${formatMs(totalMs)} total, ${formatMs(avgMs)} avg, ${formatMs(maxMs)} max`);
+  }
+
+  if (lines.length === 1) {
+    lines.push('Nothing was recorded');
+  }
+  return lines.join('\n');
+}
+
+export default {
+  increment,
+  recordTiming,
+  time,
+  getMetrics,
+  resetMetrics,
+  formatMetrics
+};
@@ -0,0 +1,209 @@
+// src/migrations.js
+/**
+ * Upgrade the data files to the current schema versions (see schema.js)
+ * The app can read files in any earlier version, but they stay in the old shape
+ * until they are rewritten. Migrating rewrites every outdated file at once, one
+ * version step at a time, after copying it to `<file>.v<version>.bak`.
+ *
+ * Files from a newer release and files that cannot be parsed are reported and left
+ * alone; corrupt files are recovered from their backups the next time they are read.
+ * The SQLite database is versioned with `PRAGMA user_version` instead of a header
+ * (see database.js); it is backed up the same way before its upgrade.
+ */
+
+import fs from 'fs/promises';
+import { getConfig, listProfiles, getProfileDirectory } from './config.js';
+import { getListFiles } from './favorites-store.js';
+import { getCompressionCodec } from './cache/compression.js';
+import { TEXT_CODEC, withFileLock, writeFileAtomic, serializeJson } from './storage.js';
+import { SCHEMAS, readHeader, upgrade } from './schema.js';
+import { DATABASE_VERSION, openDatabase, readDatabaseVersion, backupDatabase } from './database.js';
+
+/**
+ * @typedef {Object} DataFile
+ * @property {string} file - Path of the file
+ * @property {string} schema - Schema name, a key of SCHEMAS
+ * @property {Object} codec - How the file is stored (see storage.js)
+ * @property {string} lockFile - Path whose lock the app holds while changing the file
+ * @property {boolean} database - True for the SQLite database, which has no codec or lock
+ */
+
+/**
+ * List the data files used with the current settings
+ *
+ * @param {Object} settings - Settings (default: the current settings)
+ * @param {Array<string>} profiles - Profiles whose favorites files to include (default: every profile)
+ * @returns {Array<DataFile>} - Every profile's favorites files, then the cache, cache stats, catalog
+ *   and SQLite database
+ */
+export function listDataFiles(settings = getConfig(), profiles = listProfiles()) {
+  const files = [];
+  for (const profile of profiles) {
+    const lists = getListFiles(getProfileDirectory(profile));
+    // favorites-store.js holds the favorites file's lock while changing any of the lists
+    files.push(...lists.map(({ file, schema }) => ({ file, schema, codec: TEXT_CODEC, lockFile: lists[0].file })));
+  }
+
+  const { cache, catalog, storage } = settings;
+  const codec = getCompressionCodec(cache.compression);
+  files.push(
+    // The file backend locks the cache file's name without the compression extension
+    { file: `${cache.file}${codec.extension}`, schema: 'cache', codec, lockFile: cache.file },
+    { file: cache.statsFile, schema: 'cache-stats', codec: TEXT_CODEC, lockFile: cache.statsFile },
+    { file: catalog.file, schema: 'catalog', codec: TEXT_CODEC, lockFile: catalog.file },
+    { file: storage.database, schema: 'database', database: true }
+  );
+  return files;
+}
+
+/**
+ * Read a data file's version and data
+ *
+ * @param {DataFile} dataFile - File to read
+ * @returns {Promise<Object|null>} - { version, data }, or null if the file is missing or empty
+ * @throws {Error} - If the file cannot be decoded or parsed, or belongs to another schema
+ */
+async function readDataFile({ file, schema, codec }) {
+  let contents;
+  try {
+    contents = await fs.readFile(file, codec.encoding);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  const text = contents.length === 0 ? '' : await codec.decode(contents);
+  return text.trim() === '' ? null : readHeader(schema, JSON.parse(text));
+}
+
+/**
+ * Read the SQLite database's version
+ *
+ * @param {string} file - Path to the database file
+ * @returns {Promise<Object|null>} - { version }, or null if the file is missing
+ * @throws {Error} - If SQLite is unavailable or the file is not a database
+ */
+async function readDatabaseFile(file) {
+  const version = await readDatabaseVersion(file);
+  return version === null ? null : { version };
+}
+
+/**
+ * Describe where a data file stands
+ *
+ * @param {DataFile} dataFile - File to check
+ * @returns {Promise<Object>} - { file, schema, version, current, status, reason }; status is
+ *   'missing', 'current', 'outdated', 'newer' or 'unreadable', and reason explains 'unreadable'
+ */
+async function inspectDataFile(dataFile) {
+  const { file, schema, database } = dataFile;
+  const current = database ? DATABASE_VERSION : SCHEMAS[schema].version;
+
+  let read;
+  try {
+    read = database ? await readDatabaseFile(file) : await readDataFile(dataFile);
+  } catch (error) {
+    return { file, schema, version: null, current, status: 'unreadable', reason: error.message };
+  }
+
+  if (!read) {
+    return { file, schema, version: null, current, status: 'missing', reason: null };
+  }
+  const { version } = read;
+  const status = version === current ? 'current' : version < current ? 'outdated' : 'newer';
+  return { file, schema, version, current, status, reason: null };
+}
+
+/**
+ * Check the version of every data file
+ *
+ * @param {Array<DataFile>} files - Files to check (default: listDataFiles())
+ * @returns {Promise<Array<Object>>} - One inspectDataFile() result per file
+ */
+export async function getDataStatus(files = listDataFiles()) {
+  const statuses = [];
+  for (const dataFile of files) {
+    statuses.push(await inspectDataFile(dataFile));
+  }
+  return statuses;
+}
+
+/**
+ * Upgrade one data file if it is outdated
+ * The file's lock is held throughout, so the app never changes it halfway
+ *
+ * @param {DataFile} dataFile - File to upgrade
+ * @returns {Promise<Object>} - inspectDataFile() result from before, plus `backup` if the file was upgraded
+ */
+async function migrateDataFile(dataFile) {
+  const { file, schema, codec, lockFile, database } = dataFile;
+  if (database) {
+    return migrateDatabase(dataFile);
+  }
+
+  return withFileLock(lockFile, async () => {
+    const before = await inspectDataFile(dataFile);
+    if (before.status !== 'outdated') {
+      return before;
+    }
+
+    const { version, data } = await readDataFile(dataFile);
+    const backup = `${file}.v${version}.bak`;
+    await fs.copyFile(file, backup);
+    await writeFileAtomic(file, await codec.encode(serializeJson(upgrade(schema, data, version), { schema })));
+    return { ...before, backup };
+  });
+}
+
+/**
+ * Upgrade the SQLite database if it is outdated
+ * Opening it runs the upgrade in a transaction, which is all the locking it needs
+ *
+ * @param {DataFile} dataFile - The database
+ * @returns {Promise<Object>} - inspectDataFile() result from before, plus `backup` if it was upgraded
+ */
+async function migrateDatabase(dataFile) {
+  const before = await inspectDataFile(dataFile);
+  if (before.status !== 'outdated') {
+    return before;
+  }
+
+  const backup = `${dataFile.file}.v${before.version}.bak`;
+  // VACUUM INTO won't overwrite a backup left by an earlier attempt
+  await fs.rm(backup, { force: true });
+  await backupDatabase(dataFile.file, backup);
+  await openDatabase(dataFile.file);
+  return { ...before, backup };
+}
+
+/**
+ * Upgrade every outdated data file to the current version
+ *
+ * @param {Object} options - Migration options
+ * @param {Array<DataFile>} options.files - Files to upgrade (default: listDataFiles())
+ * @param {Function} options.onProgress - Called with each file's result as it is done
+ * @returns {Promise<Object>} - { migrated, problems }: results for upgraded files,
+ *   and for files left alone because they are 'newer' or 'unreadable'
+ * @throws {Error} - If a lock cannot be taken or an upgraded file cannot be written
+ */
+export async function migrateDataFiles({ files = listDataFiles(), onProgress = () => {} } = {}) {
+  const migrated = [];
+  const problems = [];
+
+  for (const dataFile of files) {
+    const result = await migrateDataFile(dataFile);
+    if (result.backup) {
+      migrated.push(result);
+    } else if (result.status === 'newer' || result.status === 'unreadable') {
+      problems.push(result);
+    }
+    onProgress(result);
+  }
+  return { migrated, problems };
+}
+
+export default {
+  listDataFiles,
+  getDataStatus,
+  migrateDataFiles
+};
@@ -0,0 +1,201 @@
+// src/prefetch.js
+/**
+ * Cache warming for recipes the user is likely to open next
+ * Favorites, the top search results and each recipe's related recipes are fetched
+ * into the cache a few at a time with runWithConcurrency, so opening one later is
+ * answered from the cache, or keeps working offline after `cache warm`
+ *
+ * Keys match the ones app.js reads: `recipe_<id>` for details and
+ * `related_<id>` for a recipe's related recipes.
+ */
+
+import * as api from './api.js';
+import * as cache from './cache.js';
+import * as favorites from './favorites.js';
+import { getConfig } from './config.js';
+import { runWithConcurrency } from './utils.js';
+
+// Background warm-ups that have not finished yet, with the controller that cancels each
+const pendingPrefetches = new Map();
+
+/**
+ * Fetch a key into the cache unless it already has a fresh entry
+ * Uses getCachedOrFetch so a foreground lookup of the same key shares the request
+ *
+ * @param {string} key - Cache key
+ * @param {Function} fetchFn - Function that fetches the data
+ * @returns {Promise<string>} - 'fetched', 'cached' or 'failed'
+ */
+async function warmKey(key, fetchFn) {
+  if (await cache.isCached(key)) {
+    return 'cached';
+  }
+
+  try {
+    const data = await cache.getCachedOrFetch(key, fetchFn, { forceRefresh: true });
+    return cache.getCacheInfo(data)?.source === 'network' ? 'fetched' : 'failed';
+  } catch {
+    return 'failed';
+  }
+}
+
+/**
+ * Warm one recipe's details and, optionally, its related recipes
+ *
+ * @param {string} id - Recipe ID
+ * @param {boolean} related - Also warm the related recipes list
+ * @param {AbortSignal} [signal] - Stops before fetching anything more once aborted
+ * @returns {Promise<Array<string>>} - Outcome for each key that was warmed
+ */
+async function warmRecipe(id, related, signal) {
+  if (signal?.aborted) {
+    return [];
+  }
+
+  const key = `recipe_${id}`;
+  const outcomes = [await warmKey(key, () => api.getMealById(id))];
+
+  if (related && outcomes[0] !== 'failed' && !signal?.aborted) {
+    const recipe = (await cache.getCacheEntry(key))?.data;
+    if (recipe) {
+      outcomes.push(await warmKey(`related_${id}`, () => api.getRelatedRecipes(recipe)));
+    }
+  }
+  return outcomes;
+}
+
+/**
+ * Warm the cache for a list of recipes
+ *
+ * @param {Array<string>} ids - Recipe IDs
+ * @param {Object} options - Overrides for the `prefetch` settings: `concurrency` and `related`;
+ *   `signal` stops it from starting more requests, while ones already sent finish
+ * @returns {Promise<Object>} - Number of keys { fetched, cached, failed }
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/flat | MDN: Array.flat}
+ */
+export async function warmRecipes(ids, options = {}) {
+  const { concurrency, related, signal } = { ...getConfig().prefetch, ...options };
+  const uniqueIds = [...new Set(ids)];
+  const results = await runWithConcurrency(uniqueIds.map(id => () => warmRecipe(id, related, signal)), concurrency);
+
+  const summary = { fetched: 0, cached: 0, failed: 0 };
+  // A recipe whose warm-up threw counts as one failed key
+  for (const outcome of results.flat().map(outcome => outcome ?? 'failed')) {
+    summary[outcome]++;
+  }
+  return summary;
+}
+
+/**
+ * Get the IDs the recipe source knows the favorites by
+ * Copies made by a keep-both import are cached under their original's ID
+ *
+ * @returns {Promise<Array<string>>} - One ID per favorite
+ */
+async function getFavoriteSourceIds() {
+  return (await favorites.findFavorites()).map(({ recipe, sourceId }) => sourceId ?? recipe.id);
+}
+
+/**
+ * Warm the cache before going offline: every favorite, plus the top results
+ * of every search that is still cached
+ *
+ * @param {Object} options - Same options as warmRecipes, plus `searchResults` per search
+ * @returns {Promise<Object>} - { recipes, fetched, cached, failed }
+ */
+export async function warmCache(options = {}) {
+  const { searchResults } = { ...getConfig().prefetch, ...options };
+  const ids = await getFavoriteSourceIds();
+
+  for (const { key } of await cache.listCacheEntries('search_')) {
+    const results = (await cache.getCacheEntry(key))?.data;
+    if (Array.isArray(results)) {
+      ids.push(...results.slice(0, searchResults).map(recipe => recipe.id));
+    }
+  }
+
+  const uniqueIds = [...new Set(ids)];
+  return { recipes: uniqueIds.length, ...(await warmRecipes(uniqueIds, options)) };
+}
+
+/**
+ * Run a warm-up without waiting for it, if prefetching is enabled
+ *
+ * @param {Function} work - Function that takes an AbortSignal and returns a promise
+ */
+function inBackground(work) {
+  if (!getConfig().prefetch.enabled) {
+    return;
+  }
+
+  const controller = new AbortController();
+  const run = Promise.resolve()
+    .then(() => work(controller.signal))
+    .catch(() => null)
+    .finally(() => pendingPrefetches.delete(run));
+  pendingPrefetches.set(run, controller);
+}
+
+/**
+ * Start warming the first few results of a search in the background
+ *
+ * @param {Array<Object>} recipes - Search results, best first
+ */
+export function prefetchSearchResults(recipes) {
+  const { searchResults } = getConfig().prefetch;
+  inBackground(signal => warmRecipes(recipes.slice(0, searchResults).map(recipe => recipe.id), { signal }));
+}
+
+/**
+ * Start warming every favorite in the background
+ */
+export function prefetchFavorites() {
+  inBackground(async signal => warmRecipes(await getFavoriteSourceIds(), { signal }));
+}
+
+/**
+ * Wait for background warm-ups
+ *
+ * @param {Object} options - `timeoutMs` stops waiting after that long (default: wait until done)
+ * @returns {Promise<void>} - Resolves once every pending warm-up has settled, or the time is up
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/allSettled | MDN: Promise.allSettled}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/race | MDN: Promise.race}
+ */
+export async function settlePrefetches({ timeoutMs = Infinity } = {}) {
+  const settled = Promise.allSettled([...pendingPrefetches.keys()]);
+  if (timeoutMs === Infinity) {
+    await settled;
+    return;
+  }
+
+  let timer;
+  await Promise.race([settled, new Promise(resolve => { timer = setTimeout(resolve, timeoutMs); })]);
+  clearTimeout(timer);
+}
+
+/**
+ * Stop background warm-ups from starting more requests and wait for the ones in flight
+ * Cache writes that were already started finish, so no lock file is left behind
+ *
+ * @param {Object} options - `timeoutMs` stops waiting after that long (default: wait until done)
+ * @returns {Promise<void>} - Resolves once every pending warm-up has settled, or the time is up
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/AbortController/abort | MDN: AbortController.abort}
+ */
+export async function cancelPrefetches({ timeoutMs = Infinity } = {}) {
+  for (const controller of pendingPrefetches.values()) {
+    controller.abort();
+  }
+  await settlePrefetches({ timeoutMs });
+}
+
+export default {
+  warmRecipes,
+  warmCache,
+  prefetchSearchResults,
+  prefetchFavorites,
+  settlePrefetches,
+  cancelPrefetches
+};
@@ -0,0 +1,71 @@
+// src/providers/catalog.js
+/**
+ * Recipe provider that answers from the synced catalog index
+ * While the index is fresh every query is answered locally, except lookups of
+ * recipes it doesn't have, which may have been added upstream since the last sync.
+ * Otherwise queries go to the upstream provider, and the stale index is only used
+ * if that fails, so the app keeps working without a network connection.
+ */
+
+import { loadCatalog, isCatalogFresh } from '../catalog.js';
+import { NotFoundError } from '../errors.js';
+import { createListProvider } from './local.js';
+
+/**
+ * Wrap a provider so queries are answered from the catalog index when possible
+ * Pass `fresh: true` in a method's request options to skip the index,
+ * e.g. while syncing it
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.file - Path to the index file
+ * @param {number} options.maxAgeMs - How long a synced index is used without asking upstream
+ * @param {Object} options.upstream - Provider to use when the index is missing or stale
+ * @returns {Object} - Recipe provider
+ */
+export function createCatalogProvider({ file, maxAgeMs, upstream }) {
+  /**
+   * Answer one query from the index or from upstream
+   *
+   * @param {string} method - Provider method name
+   * @param {Array} args - Query arguments, without request options
+   * @param {Object} requestOptions - Request options, plus `fresh`
+   * @returns {Promise<any>} - Query result
+   */
+  async function answer(method, args, { fresh = false, ...options } = {}) {
+    const catalog = fresh ? null : await loadCatalog(file);
+    const indexed = catalog && createListProvider('catalog', async () => catalog.recipes);
+
+    if (isCatalogFresh(catalog, maxAgeMs)) {
+      const result = await indexed[method](...args);
+      if (result || method !== 'lookupById') {
+        return result;
+      }
+    }
+
+    try {
+      return await upstream[method](...args, options);
+    } catch (error) {
+      // An outdated answer is better than none when upstream can't be reached
+      if (indexed && !(error instanceof NotFoundError)) {
+        return indexed[method](...args);
+      }
+      throw error;
+    }
+  }
+
+  return {
+    name: 'catalog',
+    upstream,
+    searchByName: (query, requestOptions) => answer('searchByName', [query], requestOptions),
+    searchByFirstLetter: (letter, requestOptions) => answer('searchByFirstLetter', [letter], requestOptions),
+    lookupById: (id, requestOptions) => answer('lookupById', [id], requestOptions),
+    filterByIngredient: (ingredient, requestOptions) => answer('filterByIngredient', [ingredient], requestOptions),
+    filterByCategory: (category, requestOptions) => answer('filterByCategory', [category], requestOptions),
+    filterByArea: (area, requestOptions) => answer('filterByArea', [area], requestOptions),
+    random: requestOptions => answer('random', [], requestOptions)
+  };
+}
+
+export default {
+  createCatalogProvider
+};
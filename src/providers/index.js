@@ -0,0 +1,81 @@
+// src/providers/index.js
+/**
+ * Recipe provider registry
+ *
+ * A provider is an object with these async methods, all resolving to Recipe objects:
+ * - searchByName(query) -> Array<Recipe>
+ * - searchByFirstLetter(letter) -> Array<Recipe>
+ * - lookupById(id) -> Recipe|null
+ * - filterByIngredient(ingredient) -> Array<Recipe>
+ * - filterByCategory(category) -> Array<Recipe>
+ * - filterByArea(area) -> Array<Recipe>
+ * - random() -> Recipe|null
+ *
+ * Each method also takes an optional last argument with request options such as
+ * `timeoutMs`, `retries` and `signal`; providers that do no I/O may ignore it.
+ * The catalog provider also accepts `fresh: true` to skip the synced index.
+ *
+ * Methods reject when the source cannot be reached; an empty result means nothing matched.
+ */
+
+import { getConfig } from '../config.js';
+import { createMealDbProvider } from './mealdb.js';
+import { createLocalProvider } from './local.js';
+import { createCatalogProvider } from './catalog.js';
+
+// Factories for each provider name, given the full settings object
+const PROVIDER_FACTORIES = {
+  mealdb: config => {
+    const provider = createMealDbProvider({ ...config.mealdb, http: config.http, rateLimit: config.rateLimit });
+    // Answer from the synced index while it is fresh
+    return config.catalog?.enabled ? createCatalogProvider({ ...config.catalog, upstream: provider }) : provider;
+  },
+  local: config => createLocalProvider(config.local)
+};
+
+let currentProvider = null;
+
+/**
+ * Create the provider named in the settings
+ *
+ * @param {Object} config - Settings from config.js
+ * @returns {Object} - Recipe provider
+ * @throws {Error} - If the provider name is unknown
+ */
+export function createProvider(config) {
+  const factory = PROVIDER_FACTORIES[config.provider];
+  if (!factory) {
+    throw new Error(`Unknown recipe provider "${config.provider}", expected one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+  }
+  return factory(config);
+}
+
+/**
+ * Get the active provider, creating it from the settings on first use
+ *
+ * @returns {Object} - Recipe provider
+ */
+export function getProvider() {
+  if (!currentProvider) {
+    currentProvider = createProvider(getConfig());
+  }
+  return currentProvider;
+}
+
+/**
+ * Replace the active provider
+ * Passing null makes the next getProvider() create one from the settings again
+ *
+ * @param {Object|null} provider - Provider to use
+ */
+export function setProvider(provider) {
+  currentProvider = provider;
+}
+
+export { createMealDbProvider, createLocalProvider, createCatalogProvider };
+
+export default {
+  createProvider,
+  getProvider,
+  setProvider
+};
@@ -0,0 +1,129 @@
+// src/providers/local.js
+/**
+ * Recipe provider backed by a directory of JSON files
+ * Each file holds one recipe or an array of recipes, in either the Recipe
+ * model shape or TheMealDB's raw shape, so API responses can be saved as-is
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { toRecipe } from '../recipe.js';
+import { RecipeError } from '../errors.js';
+
+/**
+ * Check whether a text contains a search term, ignoring case
+ *
+ * @param {string|null} text - Text to search in
+ * @param {string} term - Term to look for
+ * @returns {boolean} - True if the term is found
+ */
+function matches(text, term) {
+  return Boolean(text) && text.toLowerCase().includes(term.toLowerCase());
+}
+
+/**
+ * Read every recipe in a directory
+ *
+ * @param {string} directory - Directory containing .json files
+ * @returns {Promise<Map<string, Object>>} - Recipes by ID, in file name order
+ *
+ * @see {@link https://nodejs.org/api/fs.html#fspromisesreaddirpath-options | Node.js: fs.readdir}
+ */
+async function loadRecipes(directory) {
+  let files;
+  try {
+    files = (await fs.readdir(directory)).filter(file => file.endsWith('.json')).sort();
+  } catch (error) {
+    throw new RecipeError(`Cannot read local recipe directory ${directory}: ${error.message}`, { cause: error });
+  }
+
+  const recipes = new Map();
+  for (const file of files) {
+    let content;
+    try {
+      content = JSON.parse(await fs.readFile(path.join(directory, file), 'utf8'));
+    } catch (error) {
+      console.error(`Skipping invalid recipe file ${file}:`, error.message);
+      continue;
+    }
+
+    // Accept a saved API response ({ meals: [...] }) as well as plain recipes
+    const items = Array.isArray(content) ? content : content.meals || [content];
+    for (const item of items) {
+      const recipe = toRecipe(item);
+      if (recipe?.id) {
+        recipes.set(recipe.id, recipe);
+      }
+    }
+  }
+  return recipes;
+}
+
+/**
+ * Create provider methods that answer queries from an in-memory recipe list
+ * Shared by the local directory provider and the synced catalog index
+ *
+ * @param {string} name - Provider name
+ * @param {Function} allRecipes - Async function resolving to every recipe
+ * @returns {Object} - Recipe provider
+ */
+export function createListProvider(name, allRecipes) {
+  return {
+    name,
+
+    async searchByName(query) {
+      return (await allRecipes()).filter(recipe => matches(recipe.name, query));
+    },
+
+    async searchByFirstLetter(letter) {
+      return (await allRecipes()).filter(recipe => recipe.name.toLowerCase().startsWith(letter.toLowerCase()));
+    },
+
+    async lookupById(id) {
+      return (await allRecipes()).find(recipe => recipe.id === String(id)) || null;
+    },
+
+    async filterByIngredient(ingredient) {
+      return (await allRecipes()).filter(recipe =>
+        recipe.ingredients.some(item => matches(item.name, ingredient))
+      );
+    },
+
+    async filterByCategory(category) {
+      return (await allRecipes()).filter(recipe => recipe.category?.toLowerCase() === category.toLowerCase());
+    },
+
+    async filterByArea(area) {
+      return (await allRecipes()).filter(recipe => recipe.area?.toLowerCase() === area.toLowerCase());
+    },
+
+    async random() {
+      const recipes = await allRecipes();
+      return recipes.length > 0 ? recipes[Math.floor(Math.random() * recipes.length)] : null;
+    }
+  };
+}
+
+/**
+ * Create a provider that answers queries from local JSON files
+ * Files are read once, on the first query
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.directory - Directory containing recipe files
+ * @returns {Object} - Recipe provider
+ */
+export function createLocalProvider({ directory }) {
+  let recipesPromise = null;
+
+  return createListProvider('local', async () => {
+    if (!recipesPromise) {
+      recipesPromise = loadRecipes(directory);
+    }
+    return [...(await recipesPromise).values()];
+  });
+}
+
+export default {
+  createListProvider,
+  createLocalProvider
+};
@@ -0,0 +1,80 @@
+// src/providers/mealdb.js
+/**
+ * Recipe provider backed by TheMealDB web API
+ * Requests go through the shared HTTP layer for timeouts and retries,
+ * and through a rate limiter so bulk lookups stay within a request budget
+ */
+
+import { requestJson } from '../http.js';
+import { createRateLimiter } from '../rate-limiter.js';
+import { fromMealDb } from '../recipe.js';
+
+export const DEFAULT_BASE_URL = 'https://www.themealdb.com/api/json/v1/1';
+
+/**
+ * Create a provider that reads recipes from TheMealDB
+ * Every method takes an optional last argument with request options
+ * (retries, timeoutMs, signal, ...) that override the provider's `http` options
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.baseUrl - API base URL
+ * @param {Object} options.http - Default request options for http.request()
+ * @param {Object} options.rateLimit - Options for createRateLimiter(), or false to disable limiting
+ * @param {Function} options.fetch - fetch implementation (default: global fetch at call time)
+ * @returns {Object} - Recipe provider
+ */
+export function createMealDbProvider({ baseUrl = DEFAULT_BASE_URL, http = {}, rateLimit = {}, fetch: fetchFn } = {}) {
+  const limiter = rateLimit === false ? null : createRateLimiter(rateLimit);
+
+  /**
+   * Request an endpoint and return its `meals` array
+   *
+   * @param {string} endpoint - Path and query string below the base URL
+   * @param {Object} requestOptions - Per-call request options
+   * @returns {Promise<Array<Object>>} - Raw meals, empty if there were none
+   */
+  async function getMeals(endpoint, requestOptions = {}) {
+    const data = await requestJson(`${baseUrl}/${endpoint}`, { ...http, fetch: fetchFn, limiter, ...requestOptions });
+    return data?.meals || [];
+  }
+
+  return {
+    name: 'mealdb',
+    limiter,
+
+    async searchByName(query, options) {
+      return (await getMeals(`search.php?s=${encodeURIComponent(query)}`, options)).map(fromMealDb);
+    },
+
+    async searchByFirstLetter(letter, options) {
+      return (await getMeals(`search.php?f=${encodeURIComponent(letter)}`, options)).map(fromMealDb);
+    },
+
+    async lookupById(id, options) {
+      const [meal] = await getMeals(`lookup.php?i=${encodeURIComponent(id)}`, options);
+      return fromMealDb(meal);
+    },
+
+    async filterByIngredient(ingredient, options) {
+      return (await getMeals(`filter.php?i=${encodeURIComponent(ingredient)}`, options)).map(fromMealDb);
+    },
+
+    async filterByCategory(category, options) {
+      return (await getMeals(`filter.php?c=${encodeURIComponent(category)}`, options)).map(fromMealDb);
+    },
+
+    async filterByArea(area, options) {
+      return (await getMeals(`filter.php?a=${encodeURIComponent(area)}`, options)).map(fromMealDb);
+    },
+
+    async random(options) {
+      const [meal] = await getMeals('random.php', options);
+      return fromMealDb(meal);
+    }
+  };
+}
+
+export default {
+  DEFAULT_BASE_URL,
+  createMealDbProvider
+};
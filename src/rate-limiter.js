@@ -0,0 +1,135 @@
+// src/rate-limiter.js
+/**
+ * Token-bucket rate limiter with a FIFO request queue
+ * Tasks are started only when a token is available, so any number of callers
+ * can fire requests at once and still stay within a requests-per-second budget
+ *
+ * @see {@link https://en.wikipedia.org/wiki/Token_bucket | Wikipedia: Token bucket}
+ */
+
+/**
+ * Default limiter settings, overridable through the `rateLimit` settings
+ */
+export const DEFAULT_RATE_LIMIT = {
+  requestsPerSecond: 5,
+  burst: 5, // Tokens available at once after a quiet period
+  maxConcurrent: 4 // Tasks allowed to run at the same time
+};
+
+/**
+ * Create a rate limiter
+ *
+ * @param {Object} options - Limiter options (see DEFAULT_RATE_LIMIT)
+ * @param {Function} options.now - Clock function (default: Date.now)
+ * @returns {Object} - Limiter with schedule(), pause() and getStats()
+ * @throws {RangeError} - If requestsPerSecond is not a positive number
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/API/setTimeout | MDN: setTimeout}
+ */
+export function createRateLimiter(options = {}) {
+  const { requestsPerSecond, burst, maxConcurrent, now = Date.now } = { ...DEFAULT_RATE_LIMIT, ...options };
+  if (!(requestsPerSecond > 0)) {
+    throw new RangeError('requestsPerSecond must be greater than 0');
+  }
+
+  const capacity = Math.max(1, burst);
+  const queue = [];
+  let tokens = capacity;
+  let lastRefill = now();
+  let pausedUntil = 0;
+  let active = 0;
+  let timer = null;
+
+  // Add the tokens earned since the last refill
+  function refill() {
+    const current = now();
+    tokens = Math.min(capacity, tokens + ((current - lastRefill) / 1000) * requestsPerSecond);
+    lastRefill = current;
+  }
+
+  // Run a queued job and start the next ones when it settles
+  function start(job) {
+    active++;
+    job.signal?.removeEventListener('abort', job.onAbort);
+    Promise.resolve()
+      .then(job.task)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        active--;
+        drain();
+      });
+  }
+
+  // Start as many queued jobs as tokens and concurrency allow, then wait for the next token
+  function drain() {
+    refill();
+    while (queue.length > 0 && active < maxConcurrent && tokens >= 1 && now() >= pausedUntil) {
+      tokens -= 1;
+      start(queue.shift());
+    }
+
+    if (queue.length > 0 && active < maxConcurrent && !timer) {
+      const tokenWait = tokens >= 1 ? 0 : ((1 - tokens) / requestsPerSecond) * 1000;
+      const wait = Math.max(tokenWait, pausedUntil - now(), 0);
+      timer = setTimeout(() => {
+        timer = null;
+        drain();
+      }, Math.ceil(wait));
+    }
+  }
+
+  /**
+   * Queue a task to run when the budget allows
+   *
+   * @param {Function} task - Function that returns a promise
+   * @param {Object} options - Optional `signal` to remove the task from the queue
+   * @returns {Promise<any>} - Settles with the task's result
+   */
+  function schedule(task, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const job = { task, resolve, reject, signal };
+      job.onAbort = () => {
+        const index = queue.indexOf(job);
+        if (index !== -1) {
+          queue.splice(index, 1);
+          reject(signal.reason);
+        }
+      };
+      signal?.addEventListener('abort', job.onAbort, { once: true });
+
+      queue.push(job);
+      drain();
+    });
+  }
+
+  /**
+   * Hold back queued tasks, e.g. after the server asked us to slow down
+   *
+   * @param {number} ms - Milliseconds to wait before starting more tasks
+   */
+  function pause(ms) {
+    pausedUntil = Math.max(pausedUntil, now() + ms);
+  }
+
+  /**
+   * Describe the limiter's current state
+   *
+   * @returns {Object} - { queued, active, tokens }
+   */
+  function getStats() {
+    refill();
+    return { queued: queue.length, active, tokens: Math.floor(tokens) };
+  }
+
+  return { schedule, pause, getStats };
+}
+
+export default {
+  DEFAULT_RATE_LIMIT,
+  createRateLimiter
+};
@@ -0,0 +1,175 @@
+// src/recipe.js
+/**
+ * Recipe model used throughout the application
+ * Converts between TheMealDB's flat `strX` objects and a normalized shape,
+ * so only this module needs to know about `strIngredient1..20` and friends
+ */
+
+// TheMealDB always returns 20 ingredient/measure slots
+const MEALDB_INGREDIENT_SLOTS = 20;
+
+/**
+ * @typedef {Object} Ingredient
+ * @property {string} name - Ingredient name
+ * @property {string} measure - Quantity, may be empty
+ */
+
+/**
+ * @typedef {Object} Recipe
+ * @property {string} id - Recipe ID
+ * @property {string} name - Recipe name
+ * @property {string|null} category - Category such as "Seafood"
+ * @property {string|null} area - Cuisine area such as "Italian"
+ * @property {Array<string>} tags - Recipe tags
+ * @property {Array<Ingredient>} ingredients - Ingredients in recipe order
+ * @property {Array<string>} instructions - Instruction steps
+ * @property {string|null} image - Thumbnail image URL
+ * @property {string|null} video - Video tutorial URL
+ * @property {string|null} source - Original recipe URL
+ */
+
+/**
+ * Create a recipe with every field present
+ * Missing fields get empty defaults so the shape is always the same
+ *
+ * @param {Object} fields - Recipe fields, at least `id` and `name`
+ * @returns {Recipe} - Recipe object
+ */
+export function createRecipe(fields = {}) {
+  return {
+    id: String(fields.id ?? ''),
+    name: fields.name ?? '',
+    category: fields.category || null,
+    area: fields.area || null,
+    tags: Array.isArray(fields.tags) ? [...fields.tags] : [],
+    ingredients: Array.isArray(fields.ingredients)
+      ? fields.ingredients.map(({ name, measure }) => ({ name, measure: measure || '' }))
+      : [],
+    instructions: Array.isArray(fields.instructions) ? [...fields.instructions] : [],
+    image: fields.image || null,
+    video: fields.video || null,
+    source: fields.source || null
+  };
+}
+
+/**
+ * Convert a TheMealDB meal object into a Recipe
+ *
+ * @param {Object} meal - Raw meal object from TheMealDB
+ * @returns {Recipe|null} - Recipe or null if no meal given
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/split | MDN: String.split}
+ */
+export function fromMealDb(meal) {
+  if (!meal) {
+    return null;
+  }
+
+  const ingredients = [];
+  for (let i = 1; i <= MEALDB_INGREDIENT_SLOTS; i++) {
+    const ingredient = meal[`strIngredient${i}`];
+    const measure = meal[`strMeasure${i}`];
+
+    if (ingredient && ingredient.trim() !== '') {
+      ingredients.push({ name: ingredient.trim(), measure: measure ? measure.trim() : '' });
+    }
+  }
+
+  return createRecipe({
+    id: meal.idMeal,
+    name: meal.strMeal,
+    category: meal.strCategory,
+    area: meal.strArea,
+    tags: meal.strTags ? meal.strTags.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+    ingredients,
+    instructions: meal.strInstructions
+      ? meal.strInstructions.split(/\r?\n/).map(step => step.trim()).filter(Boolean)
+      : [],
+    image: meal.strMealThumb,
+    video: meal.strYoutube,
+    source: meal.strSource
+  });
+}
+
+/**
+ * Convert a Recipe back into TheMealDB's meal shape
+ *
+ * @param {Recipe} recipe - Recipe to convert
+ * @returns {Object|null} - Meal object or null if no recipe given
+ */
+export function toMealDb(recipe) {
+  if (!recipe) {
+    return null;
+  }
+
+  const meal = {
+    idMeal: recipe.id,
+    strMeal: recipe.name,
+    strCategory: recipe.category,
+    strArea: recipe.area,
+    strInstructions: recipe.instructions.join('\r\n'),
+    strMealThumb: recipe.image,
+    strTags: recipe.tags.length > 0 ? recipe.tags.join(',') : null,
+    strYoutube: recipe.video,
+    strSource: recipe.source
+  };
+
+  for (let i = 1; i <= MEALDB_INGREDIENT_SLOTS; i++) {
+    const ingredient = recipe.ingredients[i - 1];
+    meal[`strIngredient${i}`] = ingredient ? ingredient.name : '';
+    meal[`strMeasure${i}`] = ingredient ? ingredient.measure : '';
+  }
+
+  return meal;
+}
+
+/**
+ * Turn a stored recipe in either shape into a Recipe
+ * Data saved before the model existed still uses TheMealDB's `idMeal` keys
+ *
+ * @param {Object} value - Recipe or raw meal object
+ * @returns {Recipe|null} - Recipe or null if no value given
+ */
+export function toRecipe(value) {
+  if (!value) {
+    return null;
+  }
+  return 'idMeal' in value ? fromMealDb(value) : createRecipe(value);
+}
+
+/**
+ * Upgrade any raw meal objects inside previously stored data
+ * Arrays and single objects with an `idMeal` are converted, anything else is returned as-is
+ *
+ * @param {any} data - Stored data
+ * @returns {any} - Data with raw meals replaced by Recipes
+ */
+export function reviveRecipes(data) {
+  if (Array.isArray(data)) {
+    return data.map(item => (item && typeof item === 'object' && 'idMeal' in item ? fromMealDb(item) : item));
+  }
+  if (data && typeof data === 'object' && 'idMeal' in data) {
+    return fromMealDb(data);
+  }
+  return data;
+}
+
+/**
+ * Check whether a recipe only has summary fields
+ * Filter endpoints return just the name, ID and image
+ *
+ * @param {Recipe} recipe - Recipe to check
+ * @returns {boolean} - True if ingredients and instructions are missing
+ */
+export function isPartial(recipe) {
+  return recipe.ingredients.length === 0 && recipe.instructions.length === 0;
+}
+
+export default {
+  createRecipe,
+  fromMealDb,
+  toMealDb,
+  toRecipe,
+  reviveRecipes,
+  isPartial
+};
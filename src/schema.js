@@ -0,0 +1,147 @@
+// src/schema.js
+/**
+ * Versioned headers for the JSON data files
+ * Each data file is written as `{ "schema": name, "version": n, "data": ... }`, so a
+ * later release can tell which shape a file is in. Files written before versioning
+ * hold the bare data and count as version 0.
+ *
+ * Readers upgrade older data in memory one version at a time, so every earlier
+ * version can still be read; `data migrate` (see migrations.js) rewrites the files
+ * in the current version. Data from a newer version is refused rather than guessed at.
+ *
+ * To change a file's shape, bump its version and add a step that turns data of the
+ * previous version into the new one.
+ *
+ * Each schema also sets how its files are indented, so every writer (the app,
+ * `data migrate`, recovery and init-data) produces the same format.
+ */
+
+import { reviveRecipes } from './recipe.js';
+
+// Adds the header to a file that had none; the data itself is unchanged
+const addHeader = data => data;
+
+/**
+ * Current version of each data file, with the steps that lead up to it and its indentation
+ * `migrations[n]` turns version n - 1 data into version n data. Files people may read or
+ * edit are indented; the cache, the undo history and the catalog grow large and are
+ * only read by the app, so they are written compactly.
+ */
+export const SCHEMAS = {
+  favorites: {
+    version: 1,
+    indent: 2,
+    migrations: {
+      // Adds the header, and converts favorites saved before the recipe model,
+      // which still use TheMealDB's `idMeal` keys
+      1: data => reviveRecipes(data)
+    }
+  },
+  'favorites-journal': { version: 1, indent: 0, migrations: { 1: addHeader } },
+  'favorites-trash': { version: 1, indent: 2, migrations: { 1: addHeader } },
+  cache: { version: 1, indent: 0, migrations: { 1: addHeader } },
+  'cache-stats': { version: 1, indent: 2, migrations: { 1: addHeader } },
+  catalog: { version: 1, indent: 0, migrations: { 1: addHeader } }
+};
+
+/**
+ * Error thrown for data files that cannot be upgraded
+ * Files in this state are left alone rather than treated as corrupt
+ */
+export class SchemaError extends Error {
+  constructor(message, version = null) {
+    super(message);
+    this.name = 'SchemaError';
+    this.version = version;
+  }
+}
+
+/**
+ * Look up a schema by name
+ *
+ * @param {string} name - Schema name, e.g. 'favorites'
+ * @returns {Object} - { version, indent, migrations }
+ * @throws {Error} - If there is no such schema
+ */
+function getSchema(name) {
+  const schema = SCHEMAS[name];
+  if (!schema) {
+    throw new Error(`Unknown data schema "${name}"`);
+  }
+  return schema;
+}
+
+/**
+ * Wrap data in a header with the current version
+ *
+ * @param {string} name - Schema name
+ * @param {any} data - Data in the current shape
+ * @returns {Object} - { schema, version, data }
+ */
+export function toVersioned(name, data) {
+  return { schema: name, version: getSchema(name).version, data };
+}
+
+/**
+ * Split parsed file contents into their version and data
+ *
+ * @param {string} name - Schema name the file should have
+ * @param {any} parsed - Parsed file contents
+ * @returns {Object} - { version, data }; version 0 for files without a header
+ * @throws {SchemaError} - If the header belongs to another schema
+ */
+export function readHeader(name, parsed) {
+  const hasHeader = parsed !== null && typeof parsed === 'object' && !Array.isArray(parsed)
+    && typeof parsed.schema === 'string' && Number.isInteger(parsed.version) && 'data' in parsed;
+  if (!hasHeader) {
+    return { version: 0, data: parsed };
+  }
+  if (parsed.schema !== name) {
+    throw new SchemaError(`holds "${parsed.schema}" data, expected "${name}"`, parsed.version);
+  }
+  return { version: parsed.version, data: parsed.data };
+}
+
+/**
+ * Upgrade data to the current version, one step at a time
+ *
+ * @param {string} name - Schema name
+ * @param {any} data - Data in the given version
+ * @param {number} version - Version the data is in
+ * @returns {any} - Data in the current version
+ * @throws {SchemaError} - If the data is from a newer version than this release knows
+ */
+export function upgrade(name, data, version) {
+  const schema = getSchema(name);
+  if (version > schema.version) {
+    throw new SchemaError(`is version ${version}, written by a newer release; this one reads up to version ${schema.version}`, version);
+  }
+
+  let upgraded = data;
+  for (let next = version + 1; next <= schema.version; next++) {
+    upgraded = schema.migrations[next](upgraded);
+  }
+  return upgraded;
+}
+
+/**
+ * Get the data out of parsed file contents, upgraded to the current version
+ *
+ * @param {string} name - Schema name
+ * @param {any} parsed - Parsed file contents, with or without a header
+ * @returns {any} - Data in the current version
+ * @throws {SchemaError} - If the file belongs to another schema or a newer version
+ */
+export function fromVersioned(name, parsed) {
+  const { version, data } = readHeader(name, parsed);
+  return upgrade(name, data, version);
+}
+
+export default {
+  SCHEMAS,
+  SchemaError,
+  toVersioned,
+  readHeader,
+  upgrade,
+  fromVersioned
+};
@@ -0,0 +1,399 @@
+// src/storage.js
+/**
+ * Safe file reads and writes shared by the cache and favorites modules
+ *
+ * - Atomic writes: data goes to a temporary file that is renamed over the target,
+ *   so readers see either the old or the new contents, never half a file
+ * - Advisory locks: a `<file>.lock` file created with the exclusive `wx` flag marks
+ *   a read-modify-write in progress, so separate processes take turns. Each lock
+ *   holds a unique token, so a stale lock is never mistaken for a fresh one
+ * - Recovery: a JSON file that no longer parses is moved aside to
+ *   `<file>.corrupt-<timestamp>` and replaced by its last good backup (`<file>.bak`).
+ *   This happens under the file's lock, so a writer is never interrupted
+ *
+ * JSON files are plain UTF-8 text unless a codec says otherwise, e.g. to compress them.
+ * Data files with a schema carry a version header (see schema.js), which
+ * readJsonFile removes and serializeJson adds.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { SCHEMAS, toVersioned, fromVersioned, SchemaError } from './schema.js';
+
+// Lock timing defaults
+const LOCK_TIMEOUT_MS = 5000; // Give up waiting after this long
+const LOCK_STALE_MS = 30000; // Locks older than this were left by a crashed process
+const LOCK_RETRY_MS = 25;
+
+// Tail of each file's queue of lock holders in this process
+const localQueues = new Map();
+
+// Files whose locks the current async call chain holds, so it can take them again
+const heldLocks = new AsyncLocalStorage();
+
+// Makes temporary file names unique within this process
+let tempCounter = 0;
+
+/**
+ * Codec for plain UTF-8 JSON files
+ * A codec reads a file with `encoding`, turns its contents into JSON text with
+ * decode(), and turns JSON text back into file contents with encode()
+ */
+export const TEXT_CODEC = {
+  encoding: 'utf8',
+  decode: async contents => contents,
+  encode: async text => text
+};
+
+/**
+ * Wait for a number of milliseconds
+ *
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Delete a file if it exists
+ *
+ * @param {string} file - Path to delete
+ */
+async function removeQuietly(file) {
+  try {
+    await fs.unlink(file);
+  } catch {
+    // Already gone
+  }
+}
+
+/**
+ * Get the path of a file's backup copy
+ *
+ * @param {string} file - Data file path
+ * @returns {string} - Backup file path
+ */
+export function getBackupPath(file) {
+  return `${file}.bak`;
+}
+
+/**
+ * Write a file atomically by writing a temporary file and renaming it into place
+ *
+ * @param {string} file - Path to write
+ * @param {string|Buffer} content - File contents
+ * @param {Object} options - Set `backup` to copy the current file to `<file>.bak` first;
+ *   only do this when the current file is known to be good
+ * @throws {Error} - If the file could not be written; the target is left untouched
+ *
+ * @see {@link https://nodejs.org/api/fs.html#fspromisesrenameoldpath-newpath | Node.js: fs.rename}
+ * @see {@link https://nodejs.org/api/fs.html#fspromisescopyfilesrc-dest-mode | Node.js: fs.copyFile}
+ */
+export async function writeFileAtomic(file, content, { backup = false } = {}) {
+  const tempFile = `${file}.${process.pid}.${++tempCounter}.tmp`;
+  try {
+    await fs.writeFile(tempFile, content);
+    if (backup) {
+      try {
+        await fs.copyFile(file, getBackupPath(file));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    await fs.rename(tempFile, file);
+  } catch (error) {
+    await removeQuietly(tempFile);
+    throw error;
+  }
+}
+
+/**
+ * Read the token in a lock file
+ *
+ * @param {string} lockFile - Path of the lock file
+ * @returns {Promise<string|null>} - Token, or null if the file is gone
+ */
+async function readLockToken(lockFile) {
+  try {
+    return await fs.readFile(lockFile, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remove a lock left behind by a process that crashed while holding it
+ * Processes that both find the lock stale could otherwise each remove it, the second
+ * one removing the fresh lock the first just took. So the lock is renamed away
+ * first, and only removed if it is still the stale one; a fresh lock moved by
+ * mistake is put back, unless yet another lock has been taken meanwhile.
+ *
+ * @param {string} lockFile - Path of the lock file
+ * @param {number} staleMs - Age after which a lock counts as stale
+ *
+ * @see {@link https://nodejs.org/api/fs.html#fspromiseslinkexistingpath-newpath | Node.js: fs.link}
+ */
+async function breakStaleLock(lockFile, staleMs) {
+  let stats;
+  try {
+    stats = await fs.stat(lockFile);
+  } catch {
+    return; // Released in the meantime
+  }
+  if (Date.now() - stats.mtimeMs <= staleMs) {
+    return;
+  }
+
+  const token = await readLockToken(lockFile);
+  const moved = `${lockFile}.stale-${randomUUID()}`;
+  try {
+    await fs.rename(lockFile, moved);
+  } catch {
+    return; // Another process broke it first
+  }
+
+  if (token !== null && (await readLockToken(moved)) !== token) {
+    try {
+      await fs.link(moved, lockFile);
+    } catch {
+      // Another lock was taken meanwhile; the one moved by mistake can't be put back
+    }
+  }
+  await removeQuietly(moved);
+}
+
+/**
+ * Create the lock file, waiting while another process holds it
+ *
+ * @param {string} lockFile - Path of the lock file
+ * @param {Object} options - { timeoutMs, staleMs }
+ * @throws {Error} - If the lock could not be taken within timeoutMs
+ *
+ * @see {@link https://nodejs.org/api/fs.html#file-system-flags | Node.js: File system flags}
+ */
+async function acquireLock(lockFile, { timeoutMs, staleMs }) {
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    try {
+      const handle = await fs.open(lockFile, 'wx');
+      try {
+        await handle.writeFile(randomUUID());
+      } finally {
+        await handle.close();
+      }
+      return;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        // The protected file's directory doesn't exist yet
+        await fs.mkdir(path.dirname(lockFile), { recursive: true });
+        continue;
+      }
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    await breakStaleLock(lockFile, staleMs);
+    if (!(await fs.stat(lockFile).catch(() => null))) {
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for lock on ${lockFile}`);
+    }
+    await sleep(LOCK_RETRY_MS);
+  }
+}
+
+/**
+ * Run a function while holding the lock for a file
+ * Calls in this process queue up in order; other processes wait on the lock file.
+ * Code already running under the lock, e.g. a read that recovers the file, takes it again
+ * without waiting.
+ *
+ * @param {string} file - Path of the file being protected
+ * @param {Function} fn - Async function to run while locked
+ * @param {Object} options - Optional `timeoutMs` and `staleMs`
+ * @returns {Promise<any>} - Result of fn
+ * @throws {Error} - If the lock could not be taken, or whatever fn throws
+ */
+export async function withFileLock(file, fn, { timeoutMs = LOCK_TIMEOUT_MS, staleMs = LOCK_STALE_MS } = {}) {
+  const held = heldLocks.getStore();
+  if (held?.has(file)) {
+    return fn();
+  }
+
+  const previous = localQueues.get(file) || Promise.resolve();
+  let release;
+  const current = new Promise(resolve => {
+    release = resolve;
+  });
+  const tail = previous.then(() => current);
+  localQueues.set(file, tail);
+
+  await previous;
+  const lockFile = `${file}.lock`;
+  try {
+    await acquireLock(lockFile, { timeoutMs, staleMs });
+    const holding = new Set(held).add(file);
+    try {
+      return await heldLocks.run(holding, fn);
+    } finally {
+      // Work started under the lock that outlives it must queue like everyone else
+      holding.delete(file);
+      await removeQuietly(lockFile);
+    }
+  } finally {
+    release();
+    if (localQueues.get(file) === tail) {
+      localQueues.delete(file);
+    }
+  }
+}
+
+/**
+ * Turn data into the JSON text of a data file
+ *
+ * @param {any} data - Data to write
+ * @param {Object} options - `schema` adds a version header for that schema and uses its
+ *   indentation; `indent` pretty-prints a file without a schema
+ * @returns {string} - JSON text
+ */
+export function serializeJson(data, { schema = null, indent = SCHEMAS[schema]?.indent ?? 0 } = {}) {
+  return JSON.stringify(schema ? toVersioned(schema, data) : data, null, indent);
+}
+
+/**
+ * Parse JSON text, upgrading versioned data when there is a schema
+ *
+ * @param {string} text - JSON text
+ * @param {string|null} schema - Schema name, or null for plain JSON
+ * @returns {any} - Parsed data, in the schema's current version
+ * @throws {SyntaxError} - If the text is not JSON
+ * @throws {SchemaError} - If the data belongs to another schema or a newer version
+ */
+function parseJson(text, schema) {
+  const parsed = JSON.parse(text);
+  return schema ? fromVersioned(schema, parsed) : parsed;
+}
+
+/**
+ * Read and parse a JSON data file
+ *
+ * @param {string} file - Path to read
+ * @param {Object} options - { fallback, validate, codec, schema } as for readJsonFile
+ * @returns {Promise<Object>} - { data }, or { corrupt: true } if the file needs recovering
+ * @throws {Error} - If the file exists but cannot be read
+ * @throws {SchemaError} - If the file belongs to another schema or a newer version
+ */
+async function loadJsonFile(file, { fallback, validate, codec, schema }) {
+  let contents;
+  try {
+    contents = await fs.readFile(file, codec.encoding);
+  } catch (error) {
+    if (error.code === 'ENOENT') return { data: fallback };
+    throw error;
+  }
+
+  if (contents.length === 0) {
+    return { data: fallback };
+  }
+
+  let text;
+  try {
+    text = await codec.decode(contents);
+  } catch {
+    // Contents the codec can't read, e.g. a truncated compressed file
+    return { corrupt: true };
+  }
+
+  if (text.trim() === '') {
+    return { data: fallback };
+  }
+
+  let data;
+  try {
+    data = parseJson(text, schema);
+  } catch (error) {
+    if (error instanceof SchemaError) throw new SchemaError(`${file} ${error.message}`, error.version);
+    if (!(error instanceof SyntaxError)) throw error;
+    return { corrupt: true };
+  }
+
+  return validate(data) ? { data } : { corrupt: true };
+}
+
+/**
+ * Move a corrupt file aside and restore its last good backup
+ * Falls back to `fallback` when there is no usable backup. Runs under the file's lock and
+ * reads the file again first, since a writer may have replaced it in the meantime.
+ *
+ * @param {string} file - Corrupt data file
+ * @param {Object} options - { fallback, validate, codec, schema, lockFile } as for readJsonFile
+ * @returns {Promise<any>} - The restored data, or the file's data if it is no longer corrupt
+ */
+export async function recoverJsonFile(file, { fallback, validate = () => true, codec = TEXT_CODEC, schema = null, lockFile = file }) {
+  return withFileLock(lockFile, async () => {
+    const current = await loadJsonFile(file, { fallback, validate, codec, schema });
+    if (!current.corrupt) {
+      return current.data;
+    }
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const quarantined = `${file}.corrupt-${stamp}`;
+    await fs.rename(file, quarantined);
+
+    let restored = null;
+    try {
+      const contents = await fs.readFile(getBackupPath(file), codec.encoding);
+      const data = parseJson(await codec.decode(contents), schema);
+      if (validate(data)) {
+        restored = { data, contents };
+      }
+    } catch {
+      // No usable backup
+    }
+
+    await writeFileAtomic(file, restored ? restored.contents : await codec.encode(serializeJson(fallback, { schema })));
+
+    console.error(
+      `Warning: ${file} was corrupt and has been moved to ${quarantined}. ` +
+      (restored ? 'Restored the last good backup.' : 'No usable backup was found, so it was reset.')
+    );
+    return restored ? restored.data : fallback;
+  });
+}
+
+/**
+ * Read a JSON data file, recovering it if it is corrupt
+ * A missing or empty file is not corrupt; it just has no data yet
+ *
+ * @param {string} file - Path to read
+ * @param {Object} options - Read options
+ * @param {any} options.fallback - Data to use when the file is missing, empty or unrecoverable
+ * @param {Function} options.validate - Returns true if parsed data has the expected shape
+ * @param {Object} options.codec - How the file is stored (default: TEXT_CODEC)
+ * @param {string} options.schema - Schema of a versioned data file (default: none)
+ * @param {string} options.lockFile - Path whose lock writers of the file hold (default: the file)
+ * @returns {Promise<any>} - Parsed data, upgraded to the schema's current version
+ * @throws {Error} - If the file exists but cannot be read
+ * @throws {SchemaError} - If the file belongs to another schema or a newer version; it is left as it is
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/SyntaxError | MDN: SyntaxError}
+ */
+export async function readJsonFile(file, { fallback, validate = () => true, codec = TEXT_CODEC, schema = null, lockFile = file }) {
+  const { data, corrupt } = await loadJsonFile(file, { fallback, validate, codec, schema });
+  return corrupt ? recoverJsonFile(file, { fallback, validate, codec, schema, lockFile }) : data;
+}
+
+export default {
+  TEXT_CODEC,
+  getBackupPath,
+  writeFileAtomic,
+  withFileLock,
+  serializeJson,
+  readJsonFile,
+  recoverJsonFile
+};
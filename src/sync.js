@@ -0,0 +1,60 @@
+// src/sync.js
+/**
+ * Download the whole recipe catalog into the local index
+ * TheMealDB has no "list everything" endpoint, so the catalog is crawled one
+ * first letter at a time; the rate limiter keeps the burst of requests polite
+ */
+
+import * as api from './api.js';
+import { getConfig } from './config.js';
+import { saveCatalog } from './catalog.js';
+import { isPartial } from './recipe.js';
+
+// Every first character a recipe name can start with
+export const CATALOG_LETTERS = [...'abcdefghijklmnopqrstuvwxyz0123456789'];
+
+/**
+ * Crawl the catalog and replace the local index
+ * Nothing is written unless every letter and detail lookup succeeds,
+ * so a failed sync leaves the previous index in place
+ *
+ * @param {Object} options - Sync options
+ * @param {string} options.file - Index file (default: catalog.file setting)
+ * @param {Array<string>} options.letters - First letters to crawl (default: a-z and 0-9)
+ * @param {Function} options.onProgress - Called with { stage, done, total } as requests finish
+ * @returns {Promise<import('./catalog.js').Catalog>} - The saved catalog
+ * @throws {RecipeError} - If any request fails
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/all | MDN: Promise.all}
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map | MDN: Map}
+ */
+export async function syncCatalog({ file = getConfig().catalog.file, letters = CATALOG_LETTERS, onProgress = () => {} } = {}) {
+  const recipes = new Map();
+
+  let lettersDone = 0;
+  await Promise.all(letters.map(async letter => {
+    const found = await api.searchMealsByFirstLetter([letter], { fresh: true });
+    found.forEach(recipe => recipes.set(recipe.id, recipe));
+    onProgress({ stage: 'letters', done: ++lettersDone, total: letters.length });
+  }));
+
+  // Letter searches normally return full recipes, but fill in any summaries
+  const partial = [...recipes.values()].filter(isPartial);
+  let detailsDone = 0;
+  await Promise.all(partial.map(async summary => {
+    recipes.set(summary.id, await api.getMealById(summary.id, 2, { fresh: true }));
+    onProgress({ stage: 'details', done: ++detailsDone, total: partial.length });
+  }));
+
+  const catalog = {
+    syncedAt: Date.now(),
+    recipes: [...recipes.values()].sort((a, b) => a.name.localeCompare(b.name))
+  };
+  await saveCatalog(file, catalog);
+  return catalog;
+}
+
+export default {
+  CATALOG_LETTERS,
+  syncCatalog
+};
@@ -3,13 +3,14 @@
  * Utility functions for the recipe explorer application
  */
 
+/** @typedef {import('./recipe.js').Recipe} Recipe */
+
 /**
  * Format a recipe for display in the console
  * 
- * @param {Object} recipe - Recipe object
+ * @param {Recipe} recipe - Recipe object
  * @returns {string} - Formatted recipe string
  * 
- * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/trim | MDN: String.trim}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Template_literals | MDN: Template literals}
  */
 export function formatRecipe(recipe) {
@@ -17,33 +18,31 @@ export function formatRecipe(recipe) {
     return 'Recipe not found';
   }
   
-  // Extract ingredients and measures
-  const ingredients = [];
-  for (let i = 1; i <= 20; i++) {
-    const ingredient = recipe[`strIngredient${i}`];
-    const measure = recipe[`strMeasure${i}`];
-    
-    if (ingredient && ingredient.trim() !== '') {
-      ingredients.push(`${measure ? measure.trim() : ''} ${ingredient.trim()}`);
-    }
-  }
-  
   // Build formatted string
   let result = '\n';
-  result += `=== ${recipe.strMeal} ===\n`;
-  result += `Category: ${recipe.strCategory || 'N/A'}\n`;
-  result += `Area: ${recipe.strArea || 'N/A'}\n`;
+  result += `=== ${recipe.name} ===\n`;
+  result += `Category: ${recipe.category || 'N/A'}\n`;
+  result += `Area: ${recipe.area || 'N/A'}\n`;
+
+  if (recipe.tags.length > 0) {
+    result += `Tags: ${recipe.tags.join(', ')}\n`;
+  }
+
   result += '\nIngredients:\n';
   
-  for (const ingredient of ingredients) {
-    result += `- ${ingredient}\n`;
+  for (const ingredient of recipe.ingredients) {
+    result += `- ${ingredient.measure} ${ingredient.name}\n`;
   }
   
   result += '\nInstructions:\n';
-  result += `${recipe.strInstructions}\n`;
+  result += `${recipe.instructions.join('\n')}\n`;
   
-  if (recipe.strYoutube) {
-    result += `\nVideo Tutorial: ${recipe.strYoutube}\n`;
+  if (recipe.video) {
+    result += `\nVideo Tutorial: ${recipe.video}\n`;
+  }
+
+  if (recipe.source) {
+    result += `Source: ${recipe.source}\n`;
   }
   
   return result;
@@ -52,7 +51,7 @@ export function formatRecipe(recipe) {
 /**
  * Format a list of recipes for display
  * 
- * @param {Array<Object>} recipes - Array of recipe objects
+ * @param {Array<Recipe>} recipes - Array of recipe objects
  * @returns {string} - Formatted recipe list
  * 
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/forEach | MDN: Array.forEach}
@@ -66,19 +65,185 @@ export function formatRecipeList(recipes) {
   result += '=== Recipe List ===\n';
   
   recipes.forEach((recipe, index) => {
-    result += `${index + 1}. ${recipe.strMeal} (ID: ${recipe.idMeal})\n`;
+    result += `${index + 1}. ${recipe.name} (ID: ${recipe.id})\n`;
   });
   
   return result;
 }
 
+/**
+ * Describe a duration in the largest whole unit, e.g. "3 hours"
+ *
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - Human-readable duration
+ */
+export function formatDuration(ms) {
+  const units = [['day', 86400000], ['hour', 3600000], ['minute', 60000], ['second', 1000]];
+  for (const [unit, size] of units) {
+    const count = Math.floor(ms / size);
+    if (count >= 1) {
+      return `${count} ${unit}${count === 1 ? '' : 's'}`;
+    }
+  }
+  return 'less than a second';
+}
+
+/**
+ * Describe a size in bytes with a binary unit, e.g. "1.5 KB"
+ *
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Human-readable size
+ */
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${Number(size.toFixed(1))} ${units[unit]}`;
+}
+
+/**
+ * Output formats supported by the command-line mode
+ */
+export const OUTPUT_FORMATS = ['text', 'json', 'ndjson'];
+
+/**
+ * Render a single recipe in the requested output format
+ * JSON formats serialize the Recipe model, whose field names are stable
+ *
+ * @param {Recipe} recipe - Recipe object
+ * @param {string} format - One of OUTPUT_FORMATS
+ * @returns {string} - Rendered recipe
+ *
+ * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/JSON/stringify | MDN: JSON.stringify}
+ */
+export function renderRecipe(recipe, format = 'text') {
+  if (format === 'json') {
+    return JSON.stringify(recipe, null, 2);
+  }
+  if (format === 'ndjson') {
+    return JSON.stringify(recipe);
+  }
+  return formatRecipe(recipe);
+}
+
+/**
+ * Render a list of recipes in the requested output format
+ * NDJSON writes one recipe per line and nothing for an empty list
+ *
+ * @param {Array<Recipe>} recipes - Array of recipe objects
+ * @param {string} format - One of OUTPUT_FORMATS
+ * @returns {string} - Rendered list
+ */
+export function renderRecipeList(recipes, format = 'text') {
+  const list = recipes || [];
+  if (format === 'json') {
+    return JSON.stringify(list, null, 2);
+  }
+  if (format === 'ndjson') {
+    return list.map(recipe => JSON.stringify(recipe)).join('\n');
+  }
+  return formatRecipeList(list);
+}
+
+/**
+ * Describe what the user added to a favorite, e.g. "Rating: 4/5 | Collections: Weeknight"
+ *
+ * @param {Object} favorite - Favorite from favorites.js
+ * @returns {Array<string>} - Lines to show under the recipe, empty if nothing is set
+ */
+function describeFavorite(favorite) {
+  const details = [];
+  if (favorite.rating !== null) details.push(`Rating: ${favorite.rating}/5`);
+  if (favorite.collections.length > 0) details.push(`Collections: ${favorite.collections.join(', ')}`);
+  if (favorite.tags.length > 0) details.push(`Tags: ${favorite.tags.map(tag => `#${tag}`).join(' ')}`);
+  if (favorite.addedAt !== null) details.push(`Added: ${new Date(favorite.addedAt).toISOString().slice(0, 10)}`);
+
+  const lines = details.length > 0 ? [details.join(' | ')] : [];
+  if (favorite.note) lines.push(`Note: ${favorite.note}`);
+  if (favorite.missingSince !== null) {
+    lines.push(`No longer available from the recipe service (since ${new Date(favorite.missingSince).toISOString().slice(0, 10)})`);
+  }
+  return lines;
+}
+
+/**
+ * Format favorites for display, with their ratings, collections, tags and notes
+ *
+ * @param {Array<Object>} favorites - Favorites from favorites.js
+ * @param {string} title - List heading (default: 'Favorites')
+ * @returns {string} - Formatted favorites list
+ */
+export function formatFavoriteList(favorites, title = 'Favorites') {
+  if (!favorites || favorites.length === 0) {
+    return 'No recipes found';
+  }
+
+  let result = '\n';
+  result += `=== ${title} ===\n`;
+
+  favorites.forEach((favorite, index) => {
+    result += `${index + 1}. ${favorite.recipe.name} (ID: ${favorite.recipe.id})\n`;
+    for (const line of describeFavorite(favorite)) {
+      result += `   ${line}\n`;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Turn a favorite into the object written by JSON output: the Recipe with a
+ * `favorite` object holding what the user added, with dates as ISO strings
+ *
+ * @param {Object} favorite - Favorite from favorites.js
+ * @returns {Object} - Recipe fields plus `favorite`
+ */
+export function toFavoriteRecord({ recipe, addedAt, refreshedAt, missingSince, ...details }) {
+  const toIsoString = ms => (ms === null ? null : new Date(ms).toISOString());
+  return {
+    ...recipe,
+    favorite: {
+      addedAt: toIsoString(addedAt),
+      ...details,
+      refreshedAt: toIsoString(refreshedAt),
+      missingSince: toIsoString(missingSince)
+    }
+  };
+}
+
+/**
+ * Render favorites in the requested output format
+ * JSON formats serialize each favorite with toFavoriteRecord()
+ *
+ * @param {Array<Object>} favorites - Favorites from favorites.js
+ * @param {string} format - One of OUTPUT_FORMATS
+ * @param {string} title - Heading for the text format
+ * @returns {string} - Rendered list
+ */
+export function renderFavoriteList(favorites, format = 'text', title = 'Favorites') {
+  const list = (favorites || []).map(toFavoriteRecord);
+
+  if (format === 'json') {
+    return JSON.stringify(list, null, 2);
+  }
+  if (format === 'ndjson') {
+    return list.map(item => JSON.stringify(item)).join('\n');
+  }
+  return formatFavoriteList(favorites, title);
+}
+
 /**
  * Run tasks with a concurrency limit
- * Useful for API calls with rate limits
+ * Useful for API calls with rate limits. A failed task does not stop the others;
+ * callers that need to report failures catch them in the task.
  * 
  * @param {Array<Function>} tasks - Array of functions that return promises
  * @param {number} concurrency - Maximum number of tasks to run concurrently
- * @returns {Promise<Array>} - Results in the same order as tasks
+ * @returns {Promise<Array>} - Results in the same order as tasks, null for tasks that threw
  * 
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise | MDN: Promise}
  * @see {@link https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise/all | MDN: Promise.all}
@@ -91,8 +256,7 @@ export async function runWithConcurrency(tasks, concurrency = 3) {
   async function runTask(index) {
     try {
       results[index] = await tasks[index]();
-    } catch (error) {
-      console.error(`Error in task ${index}:`, error.message);
+    } catch {
       results[index] = null;
     }
     
@@ -167,6 +331,14 @@ export async function tryStrategies(strategies) {
 export default {
   formatRecipe,
   formatRecipeList,
+  OUTPUT_FORMATS,
+  formatDuration,
+  formatBytes,
+  renderRecipe,
+  renderRecipeList,
+  formatFavoriteList,
+  toFavoriteRecord,
+  renderFavoriteList,
   runWithConcurrency,
   withTimeout,
   tryStrategies
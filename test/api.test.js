@@ -1,6 +1,10 @@
 // test/api.test.js
-import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach } from 'vitest';
 import * as api from '../src/api.js';
+import { fromMealDb } from '../src/recipe.js';
+import { DEFAULT_CONFIG, mergeConfig, setConfig } from '../src/config.js';
+import { setProvider } from '../src/providers/index.js';
+import { NetworkError, TimeoutError, NotFoundError, RateLimitError, HttpError } from '../src/errors.js';
 
 // Mock global fetch
 global.fetch = vi.fn();
@@ -15,6 +19,20 @@ describe('API Module', () => {
     };
   }
   
+  // Use the TheMealDB provider directly, without the index or rate limiting, with short retry delays
+  beforeAll(() => {
+    setConfig(mergeConfig(DEFAULT_CONFIG, {
+      provider: 'mealdb',
+      catalog: { enabled: false },
+      rateLimit: false,
+      http: { backoffMs: 1, maxBackoffMs: 5 }
+    }));
+    setProvider(null);
+  });
+
+  // Every request is made with an AbortSignal so it can be cancelled
+  const withSignal = expect.objectContaining({ signal: expect.any(AbortSignal) });
+
   // Reset mocks before each test
   beforeEach(() => {
     fetch.mockReset();
@@ -37,10 +55,10 @@ describe('API Module', () => {
       const result = await api.searchMealsByName('test');
       
       // Verify fetch was called correctly
-      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?s=test');
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?s=test', withSignal);
       
-      // Verify results
-      expect(result).toEqual(mockMeals.meals);
+      // Verify results are converted to Recipe objects
+      expect(result).toEqual(mockMeals.meals.map(fromMealDb));
     });
     
     it('should return empty array when no meals found', async () => {
@@ -54,32 +72,41 @@ describe('API Module', () => {
       const result = await api.searchMealsByName('nonexistent');
       
       // Verify fetch was called correctly
-      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?s=nonexistent');
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?s=nonexistent', withSignal);
       
       // Verify empty array returned
       expect(result).toEqual([]);
     });
     
-    it('should handle API errors gracefully', async () => {
-      // Mock fetch to return an error response
-      fetch.mockResolvedValueOnce(createMockResponse({}, false, 500));
+    it('should reject with an HttpError on API errors', async () => {
+      // Mock fetch to keep returning an error response
+      fetch.mockResolvedValue(createMockResponse({}, false, 500));
       
-      // Call the function
-      const result = await api.searchMealsByName('test');
+      // Call the function and capture the rejection
+      const error = await api.searchMealsByName('test').catch(e => e);
       
-      // Verify empty array returned
-      expect(result).toEqual([]);
+      // Verify the request was retried before giving up
+      expect(fetch).toHaveBeenCalledTimes(3);
+      
+      // Verify the error says what went wrong, unlike an empty result
+      expect(error).toBeInstanceOf(HttpError);
+      expect(error.status).toBe(500);
     });
     
-    it('should handle network errors gracefully', async () => {
-      // Mock fetch to throw an error
-      fetch.mockRejectedValueOnce(new Error('Network error'));
+    it('should reject with a NetworkError on network errors', async () => {
+      // Mock fetch to keep throwing an error
+      fetch.mockRejectedValue(new Error('Network error'));
       
-      // Call the function
-      const result = await api.searchMealsByName('test');
+      // Verify the typed error is passed on
+      await expect(api.searchMealsByName('test')).rejects.toBeInstanceOf(NetworkError);
+    });
+    
+    it('should reject with a RateLimitError when rate limited', async () => {
+      // Mock fetch to keep returning 429 Too Many Requests
+      fetch.mockResolvedValue(createMockResponse({}, false, 429));
       
-      // Verify empty array returned
-      expect(result).toEqual([]);
+      // Verify the typed error is passed on
+      await expect(api.searchMealsByName('test')).rejects.toBeInstanceOf(RateLimitError);
     });
   });
   
@@ -99,24 +126,25 @@ describe('API Module', () => {
       const result = await api.getMealById('123');
       
       // Verify fetch was called correctly
-      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/lookup.php?i=123');
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/lookup.php?i=123', withSignal);
       
       // Verify result
-      expect(result).toEqual(mockMeal.meals[0]);
+      expect(result).toEqual(fromMealDb(mockMeal.meals[0]));
     });
     
-    it('should return null when meal not found', async () => {
+    it('should reject with a NotFoundError when meal not found', async () => {
       // Mock data with null meals
       const mockResponse = { meals: null };
       
       // Mock fetch to return null meals
       fetch.mockResolvedValueOnce(createMockResponse(mockResponse));
       
-      // Call the function
-      const result = await api.getMealById('999');
+      // Call the function and capture the rejection
+      const error = await api.getMealById('999').catch(e => e);
       
-      // Verify null returned
-      expect(result).toBeNull();
+      // Verify the error names the missing recipe
+      expect(error).toBeInstanceOf(NotFoundError);
+      expect(error.id).toBe('999');
     });
     
     it('should retry on failure', async () => {
@@ -138,7 +166,7 @@ describe('API Module', () => {
       expect(fetch).toHaveBeenCalledTimes(2);
       
       // Verify result
-      expect(result).toEqual(mockMeal.meals[0]);
+      expect(result).toEqual(fromMealDb(mockMeal.meals[0]));
     });
   });
   
@@ -169,12 +197,12 @@ describe('API Module', () => {
       
       // Verify fetch was called correctly
       expect(fetch).toHaveBeenCalledTimes(2);
-      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?f=a');
-      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?f=b');
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?f=a', withSignal);
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/search.php?f=b', withSignal);
       
       // Verify results are combined
       expect(result.length).toBe(4);
-      expect(result).toEqual([...mockMealsA.meals, ...mockMealsB.meals]);
+      expect(result).toEqual([...mockMealsA.meals, ...mockMealsB.meals].map(fromMealDb));
     });
     
     it('should remove duplicate meals', async () => {
@@ -202,6 +230,16 @@ describe('API Module', () => {
       // Verify duplicates are removed (should have 2 results, not 3)
       expect(result.length).toBe(2);
     });
+    
+    it('should reject if any letter fails', async () => {
+      // First letter succeeds, the second keeps failing
+      fetch.mockImplementation(url => url.endsWith('f=a')
+        ? Promise.resolve(createMockResponse({ meals: [{ idMeal: '1', strMeal: 'Apple Pie' }] }))
+        : Promise.reject(new Error('Network error')));
+      
+      // Verify partial results are not returned as if they were complete
+      await expect(api.searchMealsByFirstLetter(['a', 'b'])).rejects.toBeInstanceOf(NetworkError);
+    });
   });
   
   describe('getMealsByIngredient', () => {
@@ -221,18 +259,18 @@ describe('API Module', () => {
       const result = await api.getMealsByIngredient('chicken');
       
       // Verify fetch was called correctly
-      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/filter.php?i=chicken');
+      expect(fetch).toHaveBeenCalledWith('https://www.themealdb.com/api/json/v1/1/filter.php?i=chicken', withSignal);
       
-      // Verify results
-      expect(result).toEqual(mockMeals.meals);
+      // Verify results are converted to Recipe objects
+      expect(result).toEqual(mockMeals.meals.map(fromMealDb));
     });
     
-    it('should handle timeout gracefully', async () => {
+    it('should reject with a TimeoutError when requests are too slow', async () => {
       // This test is complex because we need to mock Promise.race behavior
       // For simplicity, we'll just mock fetch to delay longer than the timeout
       
-      // Mock a delayed fetch that takes longer than the timeout
-      fetch.mockImplementationOnce(() => {
+      // Mock a delayed fetch that takes longer than the timeout on every attempt
+      fetch.mockImplementation(() => {
         return new Promise(resolve => {
           setTimeout(() => {
             resolve(createMockResponse({ meals: [] }));
@@ -241,11 +279,10 @@ describe('API Module', () => {
       });
       
       // Call the function with a very short timeout
-      const result = await api.getMealsByIngredient('chicken', 10); // 10ms timeout
+      const result = api.getMealsByIngredient('chicken', 10); // 10ms timeout
       
-      // Result should be the error message string
-      expect(typeof result).toBe('string');
-      expect(result).toContain('took too long');
+      // Result should be a typed error rather than a sentinel string
+      await expect(result).rejects.toBeInstanceOf(TimeoutError);
     });
   });
 });
@@ -0,0 +1,44 @@
+// test/app.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import readlineSync from 'readline-sync';
+import * as api from '../src/api.js';
+import * as cache from '../src/cache.js';
+import app from '../src/app.js';
+import { createMemoryBackend } from '../src/cache/index.js';
+import { createRecipe } from '../src/recipe.js';
+
+vi.mock('readline-sync', () => ({
+  default: {
+    question: vi.fn(),
+    questionInt: vi.fn(),
+    keyInYN: vi.fn(),
+    keyInYNStrict: vi.fn(),
+    keyInSelect: vi.fn()
+  }
+}));
+
+vi.mock('../src/api.js', () => ({
+  searchMealsByName: vi.fn(),
+  getMealById: vi.fn(),
+  getRelatedRecipes: vi.fn()
+}));
+
+describe('Interactive menu', () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    cache.setCacheBackend(createMemoryBackend());
+  });
+
+  it('should prompt while a background warm-up is still waiting for the recipe service', async () => {
+    api.searchMealsByName.mockResolvedValue([createRecipe({ id: '1', name: 'Soup' })]);
+    // The service never answers the warm-up's lookup, so waiting for it would never reach the prompt
+    api.getMealById.mockReturnValue(new Promise(() => {}));
+    readlineSync.keyInYN.mockReturnValue(false);
+
+    await app.searchRecipes('soup');
+
+    expect(api.getMealById).toHaveBeenCalledWith('1');
+    expect(readlineSync.keyInYN).toHaveBeenCalled();
+  });
+});
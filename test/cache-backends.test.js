@@ -0,0 +1,325 @@
+// test/cache-backends.test.js
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import {
+  createCacheBackend,
+  createMemoryBackend,
+  createFileBackend,
+  createTieredBackend,
+  createSqliteBackend
+} from '../src/cache/index.js';
+import { isSqliteAvailable, closeDatabases } from '../src/database.js';
+import { fromVersioned } from '../src/schema.js';
+
+// node:sqlite only exists in newer versions of Node
+const hasSqlite = await isSqliteAvailable();
+
+// Parse a cache file written by the file backend
+const readCacheFile = async file => fromVersioned('cache', JSON.parse(await fs.readFile(file, 'utf8')));
+
+describe('Cache Backends', () => {
+  const entry = (data, timestamp = 1000) => ({ timestamp, data });
+
+  describe('createCacheBackend', () => {
+    it('should create the backend named in the settings', () => {
+      expect(createCacheBackend({ backend: 'memory' }).name).toBe('memory');
+      expect(createCacheBackend({ backend: 'file', file: 'cache.json' }).name).toBe('file');
+      expect(createCacheBackend({ backend: 'tiered', file: 'cache.json' }).name).toBe('tiered');
+    });
+
+    it('should reject unknown backends', () => {
+      expect(() => createCacheBackend({ backend: 'redis' })).toThrow('Unknown cache backend');
+    });
+
+    it('should persist entries with the storage engine', () => {
+      const storage = { engine: 'sqlite', database: 'recipe-explorer.db' };
+
+      expect(createCacheBackend({ backend: 'file', file: 'cache.json' }, storage).name).toBe('sqlite');
+      expect(createCacheBackend({ backend: 'tiered', file: 'cache.json' }, storage).persistent.name).toBe('sqlite');
+      expect(() => createCacheBackend({ backend: 'file' }, { engine: 'xml' })).toThrow('Unknown storage engine');
+    });
+  });
+
+  describe('Memory backend', () => {
+    it('should store and return entries', async () => {
+      const backend = createMemoryBackend();
+
+      await backend.set('a', entry('one'));
+
+      expect(await backend.get('a')).toEqual(entry('one'));
+      expect(await backend.get('b')).toBeNull();
+    });
+
+    it('should evict the least recently used entry past maxEntries', async () => {
+      const backend = createMemoryBackend({ maxEntries: 2 });
+      await backend.set('a', entry('one'));
+      await backend.set('b', entry('two'));
+
+      await backend.get('a'); // 'b' is now the least recently used
+      await backend.set('c', entry('three'));
+
+      expect(await backend.get('b')).toBeNull();
+      expect((await backend.entries()).map(([key]) => key)).toEqual(['a', 'c']);
+    });
+
+    it('should evict entries to stay under maxBytes', async () => {
+      const size = Buffer.byteLength(JSON.stringify(entry('x'.repeat(10))));
+      const backend = createMemoryBackend({ maxBytes: size * 2 });
+
+      await backend.set('a', entry('x'.repeat(10)));
+      await backend.set('b', entry('y'.repeat(10)));
+      await backend.set('c', entry('z'.repeat(10)));
+
+      expect(backend.getStats()).toEqual({ entries: 2, bytes: size * 2 });
+      expect(await backend.get('a')).toBeNull();
+    });
+
+    it('should not store an entry larger than maxBytes', async () => {
+      const backend = createMemoryBackend({ maxBytes: 10 });
+
+      await backend.set('big', entry('x'.repeat(100)));
+
+      expect(await backend.get('big')).toBeNull();
+    });
+
+    it('should prune, delete and clear entries', async () => {
+      const backend = createMemoryBackend();
+      await backend.set('old', entry('one', 1));
+      await backend.set('new', entry('two', 2));
+      await backend.set('other', entry('three', 3));
+
+      expect(await backend.prune(stored => stored.timestamp < 2)).toBe(1);
+      expect(await backend.delete('new')).toBe(true);
+      expect(await backend.delete('new')).toBe(false);
+      await backend.clear();
+      expect(await backend.entries()).toEqual([]);
+    });
+  });
+
+  describe('File backend', () => {
+    let directory;
+
+    beforeAll(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'cache-'));
+    });
+
+    afterAll(async () => {
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('should create the file and keep entries across instances', async () => {
+      const file = path.join(directory, 'nested', 'cache.json');
+      await createFileBackend({ file }).set('a', entry('one'));
+
+      const reopened = createFileBackend({ file });
+
+      expect(await reopened.get('a')).toEqual(entry('one'));
+      expect(await reopened.entries()).toEqual([['a', entry('one')]]);
+    });
+
+    it('should only rewrite the file when pruning removes something', async () => {
+      const file = path.join(directory, 'prune.json');
+      const backend = createFileBackend({ file });
+      await backend.set('old', entry('one', 1));
+      await backend.set('new', entry('two', 2));
+
+      expect(await backend.prune(stored => stored.timestamp < 2)).toBe(1);
+      expect(await backend.prune(() => false)).toBe(0);
+      expect(await readCacheFile(file)).toEqual({ new: entry('two', 2) });
+    });
+
+    it('should keep every entry from parallel saves', async () => {
+      const file = path.join(directory, 'parallel.json');
+      const backend = createFileBackend({ file });
+      await backend.set('first', entry('one'));
+
+      await Promise.all([backend.set('a', entry('a')), backend.set('b', entry('b')), backend.delete('first')]);
+      await backend.set('c', entry('c'));
+
+      expect(Object.keys(await readCacheFile(file)).sort()).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should quarantine a corrupt file and restore its backup', async () => {
+      const file = path.join(directory, 'broken.json');
+      const backend = createFileBackend({ file });
+      await backend.set('a', entry('one'));
+      await backend.set('b', entry('two'));
+      await fs.writeFile(file, 'not json');
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await backend.get('a')).toEqual(entry('one'));
+      expect(await backend.get('b')).toBeNull();
+      const names = await fs.readdir(directory);
+      expect(names.some(name => name.startsWith('broken.json.corrupt-'))).toBe(true);
+      expect(console.error).toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+
+    it.each([
+      ['gzip', '.gz', contents => zlib.gunzipSync(contents)],
+      ['brotli', '.br', contents => zlib.brotliDecompressSync(contents)]
+    ])('should store the file %s compressed', async (compression, extension, decompress) => {
+      const file = path.join(directory, `${compression}.json`);
+      const backend = createFileBackend({ file, compression });
+
+      await backend.set('a', entry('one'));
+
+      expect(await backend.get('a')).toEqual(entry('one'));
+      expect(fromVersioned('cache', JSON.parse(decompress(await fs.readFile(`${file}${extension}`))))).toEqual({ a: entry('one') });
+      expect(await backend.size()).toBe((await fs.stat(`${file}${extension}`)).size);
+    });
+
+    it('should convert a file written with another compression setting on initialize', async () => {
+      const file = path.join(directory, 'legacy.json');
+      await createFileBackend({ file }).set('a', entry('one'));
+
+      const backend = createFileBackend({ file, compression: 'gzip' });
+      await backend.initialize();
+
+      expect(await backend.get('a')).toEqual(entry('one'));
+      await expect(fs.access(file)).rejects.toThrow();
+
+      // And back again
+      await createFileBackend({ file }).initialize();
+      expect(await readCacheFile(file)).toEqual({ a: entry('one') });
+      await expect(fs.access(`${file}.gz`)).rejects.toThrow();
+    });
+
+    it('should recover a truncated compressed file from its backup', async () => {
+      const file = path.join(directory, 'truncated.json');
+      const backend = createFileBackend({ file, compression: 'gzip' });
+      await backend.set('a', entry('one'));
+      await backend.set('b', entry('two'));
+      const contents = await fs.readFile(`${file}.gz`);
+      await fs.writeFile(`${file}.gz`, contents.subarray(0, 10));
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await backend.get('a')).toEqual(entry('one'));
+      expect(console.error).toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+
+    it('should drop least recently used entries to stay under maxFileBytes', async () => {
+      const file = path.join(directory, 'capped.json');
+      const big = text => entry(text.repeat(100));
+      const backend = createFileBackend({ file, maxFileBytes: 500 });
+      await backend.set('a', big('a'));
+      await backend.set('b', big('b'));
+      await backend.set('c', big('c'));
+
+      // Reading "a" makes "b" the least recently used
+      await backend.get('a');
+      await backend.set('d', big('d'));
+
+      expect((await fs.stat(file)).size).toBeLessThanOrEqual(500);
+      expect(Object.keys(await readCacheFile(file))).toEqual(['c', 'a', 'd']);
+    });
+  });
+
+  describe.skipIf(!hasSqlite)('SQLite backend', () => {
+    let directory;
+
+    beforeAll(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'cache-sqlite-'));
+    });
+
+    afterAll(async () => {
+      await closeDatabases();
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('should keep entries across instances', async () => {
+      const database = path.join(directory, 'nested', 'cache.db');
+      await createSqliteBackend({ database }).set('a', entry('one'));
+
+      const reopened = createSqliteBackend({ database });
+
+      expect(await reopened.get('a')).toEqual(entry('one'));
+      expect(await reopened.get('b')).toBeNull();
+      expect(await reopened.entries()).toEqual([['a', entry('one')]]);
+    });
+
+    it('should delete, prune and clear entries', async () => {
+      const backend = createSqliteBackend({ database: path.join(directory, 'prune.db') });
+      await backend.set('old', entry('one', 1));
+      await backend.set('new', entry('two', 2));
+      await backend.set('other', entry('three', 3));
+
+      expect(await backend.prune(stored => stored.timestamp < 2)).toBe(1);
+      expect(await backend.delete('new')).toBe(true);
+      expect(await backend.delete('new')).toBe(false);
+      expect((await backend.entries()).map(([key]) => key)).toEqual(['other']);
+
+      await backend.clear();
+      expect(await backend.size()).toBe(0);
+    });
+
+    it('should drop least recently used entries past maxFileBytes', async () => {
+      const size = Buffer.byteLength(JSON.stringify(entry('x'.repeat(10))));
+      const backend = createSqliteBackend({ database: path.join(directory, 'limit.db'), maxFileBytes: size * 2 });
+      await backend.set('a', entry('x'.repeat(10)));
+      await backend.set('b', entry('y'.repeat(10)));
+
+      await backend.get('a'); // 'b' is now the least recently used
+      await backend.set('c', entry('z'.repeat(10)));
+
+      expect((await backend.entries()).map(([key]) => key)).toEqual(['a', 'c']);
+      expect(await backend.size()).toBe(size * 2);
+    });
+  });
+
+  describe('Tiered backend', () => {
+    function createSpyBackend(backend) {
+      for (const method of ['get', 'set', 'delete', 'prune', 'clear']) {
+        vi.spyOn(backend, method);
+      }
+      return backend;
+    }
+
+    it('should serve repeated reads from memory', async () => {
+      const persistent = createSpyBackend(createMemoryBackend());
+      await persistent.set('a', entry('one'));
+      const backend = createTieredBackend({ memory: createMemoryBackend(), persistent });
+
+      expect(await backend.get('a')).toEqual(entry('one'));
+      expect(await backend.get('a')).toEqual(entry('one'));
+      expect(persistent.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should write through to both layers', async () => {
+      const memory = createMemoryBackend();
+      const persistent = createMemoryBackend();
+      const backend = createTieredBackend({ memory, persistent });
+
+      await backend.set('a', entry('one'));
+
+      expect(await memory.get('a')).toEqual(entry('one'));
+      expect(await persistent.get('a')).toEqual(entry('one'));
+    });
+
+    it('should fall back to the persistent layer after memory evicts an entry', async () => {
+      const backend = createTieredBackend({ memory: createMemoryBackend({ maxEntries: 1 }), persistent: createMemoryBackend() });
+      await backend.set('a', entry('one'));
+      await backend.set('b', entry('two'));
+
+      expect(await backend.get('a')).toEqual(entry('one'));
+      expect(await backend.entries()).toHaveLength(2);
+    });
+
+    it('should remove entries from both layers', async () => {
+      const memory = createMemoryBackend();
+      const persistent = createMemoryBackend();
+      const backend = createTieredBackend({ memory, persistent });
+      await backend.set('a', entry('one', 1));
+      await backend.set('b', entry('two', 2));
+
+      expect(await backend.prune(stored => stored.timestamp < 2)).toBe(1);
+      expect(await backend.delete('b')).toBe(true);
+      expect(await memory.entries()).toEqual([]);
+      expect(await persistent.entries()).toEqual([]);
+    });
+  });
+});
@@ -9,18 +9,34 @@ vi.mock('fs/promises', () => {
   const readFile = vi.fn();
   const writeFile = vi.fn();
   const mkdir = vi.fn();
+  const rename = vi.fn();
+  const unlink = vi.fn();
+  const stat = vi.fn();
+  const copyFile = vi.fn();
+  // Lock files are opened and closed straight away
+  const open = vi.fn(async () => ({ writeFile: async () => {}, close: async () => {} }));
   return {
     __esModule: true,
-    default: { access, readFile, writeFile, mkdir },
+    default: { access, readFile, writeFile, mkdir, rename, unlink, stat, copyFile, open },
     access,
     readFile,
     writeFile,
     mkdir,
+    rename,
+    unlink,
+    stat,
+    copyFile,
+    open,
   };
 });
 
 import * as cache from '../src/cache.js';
+import { toVersioned, fromVersioned } from '../src/schema.js';
 import * as fs from 'fs/promises';
+import { createRecipe } from '../src/recipe.js';
+import { createFileBackend, createMemoryBackend } from '../src/cache/index.js';
+import { NotFoundError } from '../src/errors.js';
+import * as metrics from '../src/metrics.js';
 
 // Get the cache file path (for reference)
 const __filename = fileURLToPath(import.meta.url);
@@ -28,9 +44,13 @@ const __dirname = path.dirname(__filename);
 const CACHE_FILE = path.join(__dirname, '../data/cache.json');
 
 describe('Cache Module', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+
   beforeEach(() => {
     vi.resetAllMocks();
     vi.useRealTimers();
+    // Read the mocked file on every call, with no memory layer carrying entries between tests
+    cache.setCacheBackend(createFileBackend({ file: CACHE_FILE }));
   });
 
   describe('initializeCache', () => {
@@ -46,13 +66,14 @@ describe('Cache Module', () => {
       expect(fs.mkdir).toHaveBeenCalled();
       expect(fs.writeFile).toHaveBeenCalledWith(
         expect.stringContaining('cache.json'),
-        JSON.stringify({}, null, 2)
+        JSON.stringify(toVersioned('cache', {}))
       );
     });
 
     it('should not create cache file if it already exists', async () => {
-      // Simulate the cache file exists.
+      // Simulate the cache file exists and is valid.
       fs.access.mockResolvedValueOnce(undefined);
+      fs.readFile.mockResolvedValueOnce(JSON.stringify({}));
       await cache.initializeCache();
       expect(fs.writeFile).not.toHaveBeenCalled();
     });
@@ -75,6 +96,18 @@ describe('Cache Module', () => {
       vi.useRealTimers();
     });
 
+    it('should convert recipes cached in the raw API shape', async () => {
+      const mockCache = {
+        search_soup: {
+          timestamp: Date.now(),
+          data: [{ idMeal: '1', strMeal: 'Soup' }]
+        }
+      };
+      fs.readFile.mockResolvedValueOnce(JSON.stringify(mockCache));
+      const result = await cache.getFromCache('search_soup');
+      expect(result).toEqual([createRecipe({ id: '1', name: 'Soup' })]);
+    });
+
     it('should return null if data is expired', async () => {
       const expiredTimestamp = Date.now() - 25 * 60 * 60 * 1000; // 25 hours ago
       const mockCache = {
@@ -135,6 +168,244 @@ describe('Cache Module', () => {
     });
   });
 
+  describe('getCachePolicy', () => {
+    const settings = {
+      ttlMs: 1000,
+      policies: {
+        'recipe_*': { ttlMs: 5000 },
+        'recipe_52772': { ttlMs: 9000 },
+        'random*': { ttlMs: 0 }
+      }
+    };
+
+    it('should use the most specific matching pattern', () => {
+      expect(cache.getCachePolicy('recipe_1', settings).ttlMs).toBe(5000);
+      expect(cache.getCachePolicy('recipe_52772', settings).ttlMs).toBe(9000);
+      expect(cache.getCachePolicy('random', settings).ttlMs).toBe(0);
+    });
+
+    it('should fall back to the default TTL', () => {
+      expect(cache.getCachePolicy('search_soup', settings).ttlMs).toBe(1000);
+    });
+  });
+
+  describe('TTLs', () => {
+    it('should store the TTL with each entry', async () => {
+      fs.readFile.mockResolvedValueOnce(JSON.stringify({}));
+      await cache.saveToCache('test_key', { id: 1 }, { ttlMs: 5000 });
+      const written = fromVersioned('cache', JSON.parse(fs.writeFile.mock.calls[0][1]));
+      expect(written.test_key.ttlMs).toBe(5000);
+    });
+
+    it('should not save entries with a TTL of 0', async () => {
+      const result = await cache.saveToCache('random', { id: 1 });
+      expect(result).toBe(false);
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should expire entries by their own TTL', async () => {
+      const mockCache = {
+        test_key: {
+          timestamp: Date.now() - 2000,
+          ttlMs: 1000,
+          data: { id: 1 }
+        }
+      };
+      fs.readFile.mockResolvedValueOnce(JSON.stringify(mockCache));
+      const result = await cache.getFromCache('test_key');
+      expect(result).toBeNull();
+    });
+
+    it('should clear expired entries by their own TTL', async () => {
+      // Entries are kept for the stale-if-error window (30 days by default) after expiring
+      const longAgo = Date.now() - 40 * DAY;
+      const mockCache = {
+        short: { timestamp: longAgo, ttlMs: 1000, data: 1 },
+        long: { timestamp: longAgo, ttlMs: 60 * DAY, data: 2 },
+        legacy: { timestamp: longAgo, data: 3 }
+      };
+      fs.readFile.mockResolvedValueOnce(JSON.stringify(mockCache));
+      const removed = await cache.clearExpiredCache();
+      expect(removed).toBe(2);
+      expect(Object.keys(fromVersioned('cache', JSON.parse(fs.writeFile.mock.calls[0][1])))).toEqual(['long']);
+    });
+
+    it('should pass a TTL from getCachedOrFetch to the saved entry', async () => {
+      fs.readFile.mockResolvedValueOnce(JSON.stringify({}));
+      fs.readFile.mockResolvedValueOnce(JSON.stringify({}));
+      const fetchFn = vi.fn().mockResolvedValue({ id: 1 });
+      await cache.getCachedOrFetch('test_key', fetchFn, { ttlMs: 1234 });
+      const written = fromVersioned('cache', JSON.parse(fs.writeFile.mock.calls[0][1]));
+      expect(written.test_key.ttlMs).toBe(1234);
+    });
+  });
+
+  describe('stale entries', () => {
+    const staleCache = (ageMs, ttlMs = 1000) => JSON.stringify({
+      test_key: { timestamp: Date.now() - ageMs, ttlMs, data: { id: 1, name: 'Stale Data' } }
+    });
+
+    it('should annotate where results came from', async () => {
+      fs.readFile.mockResolvedValueOnce(JSON.stringify({ test_key: { timestamp: Date.now(), ttlMs: DAY, data: { id: 1 } } }));
+      const cached = await cache.getCachedOrFetch('test_key', vi.fn());
+      expect(cache.getCacheInfo(cached)).toMatchObject({ source: 'cache' });
+
+      fs.readFile.mockResolvedValueOnce(JSON.stringify({}));
+      const fresh = await cache.getCachedOrFetch('test_key', vi.fn().mockResolvedValue({ id: 2 }));
+      expect(cache.getCacheInfo(fresh)).toEqual({ source: 'network', ageMs: 0 });
+    });
+
+    it('should serve a stale entry when the fetch returns nothing', async () => {
+      fs.readFile.mockResolvedValueOnce(staleCache(5000));
+      fs.readFile.mockResolvedValueOnce(staleCache(5000));
+      const result = await cache.getCachedOrFetch('test_key', vi.fn().mockResolvedValue(null));
+      expect(result).toEqual({ id: 1, name: 'Stale Data' });
+      expect(cache.getCacheInfo(result)).toMatchObject({ source: 'stale', reason: 'error' });
+    });
+
+    it('should not serve entries older than the stale-if-error window', async () => {
+      fs.readFile.mockResolvedValue(staleCache(5000));
+      const fetchFn = vi.fn().mockRejectedValue(new Error('Network error'));
+      await expect(cache.getCachedOrFetch('test_key', fetchFn, { staleIfErrorMs: 1000 })).rejects.toThrow('Network error');
+    });
+
+    it('should not hide a missing recipe behind a stale entry', async () => {
+      fs.readFile.mockResolvedValue(staleCache(5000));
+      const fetchFn = vi.fn().mockRejectedValue(new NotFoundError('gone'));
+      await expect(cache.getCachedOrFetch('test_key', fetchFn)).rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    it('should return a stale entry at once and refresh it in the background', async () => {
+      fs.readFile.mockResolvedValue(staleCache(5000));
+      const fetchFn = vi.fn().mockResolvedValue({ id: 1, name: 'Fresh Data' });
+
+      const result = await cache.getCachedOrFetch('test_key', fetchFn, { staleWhileRevalidateMs: 60000 });
+      expect(result).toEqual({ id: 1, name: 'Stale Data' });
+      expect(cache.getCacheInfo(result)).toMatchObject({ source: 'stale', reason: 'revalidating' });
+
+      await cache.settleRevalidations();
+      expect(fetchFn).toHaveBeenCalled();
+      expect(fs.writeFile).toHaveBeenCalledWith(expect.stringContaining('cache.json'), expect.stringContaining('Fresh Data'));
+    });
+
+    it('should keep entries inside their stale window when clearing', async () => {
+      fs.readFile.mockResolvedValueOnce(staleCache(5000));
+      expect(await cache.clearExpiredCache()).toBe(0);
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('concurrent requests', () => {
+    it('should share one fetch between concurrent misses on a key', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify({}));
+      let resolveFetch;
+      const fetchFn = vi.fn(() => new Promise(resolve => { resolveFetch = resolve; }));
+
+      const first = cache.getCachedOrFetch('test_key', fetchFn);
+      const second = cache.getCachedOrFetch('test_key', fetchFn);
+      await vi.waitFor(() => expect(fetchFn).toHaveBeenCalled());
+      resolveFetch({ id: 1 });
+
+      expect(await first).toEqual({ id: 1 });
+      expect(await second).toBe(await first);
+      expect(fetchFn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fetch again once the shared fetch has settled', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify({}));
+      const fetchFn = vi.fn().mockRejectedValueOnce(new Error('Network error')).mockResolvedValueOnce({ id: 1 });
+
+      await expect(cache.getCachedOrFetch('test_key', fetchFn)).rejects.toThrow('Network error');
+      expect(await cache.getCachedOrFetch('test_key', fetchFn)).toEqual({ id: 1 });
+    });
+
+    it('should merge parallel saves into one write', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify({ existing_key: { timestamp: Date.now(), data: 0 } }));
+
+      const results = await Promise.all([
+        cache.saveToCache('first_key', 1),
+        cache.saveToCache('second_key', 2)
+      ]);
+
+      expect(results).toEqual([true, true]);
+      expect(fs.writeFile).toHaveBeenCalledTimes(1);
+      const written = fromVersioned('cache', JSON.parse(fs.writeFile.mock.calls[0][1]));
+      expect(Object.keys(written)).toEqual(['existing_key', 'first_key', 'second_key']);
+    });
+  });
+
+  describe('inspection', () => {
+    const STATS_FILE = path.join(__dirname, '../data/cache-stats.json');
+    let backend;
+
+    beforeEach(async () => {
+      backend = createMemoryBackend();
+      cache.setCacheBackend(backend);
+      await backend.set('search_chicken', { timestamp: Date.now(), ttlMs: DAY, data: [1, 2] });
+      await backend.set('search_beef', { timestamp: Date.now() - 2 * DAY, ttlMs: DAY, data: [] });
+      await backend.set('recipe_1', { timestamp: Date.now() - 60 * DAY, ttlMs: DAY, data: { id: '1' } });
+    });
+
+    it('should list entries by prefix, sorted by key', async () => {
+      const entries = await cache.listCacheEntries('search_');
+
+      expect(entries.map(entry => entry.key)).toEqual(['search_beef', 'search_chicken']);
+      expect(entries[1]).toMatchObject({ status: 'fresh', ttlMs: DAY, bytes: 5 });
+      expect(entries[0].status).toBe('stale');
+      expect((await cache.listCacheEntries()).find(entry => entry.key === 'recipe_1').status).toBe('expired');
+    });
+
+    it('should show a single entry with its data, even when expired', async () => {
+      expect(await cache.getCacheEntry('recipe_1')).toMatchObject({ key: 'recipe_1', data: { id: '1' } });
+      expect(await cache.getCacheEntry('recipe_2')).toBeNull();
+    });
+
+    it('should delete a key or every key matching a pattern', async () => {
+      expect(await cache.deleteCacheEntries('recipe_1')).toBe(1);
+      expect(await cache.deleteCacheEntries('search_*')).toBe(2);
+      expect(await cache.deleteCacheEntries('search_*')).toBe(0);
+    });
+
+    it('should add this run\'s lookups to the saved counts', async () => {
+      fs.readFile.mockResolvedValue(JSON.stringify({ hits: 3, misses: 1 }));
+      // Save whatever earlier tests counted so only this test's lookups remain
+      await cache.saveCacheStats(STATS_FILE);
+
+      await cache.getFromCache('search_chicken');
+      await cache.getFromCache('search_beef');
+
+      expect(await cache.getCacheStats(STATS_FILE)).toMatchObject({
+        backend: 'memory',
+        entries: 3,
+        fresh: 1,
+        stale: 1,
+        expired: 1,
+        hits: 4,
+        misses: 2,
+        hitRatio: 4 / 6
+      });
+
+      fs.writeFile.mockClear();
+      expect(await cache.saveCacheStats(STATS_FILE)).toBe(true);
+      expect(fromVersioned('cache-stats', JSON.parse(fs.writeFile.mock.calls[0][1]))).toEqual({ hits: 4, misses: 2 });
+    });
+  });
+
+  describe('metrics', () => {
+    it('should record hits, misses, fetch latency and bytes', async () => {
+      cache.setCacheBackend(createMemoryBackend());
+      metrics.resetMetrics();
+      const fetchFn = vi.fn().mockResolvedValue({ id: 1 });
+
+      await cache.getCachedOrFetch('test_key', fetchFn);
+      await cache.getCachedOrFetch('test_key', fetchFn);
+
+      const { counters, timings } = metrics.getMetrics();
+      expect(counters).toMatchObject({ 'cache.hits': 1, 'cache.misses': 1, 'cache.writtenBytes': 8, 'cache.readBytes': 8 });
+      expect(timings['cache.fetch'].count).toBe(1);
+    });
+  });
+
   describe('getCachedOrFetch', () => {
     it('should return cached data if available', async () => {
       const cachedData = { id: 1, name: 'Cached Data' };
@@ -0,0 +1,87 @@
+// test/catalog.test.js
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import * as catalog from '../src/catalog.js';
+import { createRecipe } from '../src/recipe.js';
+
+describe('Catalog Module', () => {
+  let directory;
+
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'index-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    catalog.resetCatalogs();
+  });
+
+  describe('loadCatalog', () => {
+    it('should return null when there is no index', async () => {
+      expect(await catalog.loadCatalog(path.join(directory, 'missing.json'))).toBeNull();
+    });
+
+    it('should ignore malformed index files', async () => {
+      const file = path.join(directory, 'malformed.json');
+      await fs.writeFile(file, JSON.stringify({ recipes: 'nope' }));
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await catalog.loadCatalog(file)).toBeNull();
+      expect(console.error).toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+
+    it('should convert stored recipes into the Recipe model', async () => {
+      const file = path.join(directory, 'raw.json');
+      await fs.writeFile(file, JSON.stringify({ syncedAt: 1, recipes: [{ idMeal: '7', strMeal: 'Pasta' }] }));
+
+      const result = await catalog.loadCatalog(file);
+
+      expect(result.recipes).toEqual([createRecipe({ id: '7', name: 'Pasta' })]);
+    });
+  });
+
+  describe('saveCatalog', () => {
+    it('should write an index that loads back after a reset', async () => {
+      const file = path.join(directory, 'nested', 'index.json');
+      const saved = { syncedAt: 1000, recipes: [createRecipe({ id: '1', name: 'Soup' })] };
+
+      await catalog.saveCatalog(file, saved);
+      catalog.resetCatalogs();
+
+      expect(await catalog.loadCatalog(file)).toEqual(saved);
+    });
+
+    it('should replace an index that was already loaded', async () => {
+      const file = path.join(directory, 'replace.json');
+      expect(await catalog.loadCatalog(file)).toBeNull();
+
+      await catalog.saveCatalog(file, { syncedAt: 2000, recipes: [] });
+
+      expect((await catalog.loadCatalog(file)).syncedAt).toBe(2000);
+    });
+
+    it('should replace the file atomically', async () => {
+      const file = path.join(directory, 'atomic', 'index.json');
+      await catalog.saveCatalog(file, { syncedAt: 1000, recipes: [] });
+      await catalog.saveCatalog(file, { syncedAt: 3000, recipes: [] });
+
+      expect(await fs.readdir(path.dirname(file))).toEqual(['index.json']);
+      catalog.resetCatalogs();
+      expect((await catalog.loadCatalog(file)).syncedAt).toBe(3000);
+    });
+  });
+
+  describe('isCatalogFresh', () => {
+    it('should compare the sync time against the maximum age', () => {
+      expect(catalog.isCatalogFresh({ syncedAt: 1000 }, 500, 1400)).toBe(true);
+      expect(catalog.isCatalogFresh({ syncedAt: 1000 }, 500, 1500)).toBe(false);
+      expect(catalog.isCatalogFresh(null, 500, 1000)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+// test/cli.test.js
+import { describe, it, expect } from 'vitest';
+import * as cli from '../src/cli.js';
+import { NetworkError, TimeoutError, NotFoundError, RateLimitError, ParseError } from '../src/errors.js';
+
+describe('CLI Module', () => {
+  describe('parseArgs', () => {
+    it('should return no command when called without arguments', () => {
+      const result = cli.parseArgs([]);
+
+      expect(result.command).toBeNull();
+      expect(result.options.help).toBe(false);
+    });
+
+    it('should keep positional arguments for a command', () => {
+      const result = cli.parseArgs(['search', 'chicken', 'curry']);
+
+      expect(result).toEqual({
+        command: 'search',
+        subcommand: null,
+        args: ['chicken', 'curry'],
+        options: { help: false, format: 'text', merge: 'skip', profile: null, timings: false }
+      });
+    });
+
+    it('should parse subcommands and their arguments', () => {
+      const result = cli.parseArgs(['favorites', 'add', '52772']);
+
+      expect(result.command).toBe('favorites');
+      expect(result.subcommand).toBe('add');
+      expect(result.args).toEqual(['52772']);
+    });
+
+    it('should allow an optional subcommand argument', () => {
+      expect(cli.parseArgs(['cache', 'list']).args).toEqual([]);
+      expect(cli.parseArgs(['cache', 'list', 'search_']).args).toEqual(['search_']);
+      expect(() => cli.parseArgs(['cache', 'list', 'a', 'b'])).toThrow('at most 1 argument');
+    });
+
+    it('should parse the data subcommands', () => {
+      expect(cli.parseArgs(['data', 'status']).subcommand).toBe('status');
+      expect(cli.parseArgs(['data', 'migrate']).subcommand).toBe('migrate');
+      expect(() => cli.parseArgs(['data'])).toThrow('needs one of: status, migrate');
+    });
+
+    it('should copy data into SQLite with storage import, not migrate', () => {
+      expect(cli.parseArgs(['storage', 'import']).subcommand).toBe('import');
+      expect(() => cli.parseArgs(['storage', 'migrate'])).toThrow('needs one of: import');
+    });
+
+    it('should parse favorite subcommands that take an id and a value', () => {
+      expect(cli.parseArgs(['favorites', 'collect', '52772', 'Weeknight']).args).toEqual(['52772', 'Weeknight']);
+      expect(cli.parseArgs(['favorites', 'note', '52772', 'Less', 'soy']).args).toEqual(['52772', 'Less', 'soy']);
+      expect(cli.parseArgs(['favorites', 'note', '52772']).args).toEqual(['52772']);
+      expect(() => cli.parseArgs(['favorites', 'tag', '52772'])).toThrow('takes 2 argument');
+      expect(() => cli.parseArgs(['favorites', 'rate'])).toThrow('takes 2 argument');
+    });
+
+    it('should accept --help for a command without checking its arguments', () => {
+      const result = cli.parseArgs(['show', '--help']);
+
+      expect(result.command).toBe('show');
+      expect(result.options.help).toBe(true);
+    });
+
+    it('should reject unknown commands', () => {
+      expect(() => cli.parseArgs(['bake'])).toThrow(cli.UsageError);
+    });
+
+    it('should reject missing or extra arguments', () => {
+      expect(() => cli.parseArgs(['show'])).toThrow('takes 1 argument');
+      expect(() => cli.parseArgs(['random', 'extra'])).toThrow('takes 0 argument');
+      expect(() => cli.parseArgs(['search'])).toThrow('at least one argument');
+    });
+
+    it('should reject unknown subcommands and record the command', () => {
+      try {
+        cli.parseArgs(['favorites', 'rename']);
+        expect.unreachable();
+      } catch (error) {
+        expect(error).toBeInstanceOf(cli.UsageError);
+        expect(error.command).toBe('favorites');
+      }
+    });
+
+    it('should parse the output format', () => {
+      expect(cli.parseArgs(['random', '--format', 'json']).options.format).toBe('json');
+      expect(cli.parseArgs(['random', '-f', 'ndjson']).options.format).toBe('ndjson');
+    });
+
+    it('should treat --verbose and --timings as the same option', () => {
+      expect(cli.parseArgs(['random', '--timings']).options.timings).toBe(true);
+      expect(cli.parseArgs(['random', '-v']).options.timings).toBe(true);
+      expect(cli.parseArgs(['random']).options.timings).toBe(false);
+    });
+
+    it('should use the export formats for favorites export', () => {
+      expect(cli.parseArgs(['favorites', 'export']).options.format).toBe('json');
+      expect(cli.parseArgs(['favorites', 'export', 'out.md', '--format', 'md']).options.format).toBe('md');
+      expect(() => cli.parseArgs(['favorites', 'export', '--format', 'ndjson'])).toThrow('expected one of: json, csv, md');
+      expect(() => cli.parseArgs(['favorites', 'list', '--format', 'csv'])).toThrow('Unknown format');
+    });
+
+    it('should parse the merge strategy for favorites import', () => {
+      expect(cli.parseArgs(['favorites', 'import', 'favorites.json', '--merge', 'keep-both']).options.merge).toBe('keep-both');
+      expect(() => cli.parseArgs(['favorites', 'import', 'favorites.json', '--merge', 'replace'])).toThrow('Unknown merge strategy');
+    });
+
+    it('should parse the profile for any command and without one', () => {
+      expect(cli.parseArgs(['favorites', 'list', '--profile', 'sam']).options.profile).toBe('sam');
+      expect(cli.parseArgs(['-p', 'sam'])).toMatchObject({ command: null, options: { profile: 'sam' } });
+      expect(() => cli.parseArgs(['favorites', 'list', '--profile', '../sam'])).toThrow('Invalid profile name');
+    });
+
+    it('should reject unknown output formats', () => {
+      expect(() => cli.parseArgs(['random', '--format', 'xml'])).toThrow('Unknown format');
+    });
+
+    it('should reject unknown options', () => {
+      expect(() => cli.parseArgs(['search', 'soup', '--bogus'])).toThrow(cli.UsageError);
+    });
+  });
+
+  describe('getErrorExitCode', () => {
+    it('should give each error type its own exit code', () => {
+      expect(cli.getErrorExitCode(new NotFoundError('gone'))).toBe(cli.EXIT_CODES.NOT_FOUND);
+      expect(cli.getErrorExitCode(new NetworkError('down'))).toBe(cli.EXIT_CODES.UNAVAILABLE);
+      expect(cli.getErrorExitCode(new TimeoutError('slow'))).toBe(cli.EXIT_CODES.UNAVAILABLE);
+      expect(cli.getErrorExitCode(new RateLimitError('busy', { status: 429 }))).toBe(cli.EXIT_CODES.RATE_LIMITED);
+      expect(cli.getErrorExitCode(new ParseError('garbled'))).toBe(cli.EXIT_CODES.BAD_RESPONSE);
+      expect(cli.getErrorExitCode(new Error('bug'))).toBe(cli.EXIT_CODES.ERROR);
+    });
+  });
+
+  describe('describeError', () => {
+    it('should explain rate limits with the wait time', () => {
+      const error = new RateLimitError('busy', { status: 429, retryAfterMs: 3000 });
+
+      expect(cli.describeError(error)).toContain('Try again in 3s');
+    });
+
+    it('should keep the message of missing recipes', () => {
+      expect(cli.describeError(new NotFoundError('Recipe 1 not found'))).toBe('Recipe 1 not found');
+    });
+  });
+
+  describe('getUsage', () => {
+    it('should list every command in the overview', () => {
+      const usage = cli.getUsage();
+
+      for (const spec of Object.values(cli.COMMANDS)) {
+        expect(usage).toContain(spec.usage);
+      }
+    });
+
+    it('should describe a single command', () => {
+      expect(cli.getUsage('show')).toContain('Usage: recipe-explorer show <id>');
+    });
+  });
+});
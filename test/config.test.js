@@ -0,0 +1,125 @@
+// test/config.test.js
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import * as config from '../src/config.js';
+
+describe('Config Module', () => {
+  let directory;
+
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'settings-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  describe('mergeConfig', () => {
+    it('should merge nested sections without dropping defaults', () => {
+      const result = config.mergeConfig({ a: 1, nested: { b: 2, c: 3 } }, { nested: { c: 4 } });
+
+      expect(result).toEqual({ a: 1, nested: { b: 2, c: 4 } });
+    });
+  });
+
+  describe('loadConfig', () => {
+    it('should use defaults when there is no settings file', () => {
+      const result = config.loadConfig({ RECIPE_SETTINGS_FILE: path.join(directory, 'missing.json') });
+
+      expect(result).toEqual(config.DEFAULT_CONFIG);
+    });
+
+    it('should read the settings file and resolve paths against it', async () => {
+      const file = path.join(directory, 'settings.json');
+      await fs.writeFile(file, JSON.stringify({
+        provider: 'local',
+        local: { directory: 'recipes' },
+        catalog: { file: 'index.json' }
+      }));
+
+      const result = config.loadConfig({ RECIPE_SETTINGS_FILE: file });
+
+      expect(result.provider).toBe('local');
+      expect(result.local.directory).toBe(path.join(directory, 'recipes'));
+      expect(result.catalog.file).toBe(path.join(directory, 'index.json'));
+      expect(result.mealdb).toEqual(config.DEFAULT_CONFIG.mealdb);
+    });
+
+    it('should let environment variables override the settings file', async () => {
+      const file = path.join(directory, 'settings.json');
+      await fs.writeFile(file, JSON.stringify({ provider: 'local' }));
+
+      const result = config.loadConfig({ RECIPE_SETTINGS_FILE: file, RECIPE_PROVIDER: 'mealdb' });
+
+      expect(result.provider).toBe('mealdb');
+    });
+
+    it('should apply the profile sections of a profile\'s settings file', async () => {
+      const file = path.join(directory, 'settings.json');
+      await fs.writeFile(file, JSON.stringify({ favorites: { historySize: 20 } }));
+      const profileDirectory = config.getProfileDirectory('settings-test');
+      await fs.mkdir(profileDirectory, { recursive: true });
+
+      try {
+        await fs.writeFile(path.join(profileDirectory, 'settings.json'), JSON.stringify({
+          favorites: { refreshConcurrency: 4 },
+          cache: { file: 'mine.json' }
+        }));
+
+        const result = config.loadConfig({ RECIPE_SETTINGS_FILE: file }, 'settings-test');
+
+        expect(result.favorites).toMatchObject({ historySize: 20, refreshConcurrency: 4 });
+        expect(result.cache).toEqual(config.DEFAULT_CONFIG.cache);
+      } finally {
+        await fs.rm(profileDirectory, { recursive: true, force: true });
+        // Only removed when no real profiles live there
+        await fs.rmdir(config.PROFILES_DIR).catch(() => {});
+      }
+    });
+
+    it('should reject invalid profile names', () => {
+      expect(() => config.loadConfig({ RECIPE_PROFILE: '../other' })).toThrow('Invalid profile name');
+    });
+
+    it('should report invalid settings files', async () => {
+      const file = path.join(directory, 'broken.json');
+      await fs.writeFile(file, '{ provider: ');
+
+      expect(() => config.loadConfig({ RECIPE_SETTINGS_FILE: file })).toThrow('Invalid settings file');
+    });
+  });
+
+  describe('profiles', () => {
+    afterAll(() => {
+      config.setProfile(config.DEFAULT_PROFILE);
+    });
+
+    it('should keep the default profile in the data directory and others below it', () => {
+      expect(config.getProfileDirectory(config.DEFAULT_PROFILE)).toBe(config.DATA_DIR);
+      expect(config.getProfileDirectory('sam')).toBe(path.join(config.PROFILES_DIR, 'sam'));
+    });
+
+    it('should only accept names that are safe as directory names', () => {
+      expect(config.isValidProfileName('sam_2')).toBe(true);
+      for (const name of ['', '-sam', 'sam/alex', '..', 'a'.repeat(41), null]) {
+        expect(config.isValidProfileName(name)).toBe(false);
+      }
+    });
+
+    it('should switch profiles and reload settings for the new one', () => {
+      const before = config.getConfig();
+      config.setProfile('sam');
+
+      expect(config.getProfile()).toBe('sam');
+      expect(config.getConfig()).not.toBe(before);
+      expect(() => config.setProfile('sam alex')).toThrow(RangeError);
+      expect(config.getProfile()).toBe('sam');
+    });
+
+    it('should list the default profile first', () => {
+      expect(config.listProfiles()[0]).toBe(config.DEFAULT_PROFILE);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+// test/favorites-io.test.js
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import * as favoritesIo from '../src/favorites-io.js';
+import { createRecipe } from '../src/recipe.js';
+
+describe('Favorites import and export', () => {
+  const favorites = [
+    {
+      recipe: createRecipe({ id: '52772', name: 'Teriyaki Chicken Casserole', category: 'Chicken', area: 'Japanese' }),
+      addedAt: Date.UTC(2024, 2, 5),
+      collections: ['Weeknight'],
+      tags: ['asian', 'quick'],
+      note: 'Less soy, "really"\nServe with rice',
+      rating: 4,
+      refreshedAt: null,
+      missingSince: null,
+      sourceId: null
+    },
+    {
+      recipe: createRecipe({ id: '2', name: 'Soup' }),
+      addedAt: null,
+      collections: [],
+      tags: [],
+      note: '',
+      rating: null,
+      refreshedAt: Date.UTC(2024, 3, 1),
+      missingSince: Date.UTC(2024, 3, 1),
+      sourceId: null
+    }
+  ];
+
+  describe('exportFavorites', () => {
+    // What the user added survives a round trip; whether the recipe is still available is checked again
+    const imported = favorites.map(favorite => ({ ...favorite, refreshedAt: null, missingSince: null }));
+
+    it('should export JSON that imports back unchanged', () => {
+      const json = favoritesIo.exportFavorites(favorites, 'json');
+
+      expect(JSON.parse(json)[0].favorite.addedAt).toBe('2024-03-05T00:00:00.000Z');
+      expect(favoritesIo.parseFavorites(json, 'json')).toEqual({ favorites: imported, invalid: [] });
+    });
+
+    it('should export CSV with quoted fields that imports back', () => {
+      const csv = favoritesIo.exportFavorites(favorites, 'csv');
+      const lines = csv.split('\n');
+
+      expect(lines[0]).toBe('id,name,category,area,image,source,collections,tags,note,rating,addedAt');
+      expect(lines[1]).toBe('52772,Teriyaki Chicken Casserole,Chicken,Japanese,,,Weeknight,asian;quick,"Less soy, ""really""');
+      expect(favoritesIo.parseFavorites(csv, 'csv')).toEqual({ favorites: imported, invalid: [] });
+    });
+
+    it('should export Markdown with a section per favorite', () => {
+      const markdown = favoritesIo.exportFavorites(favorites, 'md');
+
+      expect(markdown).toContain('## Teriyaki Chicken Casserole\n\n- ID: 52772\n- Chicken, Japanese\n- Rating: 4/5');
+      expect(markdown).toContain('- Tags: #asian #quick');
+      expect(markdown).toContain('> Less soy, "really"\n> Serve with rice');
+      expect(markdown).toContain('## Soup\n\n- ID: 2\n- No longer available from the recipe service');
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => favoritesIo.exportFavorites(favorites, 'xml')).toThrow(RangeError);
+    });
+  });
+
+  describe('parseFavorites', () => {
+    it('should accept plain recipes and TheMealDB meals', () => {
+      const { favorites: parsed } = favoritesIo.parseFavorites(JSON.stringify({
+        meals: [{ idMeal: '52772', strMeal: 'Teriyaki Chicken Casserole', strCategory: 'Chicken' }]
+      }), 'json');
+
+      expect(parsed).toEqual([{
+        recipe: expect.objectContaining({ id: '52772', name: 'Teriyaki Chicken Casserole', category: 'Chicken' }),
+        addedAt: null,
+        collections: [],
+        tags: [],
+        note: '',
+        rating: null,
+        refreshedAt: null,
+        missingSince: null,
+        sourceId: null
+      }]);
+    });
+
+    it('should read metadata stored in a meta object', () => {
+      const { favorites: parsed } = favoritesIo.parseFavorites(JSON.stringify([
+        { id: '1', name: 'Pasta', meta: { addedAt: 1700000000000, tags: ['quick'] } }
+      ]), 'json');
+
+      expect(parsed[0]).toMatchObject({ addedAt: 1700000000000, tags: ['quick'] });
+    });
+
+    it('should describe invalid records and keep the valid ones', () => {
+      const { favorites: parsed, invalid } = favoritesIo.parseFavorites(JSON.stringify([
+        { id: '1', name: 'Pasta' },
+        'Pasta',
+        { name: 'No ID' },
+        { id: '3' },
+        { id: '4', name: 'Stew', favorite: { rating: 6 } },
+        { id: '5', name: 'Stew', favorite: { tags: 'quick' } },
+        { id: '6', name: 'Stew', favorite: { addedAt: 'yesterday' } }
+      ]), 'json');
+
+      expect(parsed.map(favorite => favorite.recipe.id)).toEqual(['1']);
+      expect(invalid).toEqual([
+        { record: 2, reason: 'not an object' },
+        { record: 3, reason: 'id is missing or contains spaces' },
+        { record: 4, reason: 'name is missing' },
+        { record: 5, reason: 'rating must be a whole number from 1 to 5' },
+        { record: 6, reason: 'tags must be a list of names' },
+        { record: 7, reason: 'addedAt must be a date' }
+      ]);
+    });
+
+    it('should accept CSV with columns in any order and only id and name', () => {
+      const { favorites: parsed } = favoritesIo.parseFavorites('name,id\r\nPasta,1\r\n\r\n"Soup, hot",2\r\n', 'csv');
+
+      expect(parsed.map(favorite => favorite.recipe.name)).toEqual(['Pasta', 'Soup, hot']);
+    });
+
+    it('should reject files that are not favorites at all', () => {
+      expect(() => favoritesIo.parseFavorites('{"recipes": []}', 'json')).toThrow('list of recipes');
+      expect(() => favoritesIo.parseFavorites('title,rating\nPasta,4', 'csv')).toThrow('"id" and "name"');
+      expect(() => favoritesIo.parseFavorites('id,name\n1,"Pasta', 'csv')).toThrow('never closed');
+    });
+  });
+
+  describe('readFavoritesFile', () => {
+    let directory;
+
+    beforeAll(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'favorites-io-'));
+    });
+
+    afterAll(async () => {
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('should pick the format from the file extension', async () => {
+      const file = path.join(directory, 'favorites.CSV');
+      await fs.writeFile(file, 'id,name\n1,Pasta\n');
+
+      const { favorites: parsed } = await favoritesIo.readFavoritesFile(file);
+
+      expect(parsed[0].recipe.name).toBe('Pasta');
+    });
+
+    it('should refuse formats that cannot be imported', async () => {
+      await expect(favoritesIo.readFavoritesFile(path.join(directory, 'favorites.md'))).rejects.toThrow('expected a .json or .csv file');
+    });
+  });
+});
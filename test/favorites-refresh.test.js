@@ -0,0 +1,151 @@
+// test/favorites-refresh.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import * as api from '../src/api.js';
+import * as cache from '../src/cache.js';
+import * as favorites from '../src/favorites.js';
+import { refreshFavorites } from '../src/favorites-refresh.js';
+import { createMemoryBackend } from '../src/cache/index.js';
+import { createRecipe } from '../src/recipe.js';
+import { NetworkError, NotFoundError } from '../src/errors.js';
+
+vi.mock('../src/api.js', () => ({
+  getMealById: vi.fn()
+}));
+
+// Tests stub the favorites they need; unstubbed calls use the real favorites
+vi.mock('../src/favorites.js', async importOriginal => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    findFavorites: vi.fn(actual.findFavorites),
+    saveRefreshedFavorites: vi.fn(actual.saveRefreshedFavorites)
+  };
+});
+
+// Keep the real favorites in the test's own directory
+vi.mock('../src/config.js', async importOriginal => ({
+  ...(await importOriginal()),
+  getProfileDirectory: () => directory
+}));
+
+let directory;
+
+describe('Favorites refresh', () => {
+  const full = (id, fields = {}) => createRecipe({
+    id,
+    name: `Recipe ${id}`,
+    ingredients: [{ name: 'Rice', measure: '1 cup' }],
+    instructions: ['Cook'],
+    ...fields
+  });
+  const summary = id => createRecipe({ id, name: `Recipe ${id}` });
+  // Favorites as findFavorites returns them
+  const stored = recipes => recipes.map(recipe => ({ recipe, sourceId: null }));
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    cache.setCacheBackend(createMemoryBackend());
+    favorites.saveRefreshedFavorites.mockResolvedValue(0);
+  });
+
+  it('should sort favorites into updated, upgraded, unchanged, missing and failed', async () => {
+    favorites.findFavorites.mockResolvedValue(stored([full('1'), full('2'), summary('3'), full('4'), full('5')]));
+    api.getMealById.mockImplementation(async id => {
+      if (id === '1') return full('1');
+      if (id === '2') return full('2', { category: 'Seafood' });
+      if (id === '3') return full('3');
+      if (id === '4') throw new NotFoundError('Recipe 4 not found', { id });
+      throw new NetworkError('offline');
+    });
+
+    const result = await refreshFavorites();
+
+    expect(result).toEqual({
+      checked: 5,
+      updated: 1,
+      upgraded: 1,
+      unchanged: 1,
+      missing: 1,
+      failed: 1,
+      missingRecipes: [{ id: '4', name: 'Recipe 4' }]
+    });
+  });
+
+  it('should save what was found and leave failed lookups alone', async () => {
+    favorites.findFavorites.mockResolvedValue(stored([summary('1'), full('2'), full('3')]));
+    api.getMealById.mockImplementation(async id => {
+      if (id === '1') return full('1');
+      if (id === '2') throw new NotFoundError('Recipe 2 not found', { id });
+      throw new NetworkError('offline');
+    });
+
+    await refreshFavorites();
+
+    expect(favorites.saveRefreshedFavorites).toHaveBeenCalledWith([
+      expect.objectContaining({ id: '1', outcome: 'upgraded', recipe: full('1') }),
+      expect.objectContaining({ id: '2', outcome: 'missing', recipe: null })
+    ]);
+  });
+
+  it('should skip the catalog index and update the cache', async () => {
+    favorites.findFavorites.mockResolvedValue(stored([summary('1')]));
+    api.getMealById.mockResolvedValue(full('1'));
+
+    await refreshFavorites();
+
+    expect(api.getMealById).toHaveBeenCalledWith('1', 2, { fresh: true });
+    expect((await cache.getCacheEntry('recipe_1')).data).toEqual(full('1'));
+  });
+
+  it('should stay within the concurrency budget and report progress', async () => {
+    favorites.findFavorites.mockResolvedValue(stored(['1', '2', '3', '4'].map(full)));
+    let active = 0;
+    let maxActive = 0;
+    api.getMealById.mockImplementation(async id => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+      return full(id);
+    });
+    const onProgress = vi.fn();
+
+    await refreshFavorites({ concurrency: 2, onProgress });
+
+    expect(maxActive).toBe(2);
+    expect(onProgress).toHaveBeenLastCalledWith({ done: 4, total: 4 });
+  });
+
+  describe('with stored favorites', () => {
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'favorites-refresh-'));
+      const actual = await vi.importActual('../src/favorites.js');
+      favorites.saveRefreshedFavorites.mockImplementation(actual.saveRefreshedFavorites);
+    });
+
+    afterEach(async () => {
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('should look up copies made by a keep-both import by the original ID', async () => {
+      const imported = { recipe: summary('1'), addedAt: null, collections: [], tags: [], note: '', rating: null, refreshedAt: null, missingSince: null, sourceId: null };
+      await favorites.importFavorites([imported]);
+      await favorites.importFavorites([imported], { strategy: 'keep-both' });
+      api.getMealById.mockImplementation(async id => {
+        if (id === '1') return full('1');
+        throw new NotFoundError(`Recipe ${id} not found`, { id });
+      });
+
+      const result = await refreshFavorites();
+
+      expect(result).toMatchObject({ checked: 2, upgraded: 2, missing: 0 });
+      expect(api.getMealById).not.toHaveBeenCalledWith('1-2', expect.anything(), expect.anything());
+      const [original, copy] = await favorites.findFavorites();
+      expect(copy).toMatchObject({ recipe: { ...full('1'), id: '1-2' }, sourceId: '1', missingSince: null });
+      expect(original).toMatchObject({ recipe: full('1'), sourceId: null, missingSince: null });
+    });
+  });
+});
@@ -0,0 +1,110 @@
+// test/favorites-store.test.js
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import * as store from '../src/favorites-store.js';
+import { isSqliteAvailable, closeDatabases } from '../src/database.js';
+import { DEFAULT_CONFIG, DEFAULT_PROFILE, mergeConfig, setConfig } from '../src/config.js';
+
+// node:sqlite only exists in newer versions of Node
+const hasSqlite = await isSqliteAvailable();
+
+describe('Favorites Store', () => {
+  const pasta = { id: '1', name: 'Pasta', category: 'Vegetarian', meta: { tags: ['quick'] } };
+  const soup = { id: '2', name: 'Soup' };
+  let directory;
+
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'favorites-store-'));
+  });
+
+  afterAll(async () => {
+    await closeDatabases();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  describe('getFavoritesStore', () => {
+    afterEach(() => {
+      setConfig(null);
+    });
+
+    it('should pick the engine from the storage settings', () => {
+      setConfig(mergeConfig(DEFAULT_CONFIG, { storage: { engine: 'sqlite' } }));
+      expect(store.getFavoritesStore().engine).toBe('sqlite');
+
+      setConfig(mergeConfig(DEFAULT_CONFIG, { storage: { engine: 'xml' } }));
+      expect(() => store.getFavoritesStore()).toThrow('Unknown storage engine');
+    });
+
+    it('should use the json engine by default', () => {
+      expect(store.getFavoritesStore().engine).toBe('json');
+    });
+  });
+
+  describe('JSON store', () => {
+    it('should create an empty favorites file once', async () => {
+      const jsonStore = store.createJsonStore(path.join(directory, 'profile'));
+
+      expect(await jsonStore.initialize()).toBe(true);
+      expect(await jsonStore.initialize()).toBe(false);
+      expect(await jsonStore.read(store.FAVORITES)).toEqual([]);
+    });
+
+    it('should create the favorites file in the same format as later writes', async () => {
+      const profile = path.join(directory, 'format');
+      const jsonStore = store.createJsonStore(profile);
+      const file = path.join(profile, 'favorites.json');
+
+      await jsonStore.initialize();
+      const created = await fs.readFile(file, 'utf8');
+      await jsonStore.write(store.FAVORITES, []);
+
+      expect(await fs.readFile(file, 'utf8')).toBe(created);
+    });
+
+    it('should keep each list in its own file', async () => {
+      const profile = path.join(directory, 'lists');
+      const jsonStore = store.createJsonStore(profile);
+      await jsonStore.initialize();
+
+      await jsonStore.write(store.FAVORITES, [pasta, soup]);
+      await jsonStore.write(store.TRASH, [{ removedAt: 1, favorite: soup }]);
+
+      const written = JSON.parse(await fs.readFile(path.join(profile, 'favorites.json'), 'utf8'));
+      expect(written).toEqual({ schema: 'favorites', version: 1, data: [pasta, soup] });
+      expect(await jsonStore.read(store.TRASH)).toEqual([{ removedAt: 1, favorite: soup }]);
+      expect(await jsonStore.read(store.JOURNAL)).toEqual([]);
+    });
+  });
+
+  describe.skipIf(!hasSqlite)('SQLite store', () => {
+    it('should keep lists in order and separate per profile', async () => {
+      const database = path.join(directory, 'favorites.db');
+      const sam = store.createSqliteStore(database, 'sam');
+      const alex = store.createSqliteStore(database, 'alex');
+      await sam.initialize();
+
+      await sam.write(store.FAVORITES, [soup, pasta]);
+      await alex.write(store.FAVORITES, [pasta]);
+      await sam.write(store.FAVORITES, [pasta, soup]);
+
+      expect(await sam.read(store.FAVORITES)).toEqual([pasta, soup]);
+      expect(await alex.read(store.FAVORITES)).toEqual([pasta]);
+      expect(await alex.read(store.TRASH)).toEqual([]);
+    });
+
+    it('should store the undo history and trash', async () => {
+      const sqliteStore = store.createSqliteStore(path.join(directory, 'lists.db'), DEFAULT_PROFILE);
+      const change = { at: 5, action: 'remove', changes: [{ id: '2', index: 1, before: soup, after: null }], trashed: [], untrashed: [] };
+
+      await sqliteStore.withLock(async () => {
+        await sqliteStore.write(store.JOURNAL, [change]);
+        await sqliteStore.write(store.TRASH, [{ removedAt: 5, favorite: soup }]);
+      });
+
+      expect(await sqliteStore.read(store.JOURNAL)).toEqual([change]);
+      expect(await sqliteStore.read(store.TRASH)).toEqual([{ removedAt: 5, favorite: soup }]);
+    });
+  });
+});
@@ -6,24 +6,38 @@ import { fileURLToPath } from 'url';
 // Important: vi.mock() calls get hoisted to the top of the file
 // We need to define our mocks in a way that works with hoisting
 vi.mock('fs/promises', () => {
+  // Lock files are opened and closed straight away
+  const open = () => vi.fn(async () => ({ writeFile: async () => {}, close: async () => {} }));
   return {
     // This function format works with hoisting
     access: vi.fn(),
     readFile: vi.fn(),
     writeFile: vi.fn(),
     mkdir: vi.fn(),
+    rename: vi.fn(),
+    unlink: vi.fn(),
+    stat: vi.fn(),
+    copyFile: vi.fn(),
+    open: open(),
     // Include a default export that references the same functions
     default: {
       access: vi.fn(),
       readFile: vi.fn(),
       writeFile: vi.fn(),
-      mkdir: vi.fn()
+      mkdir: vi.fn(),
+      rename: vi.fn(),
+      unlink: vi.fn(),
+      stat: vi.fn(),
+      copyFile: vi.fn(),
+      open: open()
     }
   };
 });
 
 // Import modules after mocking
 import * as favorites from '../src/favorites.js';
+import { createRecipe } from '../src/recipe.js';
+import { toVersioned, fromVersioned } from '../src/schema.js';
 import fs from 'fs/promises';
 
 // Spy on console.log and console.error for additional test checks
@@ -35,10 +49,26 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const FAVORITES_FILE = path.join(__dirname, '../data/favorites.json');
 
+// Error thrown for files that do not exist
+const notFound = () => Object.assign(new Error('File not found'), { code: 'ENOENT' });
+
+/**
+ * Parse the last contents written to a data file
+ *
+ * @param {string} name - File name, e.g. 'favorites.json'; its schema is the name without .json
+ * @returns {any} - Data from inside the version header, or undefined if the file was not written
+ */
+function lastWritten(name = 'favorites.json') {
+  const call = fs.writeFile.mock.calls.findLast(([file]) => path.basename(file).startsWith(`${name}.`));
+  return call && fromVersioned(path.basename(name, '.json'), JSON.parse(call[1]));
+}
+
 describe('Favorites Module', () => {
   // Reset mocks before each test
   beforeEach(() => {
     vi.resetAllMocks();
+    // Files that a test does not mock do not exist, e.g. the undo history and trash
+    fs.readFile.mockRejectedValue(notFound());
   });
 
   describe('initializeFavorites', () => {
@@ -57,13 +87,14 @@ describe('Favorites Module', () => {
       // Verify that writeFile was called with an empty favorites array
       expect(fs.writeFile).toHaveBeenCalledWith(
         expect.stringContaining('favorites.json'),
-        JSON.stringify([], null, 2)
+        JSON.stringify(toVersioned('favorites', []), null, 2)
       );
     });
 
     it('should not create favorites file if it already exists', async () => {
-      // Mock fs.access to resolve (file exists)
+      // Mock fs.access to resolve (file exists) and its contents to be valid
       fs.access.mockResolvedValueOnce(undefined);
+      fs.readFile.mockResolvedValueOnce(JSON.stringify([]));
 
       // Call the function
       await favorites.initializeFavorites();
@@ -77,8 +108,8 @@ describe('Favorites Module', () => {
     it('should return favorites from file', async () => {
       // Mock favorites data
       const mockFavorites = [
-        { idMeal: '1', strMeal: 'Favorite 1' },
-        { idMeal: '2', strMeal: 'Favorite 2' }
+        createRecipe({ id: '1', name: 'Favorite 1' }),
+        createRecipe({ id: '2', name: 'Favorite 2' })
       ];
 
       // First mock access to succeed (file exists)
@@ -94,6 +125,22 @@ describe('Favorites Module', () => {
       expect(result).toEqual(mockFavorites);
     });
 
+    it('should convert favorites saved in the raw API shape', async () => {
+      // Favorites saved before the Recipe model used TheMealDB's keys
+      const legacyFavorites = [
+        { idMeal: '1', strMeal: 'Favorite 1', strIngredient1: 'Rice', strMeasure1: '1 cup' }
+      ];
+
+      fs.access.mockResolvedValueOnce(undefined);
+      fs.readFile.mockResolvedValueOnce(JSON.stringify(legacyFavorites));
+
+      const result = await favorites.getFavorites();
+
+      expect(result).toEqual([
+        createRecipe({ id: '1', name: 'Favorite 1', ingredients: [{ name: 'Rice', measure: '1 cup' }] })
+      ]);
+    });
+
     it('should handle file system errors gracefully', async () => {
       // First mock access to succeed (file exists)
       fs.access.mockResolvedValueOnce(undefined);
@@ -113,7 +160,7 @@ describe('Favorites Module', () => {
     it('should add a recipe to favorites', async () => {
       // Mock existing favorites
       const mockExistingFavorites = [
-        { idMeal: '1', strMeal: 'Existing Favorite' }
+        createRecipe({ id: '1', name: 'Existing Favorite' })
       ];
 
       // First mock access for initializeFavorites
@@ -126,24 +173,28 @@ describe('Favorites Module', () => {
       fs.readFile.mockResolvedValueOnce(JSON.stringify(mockExistingFavorites));
 
       // New recipe to add
-      const newRecipe = { idMeal: '2', strMeal: 'New Favorite' };
+      const newRecipe = createRecipe({ id: '2', name: 'New Favorite' });
+
+      // Fix the clock so the date added is known
+      vi.useFakeTimers({ now: 1700000000000, toFake: ['Date'] });
 
       // Call the function
       const result = await favorites.addFavorite(newRecipe);
+      vi.useRealTimers();
 
       // Verify result is true (add successful)
       expect(result).toBe(true);
 
-      // Verify writeFile was called with combined favorites
+      // Verify writeFile was called with combined favorites, the new one with its date added
       expect(fs.writeFile).toHaveBeenCalledWith(
         expect.stringContaining('favorites.json'),
-        JSON.stringify([...mockExistingFavorites, newRecipe], null, 2)
+        JSON.stringify(toVersioned('favorites', [...mockExistingFavorites, { ...newRecipe, meta: { addedAt: 1700000000000 } }]), null, 2)
       );
     });
 
     it('should not add duplicate recipe', async () => {
       // Mock existing favorites including the recipe we'll try to add
-      const existingRecipe = { idMeal: '1', strMeal: 'Existing Favorite' };
+      const existingRecipe = createRecipe({ id: '1', name: 'Existing Favorite' });
       const mockExistingFavorites = [existingRecipe];
 
       // First mock access for initializeFavorites
@@ -178,7 +229,7 @@ describe('Favorites Module', () => {
       // Spy on writeFile to check that it was indeed attempted
       const writeFileSpy = vi.spyOn(fs, 'writeFile');
 
-      const result = await favorites.addFavorite({ idMeal: '1', strMeal: 'Test Recipe' });
+      const result = await favorites.addFavorite(createRecipe({ id: '1', name: 'Test Recipe' }));
 
       // Verify result is false (add failed)
       expect(result).toBe(false);
@@ -198,8 +249,8 @@ describe('Favorites Module', () => {
     it('should remove a recipe from favorites', async () => {
       // Mock existing favorites
       const mockExistingFavorites = [
-        { idMeal: '1', strMeal: 'Favorite 1' },
-        { idMeal: '2', strMeal: 'Favorite 2' }
+        createRecipe({ id: '1', name: 'Favorite 1' }),
+        createRecipe({ id: '2', name: 'Favorite 2' })
       ];
 
       // First mock access for initializeFavorites
@@ -220,14 +271,14 @@ describe('Favorites Module', () => {
       // Verify writeFile was called with updated favorites (only recipe with ID '2')
       expect(fs.writeFile).toHaveBeenCalledWith(
         expect.stringContaining('favorites.json'),
-        JSON.stringify([{ idMeal: '2', strMeal: 'Favorite 2' }], null, 2)
+        JSON.stringify(toVersioned('favorites', [createRecipe({ id: '2', name: 'Favorite 2' })]), null, 2)
       );
     });
 
     it('should return false if recipe not found', async () => {
       // Mock existing favorites
       const mockExistingFavorites = [
-        { idMeal: '1', strMeal: 'Favorite 1' }
+        createRecipe({ id: '1', name: 'Favorite 1' })
       ];
 
       // First mock access for initializeFavorites
@@ -266,8 +317,8 @@ describe('Favorites Module', () => {
     it('should return true if recipe is in favorites', async () => {
       // Mock existing favorites
       const mockExistingFavorites = [
-        { idMeal: '1', strMeal: 'Favorite 1' },
-        { idMeal: '2', strMeal: 'Favorite 2' }
+        createRecipe({ id: '1', name: 'Favorite 1' }),
+        createRecipe({ id: '2', name: 'Favorite 2' })
       ];
 
       // Mock for initializeFavorites in getFavorites
@@ -286,7 +337,7 @@ describe('Favorites Module', () => {
     it('should return false if recipe is not in favorites', async () => {
       // Mock existing favorites
       const mockExistingFavorites = [
-        { idMeal: '1', strMeal: 'Favorite 1' }
+        createRecipe({ id: '1', name: 'Favorite 1' })
       ];
 
       // Mock for initializeFavorites in getFavorites
@@ -319,8 +370,8 @@ describe('Favorites Module', () => {
     it('should return a favorite recipe by ID', async () => {
       // Mock existing favorites
       const mockExistingFavorites = [
-        { idMeal: '1', strMeal: 'Favorite 1' },
-        { idMeal: '2', strMeal: 'Favorite 2' }
+        createRecipe({ id: '1', name: 'Favorite 1' }),
+        createRecipe({ id: '2', name: 'Favorite 2' })
       ];
 
       // Mock for initializeFavorites in getFavorites
@@ -333,13 +384,13 @@ describe('Favorites Module', () => {
       const result = await favorites.getFavoriteById('1');
 
       // Verify result is the correct recipe
-      expect(result).toEqual({ idMeal: '1', strMeal: 'Favorite 1' });
+      expect(result).toEqual(createRecipe({ id: '1', name: 'Favorite 1' }));
     });
 
     it('should return null if recipe is not found', async () => {
       // Mock existing favorites
       const mockExistingFavorites = [
-        { idMeal: '1', strMeal: 'Favorite 1' }
+        createRecipe({ id: '1', name: 'Favorite 1' })
       ];
 
       // Mock for initializeFavorites in getFavorites
@@ -367,4 +418,384 @@ describe('Favorites Module', () => {
       expect(result).toBeNull();
     });
   });
+
+  describe('collections, tags, notes and ratings', () => {
+    const stored = [
+      { ...createRecipe({ id: '1', name: 'Pasta' }), meta: { addedAt: 1700000000000, collections: ['Weeknight'], tags: ['quick'] } },
+      { ...createRecipe({ id: '2', name: 'Roast' }), meta: { collections: ['Holiday', 'Weeknight'], rating: 4 } },
+      createRecipe({ id: '3', name: 'Soup' })
+    ];
+
+    // Read the favorites once, as every function here does
+    function mockStoredFavorites() {
+      fs.access.mockResolvedValue(undefined);
+      fs.readFile.mockResolvedValueOnce(JSON.stringify(stored));
+    }
+
+    // Favorites passed to the last write
+    const writtenFavorites = () => lastWritten();
+
+    it('should return favorites with metadata, filling in defaults', async () => {
+      mockStoredFavorites();
+
+      const entries = await favorites.findFavorites();
+
+      expect(entries).toHaveLength(3);
+      expect(entries[0]).toEqual({
+        recipe: createRecipe({ id: '1', name: 'Pasta' }),
+        addedAt: 1700000000000,
+        collections: ['Weeknight'],
+        tags: ['quick'],
+        note: '',
+        rating: null,
+        refreshedAt: null,
+        missingSince: null,
+        sourceId: null
+      });
+      expect(entries[2]).toMatchObject({ addedAt: null, collections: [], tags: [], note: '', rating: null });
+    });
+
+    it('should keep metadata out of getFavorites', async () => {
+      mockStoredFavorites();
+
+      const recipes = await favorites.getFavorites();
+
+      expect(recipes[0]).toEqual(createRecipe({ id: '1', name: 'Pasta' }));
+      expect(recipes[0]).not.toHaveProperty('meta');
+    });
+
+    it('should filter by collection and tag', async () => {
+      mockStoredFavorites();
+      expect((await favorites.findFavorites({ collection: 'Weeknight' })).map(entry => entry.recipe.id)).toEqual(['1', '2']);
+
+      mockStoredFavorites();
+      expect((await favorites.findFavorites({ collection: 'Weeknight', tag: 'Quick' })).map(entry => entry.recipe.id)).toEqual(['1']);
+    });
+
+    it('should count favorites per collection and tag', async () => {
+      mockStoredFavorites();
+      expect(await favorites.getCollections()).toEqual([
+        { name: 'Holiday', count: 1 },
+        { name: 'Weeknight', count: 2 }
+      ]);
+
+      mockStoredFavorites();
+      expect(await favorites.getTags()).toEqual([{ name: 'quick', count: 1 }]);
+    });
+
+    it('should add a favorite to a collection and keep the rest unchanged', async () => {
+      mockStoredFavorites();
+
+      expect(await favorites.addToCollection('3', ' Holiday ')).toBe(true);
+
+      const written = writtenFavorites();
+      expect(written[2].meta).toEqual({ collections: ['Holiday'] });
+      expect(written[0]).toEqual(stored[0]);
+      expect(written[1]).toEqual(stored[1]);
+    });
+
+    it('should not write when nothing changes', async () => {
+      mockStoredFavorites();
+      expect(await favorites.addToCollection('1', 'Weeknight')).toBe(false);
+
+      mockStoredFavorites();
+      expect(await favorites.tagFavorite('999', 'quick')).toBe(false);
+
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should drop the metadata once everything is removed', async () => {
+      mockStoredFavorites();
+      await favorites.removeFromCollection('2', 'Holiday');
+      expect(writtenFavorites()[1].meta).toEqual({ collections: ['Weeknight'], rating: 4 });
+
+      mockStoredFavorites();
+      await favorites.setRating('2', null);
+      expect(writtenFavorites()[1].meta).toEqual({ collections: ['Holiday', 'Weeknight'] });
+    });
+
+    it('should store tags in lowercase', async () => {
+      mockStoredFavorites();
+      await favorites.tagFavorite('1', 'Vegetarian');
+      expect(writtenFavorites()[0].meta.tags).toEqual(['quick', 'vegetarian']);
+
+      mockStoredFavorites();
+      expect(await favorites.untagFavorite('1', 'QUICK')).toBe(true);
+      expect(writtenFavorites()[0].meta.tags).toBeUndefined();
+    });
+
+    it('should set and clear notes', async () => {
+      mockStoredFavorites();
+      expect(await favorites.setNote('3', '  Double the garlic ')).toBe(true);
+      expect(writtenFavorites()[2].meta).toEqual({ note: 'Double the garlic' });
+
+      fs.readFile.mockResolvedValueOnce(JSON.stringify([stored[0], stored[1], { ...stored[2], meta: { note: 'Old' } }]));
+      await favorites.setNote('3', '');
+      expect(writtenFavorites()[2]).not.toHaveProperty('meta');
+    });
+
+    it('should set ratings and reject ones out of range', async () => {
+      mockStoredFavorites();
+      expect(await favorites.setRating('3', 5)).toBe(true);
+      expect(writtenFavorites()[2].meta).toEqual({ rating: 5 });
+
+      await expect(favorites.setRating('3', 6)).rejects.toThrow(RangeError);
+      await expect(favorites.setRating('3', 2.5)).rejects.toThrow(RangeError);
+    });
+
+    it('should reject empty collection names and tags', async () => {
+      await expect(favorites.addToCollection('1', '  ')).rejects.toThrow(RangeError);
+      await expect(favorites.tagFavorite('1', '')).rejects.toThrow(RangeError);
+    });
+  });
+
+  describe('importFavorites', () => {
+    const existing = [
+      { ...createRecipe({ id: '1', name: 'Pasta' }), meta: { addedAt: 1600000000000, note: 'Mine' } }
+    ];
+
+    // Favorite as parsed from an exported file
+    function imported(id, name, details = {}) {
+      return { recipe: createRecipe({ id, name }), addedAt: null, collections: [], tags: [], note: '', rating: null, refreshedAt: null, missingSince: null, sourceId: null, ...details };
+    }
+
+    // Favorites passed to the last write
+    const writtenFavorites = () => lastWritten();
+
+    beforeEach(() => {
+      fs.access.mockResolvedValue(undefined);
+      fs.readFile.mockResolvedValueOnce(JSON.stringify(existing));
+      vi.useFakeTimers({ now: 1700000000000, toFake: ['Date'] });
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should skip favorites that already exist by default', async () => {
+      const result = await favorites.importFavorites([imported('1', 'Other Pasta'), imported('2', 'Soup')]);
+
+      expect(result).toEqual({ added: 1, overwritten: 0, copied: 0, skipped: 1 });
+      expect(writtenFavorites()).toEqual([
+        existing[0],
+        { ...createRecipe({ id: '2', name: 'Soup' }), meta: { addedAt: 1700000000000 } }
+      ]);
+    });
+
+    it('should overwrite existing favorites in place, keeping their date added', async () => {
+      const result = await favorites.importFavorites([imported('1', 'Other Pasta', { rating: 5 })], { strategy: 'overwrite' });
+
+      expect(result).toEqual({ added: 0, overwritten: 1, copied: 0, skipped: 0 });
+      expect(writtenFavorites()).toEqual([
+        { ...createRecipe({ id: '1', name: 'Other Pasta' }), meta: { addedAt: 1600000000000, rating: 5 } }
+      ]);
+    });
+
+    it('should keep both by adding a copy with a new ID', async () => {
+      const result = await favorites.importFavorites(
+        [imported('1', 'Other Pasta'), imported('1', 'Third Pasta')],
+        { strategy: 'keep-both' }
+      );
+
+      expect(result).toEqual({ added: 0, overwritten: 0, copied: 2, skipped: 0 });
+      expect(writtenFavorites().map(favorite => favorite.id)).toEqual(['1', '1-2', '1-3']);
+      expect(writtenFavorites().map(favorite => favorite.meta?.sourceId)).toEqual([undefined, '1', '1']);
+    });
+
+    it('should tidy imported collections and tags', async () => {
+      await favorites.importFavorites([imported('2', 'Soup', { collections: [' Winter '], tags: ['Warm', 'warm', 'Easy'] })]);
+
+      expect(writtenFavorites()[1].meta).toMatchObject({ collections: ['Winter'], tags: ['easy', 'warm'] });
+    });
+
+    it('should not write when everything is skipped', async () => {
+      await favorites.importFavorites([imported('1', 'Pasta')]);
+
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown strategies', async () => {
+      await expect(favorites.importFavorites([], { strategy: 'merge' })).rejects.toThrow(RangeError);
+    });
+  });
+
+  describe('saveRefreshedFavorites', () => {
+    const stored = [
+      { ...createRecipe({ id: '1', name: 'Pasta' }), meta: { note: 'Mine' } },
+      { ...createRecipe({ id: '2', name: 'Stew' }), meta: { refreshedAt: 1600000000000, missingSince: 1600000000000 } }
+    ];
+
+    beforeEach(() => {
+      fs.access.mockResolvedValue(undefined);
+      fs.readFile.mockResolvedValueOnce(JSON.stringify(stored));
+      vi.useFakeTimers({ now: 1700000000000, toFake: ['Date'] });
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should replace found recipes and keep what the user added', async () => {
+      const recipe = createRecipe({ id: '1', name: 'Pasta', instructions: ['Boil'] });
+
+      expect(await favorites.saveRefreshedFavorites([{ id: '1', recipe }])).toBe(1);
+
+      const written = lastWritten();
+      expect(written[0]).toEqual({ ...recipe, meta: { note: 'Mine', refreshedAt: 1700000000000 } });
+    });
+
+    it('should mark missing recipes once and clear the mark when they come back', async () => {
+      await favorites.saveRefreshedFavorites([{ id: '1', recipe: null }, { id: '2', recipe: null }]);
+
+      let written = lastWritten();
+      expect(written[0].meta.missingSince).toBe(1700000000000);
+      expect(written[1].meta).toEqual({ refreshedAt: 1700000000000, missingSince: 1600000000000 });
+
+      fs.readFile.mockResolvedValueOnce(JSON.stringify(stored));
+      await favorites.saveRefreshedFavorites([{ id: '2', recipe: createRecipe({ id: '2', name: 'Stew' }) }]);
+
+      written = lastWritten();
+      expect(written[1].meta).toEqual({ refreshedAt: 1700000000000 });
+    });
+
+    it('should ignore favorites removed while refreshing', async () => {
+      expect(await favorites.saveRefreshedFavorites([{ id: '999', recipe: null }])).toBe(0);
+      expect(fs.writeFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('undo history and trash', () => {
+    const pasta = createRecipe({ id: '1', name: 'Pasta' });
+    const soup = createRecipe({ id: '2', name: 'Soup' });
+    const stew = createRecipe({ id: '3', name: 'Stew' });
+    let files;
+
+    // Keep data files in memory so changes build on each other
+    beforeEach(() => {
+      files = new Map([[FAVORITES_FILE, JSON.stringify([pasta, soup, stew])]]);
+      fs.access.mockResolvedValue(undefined);
+      fs.readFile.mockImplementation(async file => {
+        if (!files.has(file)) throw notFound();
+        return files.get(file);
+      });
+      fs.writeFile.mockImplementation(async (file, contents) => {
+        files.set(file, contents);
+      });
+      fs.rename.mockImplementation(async (from, to) => {
+        files.set(to, files.get(from));
+        files.delete(from);
+      });
+      vi.useFakeTimers({ now: 1700000000000, toFake: ['Date'] });
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    // Parse a data file next to favorites.json
+    const read = (name = 'favorites.json') =>
+      fromVersioned(path.basename(name, '.json'), JSON.parse(files.get(path.join(path.dirname(FAVORITES_FILE), name))));
+
+    it('should move removed favorites to the trash', async () => {
+      await favorites.setNote('2', 'Add chili');
+      await favorites.removeFavorite('2');
+
+      expect(read().map(recipe => recipe.id)).toEqual(['1', '3']);
+      expect(await favorites.getTrash()).toEqual([
+        expect.objectContaining({ recipe: soup, note: 'Add chili', removedAt: 1700000000000 })
+      ]);
+    });
+
+    it('should restore a favorite from the trash with what the user added', async () => {
+      await favorites.setRating('2', 5);
+      await favorites.removeFavorite('2');
+
+      expect(await favorites.restoreFavorite('2')).toBe(true);
+
+      expect(read().at(-1)).toEqual({ ...soup, meta: { rating: 5 } });
+      expect(await favorites.getTrash()).toEqual([]);
+      expect(await favorites.restoreFavorite('2')).toBe(false);
+    });
+
+    it('should forget trashed favorites after the retention period', async () => {
+      await favorites.removeFavorite('2');
+
+      vi.setSystemTime(1700000000000 + 31 * 24 * 60 * 60 * 1000);
+
+      expect(await favorites.getTrash()).toEqual([]);
+      expect(await favorites.restoreFavorite('2')).toBe(false);
+    });
+
+    it('should list changes newest first', async () => {
+      await favorites.addFavorite(createRecipe({ id: '4', name: 'Curry' }));
+      await favorites.tagFavorite('1', 'quick');
+      await favorites.removeFavorite('3');
+
+      expect(await favorites.getHistory()).toEqual([
+        { at: 1700000000000, action: 'remove', recipes: [{ id: '3', name: 'Stew' }] },
+        { at: 1700000000000, action: 'edit', recipes: [{ id: '1', name: 'Pasta' }] },
+        { at: 1700000000000, action: 'add', recipes: [{ id: '4', name: 'Curry' }] }
+      ]);
+    });
+
+    it('should undo a removal into the old place and empty the trash', async () => {
+      await favorites.removeFavorite('2');
+
+      expect(await favorites.undoLastChange()).toMatchObject({ action: 'remove', recipes: [{ id: '2', name: 'Soup' }] });
+
+      expect(read()).toEqual([pasta, soup, stew]);
+      expect(await favorites.getTrash()).toEqual([]);
+      expect(await favorites.getHistory()).toEqual([]);
+    });
+
+    it('should undo changes one at a time, newest first', async () => {
+      await favorites.addFavorite(createRecipe({ id: '4', name: 'Curry' }));
+      await favorites.addToCollection('1', 'Weeknight');
+
+      await favorites.undoLastChange();
+      expect(read()[0]).toEqual(pasta);
+      expect(read().map(recipe => recipe.id)).toEqual(['1', '2', '3', '4']);
+
+      await favorites.undoLastChange();
+      expect(read()).toEqual([pasta, soup, stew]);
+
+      expect(await favorites.undoLastChange()).toBeNull();
+    });
+
+    it('should undo a restore by putting the favorite back in the trash', async () => {
+      await favorites.removeFavorite('2');
+      await favorites.restoreFavorite('2');
+
+      await favorites.undoLastChange();
+
+      expect(read().map(recipe => recipe.id)).toEqual(['1', '3']);
+      expect((await favorites.getTrash()).map(favorite => favorite.recipe.id)).toEqual(['2']);
+    });
+
+    it('should undo an import as one change', async () => {
+      const imported = [soup, createRecipe({ id: '5', name: 'Salad' })].map(recipe => ({
+        recipe, addedAt: null, collections: [], tags: [], note: '', rating: 4, refreshedAt: null, missingSince: null, sourceId: null
+      }));
+      await favorites.importFavorites(imported, { strategy: 'overwrite' });
+
+      await favorites.undoLastChange();
+
+      expect(read()).toEqual([pasta, soup, stew]);
+    });
+
+    it('should keep only the configured number of changes', async () => {
+      for (let i = 0; i < 55; i++) {
+        await favorites.setNote('1', `Note ${i}`);
+      }
+
+      expect(read('favorites-journal.json')).toHaveLength(50);
+    });
+
+    it('should not record changes that change nothing', async () => {
+      await favorites.removeFavorite('999');
+      await favorites.addFavorite(pasta);
+
+      expect(await favorites.getHistory()).toEqual([]);
+    });
+  });
 });
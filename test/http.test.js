@@ -0,0 +1,182 @@
+// test/http.test.js
+import { describe, it, expect, vi } from 'vitest';
+import * as http from '../src/http.js';
+import * as metrics from '../src/metrics.js';
+import { NetworkError, TimeoutError, NotFoundError, HttpError, RateLimitError, ParseError } from '../src/errors.js';
+
+describe('HTTP Module', () => {
+  // Mock response factory
+  function createMockResponse(data, ok = true, status = 200, headers = {}) {
+    return {
+      ok,
+      status,
+      headers: new Headers(headers),
+      json: () => Promise.resolve(data)
+    };
+  }
+
+  // Skip real delays between retries
+  const sleep = vi.fn().mockResolvedValue(undefined);
+
+  describe('getBackoffDelay', () => {
+    const options = { backoffMs: 100, maxBackoffMs: 1000 };
+
+    it('should grow exponentially between half and all of the ceiling', () => {
+      expect(http.getBackoffDelay(0, options, () => 0)).toBe(50);
+      expect(http.getBackoffDelay(0, options, () => 1)).toBe(100);
+      expect(http.getBackoffDelay(2, options, () => 0)).toBe(200);
+      expect(http.getBackoffDelay(2, options, () => 1)).toBe(400);
+    });
+
+    it('should never exceed the maximum', () => {
+      expect(http.getBackoffDelay(10, options, () => 1)).toBe(1000);
+    });
+  });
+
+  describe('request', () => {
+    it('should pass an abort signal to fetch', async () => {
+      const fetch = vi.fn().mockResolvedValue(createMockResponse({}));
+
+      await http.request('http://example.test/', { fetch });
+
+      expect(fetch).toHaveBeenCalledWith('http://example.test/', { signal: expect.any(AbortSignal) });
+    });
+
+    it('should retry configured statuses and then succeed', async () => {
+      const fetch = vi.fn()
+        .mockResolvedValueOnce(createMockResponse({}, false, 503))
+        .mockResolvedValueOnce(createMockResponse({ done: true }));
+
+      const response = await http.request('http://example.test/', { fetch, sleep });
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(sleep).toHaveBeenCalled();
+      expect(await response.json()).toEqual({ done: true });
+    });
+
+    it('should not retry statuses outside retryOn', async () => {
+      const fetch = vi.fn().mockResolvedValue(createMockResponse({}, false, 400));
+
+      const error = await http.request('http://example.test/', { fetch, sleep }).catch(e => e);
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(error).toBeInstanceOf(HttpError);
+      expect(error.status).toBe(400);
+    });
+
+    it('should map 404 and 429 to their own error types', async () => {
+      const notFound = vi.fn().mockResolvedValue(createMockResponse({}, false, 404));
+      const limited = vi.fn().mockResolvedValue(createMockResponse({}, false, 429, { 'retry-after': '1' }));
+
+      await expect(http.request('http://example.test/', { fetch: notFound, sleep })).rejects.toBeInstanceOf(NotFoundError);
+      const error = await http.request('http://example.test/', { fetch: limited, sleep, retries: 0 }).catch(e => e);
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(error).toBeInstanceOf(HttpError);
+      expect(error.retryAfterMs).toBe(1000);
+    });
+
+    it('should give up after the configured number of retries', async () => {
+      const fetch = vi.fn().mockRejectedValue(new Error('ECONNREFUSED'));
+
+      const error = await http.request('http://example.test/', { fetch, sleep, retries: 3 }).catch(e => e);
+
+      expect(fetch).toHaveBeenCalledTimes(4);
+      expect(error).toBeInstanceOf(NetworkError);
+      expect(error.cause.message).toBe('ECONNREFUSED');
+    });
+
+    it('should honor Retry-After up to the maximum backoff', async () => {
+      const localSleep = vi.fn().mockResolvedValue(undefined);
+      const fetch = vi.fn()
+        .mockResolvedValueOnce(createMockResponse({}, false, 429, { 'retry-after': '2' }))
+        .mockResolvedValueOnce(createMockResponse({}));
+
+      await http.request('http://example.test/', { fetch, sleep: localSleep, backoffMs: 1, maxBackoffMs: 5000 });
+
+      expect(localSleep).toHaveBeenCalledWith(2000);
+    });
+
+    it('should abort slow requests with a TimeoutError', async () => {
+      let signal;
+      const fetch = vi.fn((url, options) => {
+        signal = options.signal;
+        return new Promise(() => {}); // Never settles
+      });
+
+      const error = await http.request('http://example.test/', { fetch, timeoutMs: 10, retries: 0 }).catch(e => e);
+
+      expect(error).toBeInstanceOf(TimeoutError);
+      expect(signal.aborted).toBe(true);
+    });
+
+    it('should stop without retrying when the caller aborts', async () => {
+      const controller = new AbortController();
+      const fetch = vi.fn(() => {
+        controller.abort(new Error('Cancelled by user'));
+        return new Promise(() => {});
+      });
+
+      const error = await http.request('http://example.test/', { fetch, sleep, signal: controller.signal }).catch(e => e);
+
+      expect(error.message).toBe('Cancelled by user');
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should schedule every attempt through the limiter', async () => {
+      const limiter = { schedule: vi.fn(task => task()), pause: vi.fn() };
+      const fetch = vi.fn()
+        .mockResolvedValueOnce(createMockResponse({}, false, 503))
+        .mockResolvedValueOnce(createMockResponse({}));
+
+      await http.request('http://example.test/', { fetch, sleep, limiter });
+
+      expect(limiter.schedule).toHaveBeenCalledTimes(2);
+      expect(limiter.pause).not.toHaveBeenCalled();
+    });
+
+    it('should pause the limiter when the server rate limits', async () => {
+      const limiter = { schedule: vi.fn(task => task()), pause: vi.fn() };
+      const fetch = vi.fn()
+        .mockResolvedValueOnce(createMockResponse({}, false, 429, { 'retry-after': '1' }))
+        .mockResolvedValueOnce(createMockResponse({}));
+
+      await http.request('http://example.test/', { fetch, sleep, limiter, maxBackoffMs: 5000 });
+
+      expect(limiter.pause).toHaveBeenCalledWith(1000);
+    });
+  });
+
+  describe('requestJson', () => {
+    it('should raise a ParseError for invalid bodies', async () => {
+      const fetch = vi.fn().mockResolvedValue({ ok: true, status: 200, json: () => Promise.reject(new SyntaxError('Unexpected token <')) });
+
+      await expect(http.requestJson('http://example.test/', { fetch })).rejects.toBeInstanceOf(ParseError);
+    });
+
+    it('should time out and retry when the body stalls after the headers', async () => {
+      const stalled = { ok: true, status: 200, json: () => new Promise(() => {}) };
+      const fetch = vi.fn()
+        .mockResolvedValueOnce(stalled)
+        .mockResolvedValueOnce(createMockResponse({ meals: [] }));
+
+      expect(await http.requestJson('http://example.test/', { fetch, sleep, timeoutMs: 10 })).toEqual({ meals: [] });
+      expect(fetch).toHaveBeenCalledTimes(2);
+
+      fetch.mockResolvedValue(stalled);
+      await expect(http.requestJson('http://example.test/', { fetch, timeoutMs: 10, retries: 0 })).rejects.toBeInstanceOf(TimeoutError);
+    });
+
+    it('should record attempts, retries and bytes received', async () => {
+      metrics.resetMetrics();
+      const fetch = vi.fn()
+        .mockResolvedValueOnce(createMockResponse({}, false, 503))
+        .mockResolvedValueOnce(createMockResponse({ meals: [] }));
+
+      await http.requestJson('http://example.test/', { fetch, sleep: vi.fn() });
+
+      const { counters, timings } = metrics.getMetrics();
+      expect(counters).toEqual({ 'http.requests': 2, 'http.retries': 1, 'http.receivedBytes': 12 });
+      expect(timings['http.request'].count).toBe(2);
+    });
+  });
+});
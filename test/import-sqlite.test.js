@@ -0,0 +1,77 @@
+// test/import-sqlite.test.js
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { importToSqlite } from '../src/import-sqlite.js';
+import { FAVORITES, JOURNAL, TRASH, createSqliteStore } from '../src/favorites-store.js';
+import { createSqliteBackend } from '../src/cache/index.js';
+import { isSqliteAvailable, closeDatabases } from '../src/database.js';
+
+// Keep the profiles in the test's own directory
+vi.mock('../src/config.js', async importOriginal => ({
+  ...(await importOriginal()),
+  getProfileDirectory: name => path.join(directory, 'profiles', name)
+}));
+
+// node:sqlite only exists in newer versions of Node
+const hasSqlite = await isSqliteAvailable();
+
+let directory;
+
+describe.skipIf(!hasSqlite)('SQLite import', () => {
+  const pasta = { id: '1', name: 'Pasta', meta: { rating: 4 } };
+  const soup = { id: '2', name: 'Soup' };
+
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'import-sqlite-'));
+
+    const write = async (file, data) => {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, JSON.stringify(data));
+    };
+    await write(path.join(directory, 'profiles', 'sam', 'favorites.json'), [pasta, soup]);
+    await write(path.join(directory, 'profiles', 'sam', 'favorites-trash.json'), [{ removedAt: 5, favorite: soup }]);
+    await write(path.join(directory, 'profiles', 'alex', 'favorites.json'), [soup]);
+    await write(path.join(directory, 'cache.json'), {
+      recipe_1: { timestamp: 1, data: pasta },
+      recipe_2: { timestamp: 2, data: soup }
+    });
+  });
+
+  afterAll(async () => {
+    await closeDatabases();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  const runImport = () => importToSqlite({
+    database: path.join(directory, 'recipe-explorer.db'),
+    cache: { file: path.join(directory, 'cache.json') },
+    profiles: ['sam', 'alex', 'empty']
+  });
+
+  it('should copy every profile and the cache into the database', async () => {
+    const result = await runImport();
+
+    expect(result.profiles).toEqual([
+      { name: 'sam', favorites: 2, journal: 0, trash: 1 },
+      { name: 'alex', favorites: 1, journal: 0, trash: 0 },
+      { name: 'empty', favorites: 0, journal: 0, trash: 0 }
+    ]);
+    expect(result.cacheEntries).toBe(2);
+
+    const sam = createSqliteStore(result.database, 'sam');
+    expect(await sam.read(FAVORITES)).toEqual([pasta, soup]);
+    expect(await sam.read(TRASH)).toEqual([{ removedAt: 5, favorite: soup }]);
+    expect(await sam.read(JOURNAL)).toEqual([]);
+    expect(await createSqliteBackend({ database: result.database }).get('recipe_2')).toEqual({ timestamp: 2, data: soup });
+  });
+
+  it('should replace what the database held when run again', async () => {
+    await runImport();
+    const result = await runImport();
+
+    expect(await createSqliteStore(result.database, 'alex').read(FAVORITES)).toEqual([soup]);
+    expect(await createSqliteBackend({ database: result.database }).entries()).toHaveLength(2);
+  });
+});
@@ -0,0 +1,67 @@
+// test/metrics.test.js
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as metrics from '../src/metrics.js';
+
+describe('Metrics Module', () => {
+  beforeEach(() => {
+    metrics.resetMetrics();
+  });
+
+  it('should add up counters', () => {
+    metrics.increment('cache.hits');
+    metrics.increment('cache.hits');
+    metrics.increment('cache.readBytes', 2048);
+
+    expect(metrics.getMetrics().counters).toEqual({ 'cache.hits': 2, 'cache.readBytes': 2048 });
+  });
+
+  it('should summarize timings', () => {
+    metrics.recordTiming('api.getMealById', 10);
+    metrics.recordTiming('api.getMealById', 30);
+
+    expect(metrics.getMetrics().timings['api.getMealById']).toEqual({
+      count: 2,
+      totalMs: 40,
+      minMs: 10,
+      maxMs: 30,
+      avgMs: 20
+    });
+  });
+
+  it('should time async functions, including failed ones', async () => {
+    expect(await metrics.time('ok', async () => 'done')).toBe('done');
+    await expect(metrics.time('failed', async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+
+    const { timings } = metrics.getMetrics();
+    expect(timings.ok.count).toBe(1);
+    expect(timings.failed.count).toBe(1);
+  });
+
+  it('should forget everything on reset', () => {
+    metrics.increment('http.requests');
+    metrics.recordTiming('http.request', 5);
+
+    metrics.resetMetrics();
+
+    expect(metrics.getMetrics()).toEqual({ counters: {}, timings: {} });
+  });
+
+  describe('formatMetrics', () => {
+    it('should include the cache hit ratio, sizes and timings', () => {
+      metrics.increment('cache.hits', 3);
+      metrics.increment('cache.misses');
+      metrics.increment('http.receivedBytes', 1536);
+      metrics.recordTiming('command.search', 12.34);
+
+      const summary = metrics.formatMetrics();
+
+      expect(summary).toContain('Cache hit ratio: 75% of 4 lookup(s)');
+      expect(summary).toContain('http.receivedBytes: 1.5 KB');
+      expect(summary).toContain('command.search: 12.3 ms');
+    });
+
+    it('should say when nothing was recorded', () => {
+      expect(metrics.formatMetrics()).toContain('Nothing was recorded');
+    });
+  });
+});
@@ -0,0 +1,158 @@
+// test/migrations.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { listDataFiles, getDataStatus, migrateDataFiles } from '../src/migrations.js';
+import { serializeJson } from '../src/storage.js';
+import { SCHEMAS, SchemaError } from '../src/schema.js';
+import { DATABASE_VERSION, isSqliteAvailable, openDatabase, closeDatabases } from '../src/database.js';
+
+// Keep the profiles in the test's own directory
+vi.mock('../src/config.js', async importOriginal => ({
+  ...(await importOriginal()),
+  getProfileDirectory: name => path.join(directory, 'profiles', name)
+}));
+
+// node:sqlite only exists in newer versions of Node
+const hasSqlite = await isSqliteAvailable();
+
+let directory;
+
+describe('Data Migrations', () => {
+  const soup = { idMeal: '2', strMeal: 'Soup' };
+  let files;
+
+  const favoritesFile = () => path.join(directory, 'profiles', 'sam', 'favorites.json');
+  const write = async (file, text) => {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, text);
+  };
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'migrations-'));
+    files = listDataFiles({
+      cache: { file: path.join(directory, 'cache.json'), compression: 'none', statsFile: path.join(directory, 'cache-stats.json') },
+      catalog: { file: path.join(directory, 'catalog.json') },
+      storage: { database: path.join(directory, 'recipe-explorer.db') }
+    }, ['sam']);
+  });
+
+  afterEach(async () => {
+    await closeDatabases();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  describe('listDataFiles', () => {
+    it('should list the profile files, then the cache, stats, catalog and database', () => {
+      expect(files.map(({ file, schema }) => [path.relative(directory, file), schema])).toEqual([
+        [path.join('profiles', 'sam', 'favorites.json'), 'favorites'],
+        [path.join('profiles', 'sam', 'favorites-journal.json'), 'favorites-journal'],
+        [path.join('profiles', 'sam', 'favorites-trash.json'), 'favorites-trash'],
+        ['cache.json', 'cache'],
+        ['cache-stats.json', 'cache-stats'],
+        ['catalog.json', 'catalog'],
+        ['recipe-explorer.db', 'database']
+      ]);
+      expect(files[1].lockFile).toBe(favoritesFile());
+    });
+  });
+
+  describe('getDataStatus', () => {
+    it('should report the version of each file', async () => {
+      await write(favoritesFile(), JSON.stringify([soup]));
+      await write(path.join(directory, 'cache.json'), serializeJson({}, { schema: 'cache' }));
+      await write(path.join(directory, 'cache-stats.json'), JSON.stringify({ schema: 'cache-stats', version: 99, data: {} }));
+      await write(path.join(directory, 'catalog.json'), '{"recipes": [');
+
+      const statuses = await getDataStatus(files);
+
+      expect(statuses.map(({ status, version }) => [status, version])).toEqual([
+        ['outdated', 0],
+        ['missing', null],
+        ['missing', null],
+        ['current', SCHEMAS.cache.version],
+        ['newer', 99],
+        ['unreadable', null],
+        ['missing', null]
+      ]);
+      expect(statuses[5].reason).toBeTruthy();
+    });
+  });
+
+  describe('migrateDataFiles', () => {
+    it('should upgrade old files and keep a backup of each', async () => {
+      const old = JSON.stringify([soup]);
+      await write(favoritesFile(), old);
+      const onProgress = vi.fn();
+
+      const { migrated, problems } = await migrateDataFiles({ files, onProgress });
+
+      expect(migrated).toEqual([expect.objectContaining({
+        file: favoritesFile(), version: 0, current: SCHEMAS.favorites.version, backup: `${favoritesFile()}.v0.bak`
+      })]);
+      expect(problems).toEqual([]);
+      expect(onProgress).toHaveBeenCalledTimes(files.length);
+      expect(await fs.readFile(`${favoritesFile()}.v0.bak`, 'utf8')).toBe(old);
+
+      const upgraded = JSON.parse(await fs.readFile(favoritesFile(), 'utf8'));
+      expect(upgraded).toMatchObject({ schema: 'favorites', version: SCHEMAS.favorites.version, data: [{ id: '2', name: 'Soup' }] });
+      expect((await getDataStatus(files))[0].status).toBe('current');
+    });
+
+    it('should do nothing when run again', async () => {
+      await write(favoritesFile(), JSON.stringify([soup]));
+      await migrateDataFiles({ files });
+      const upgraded = await fs.readFile(favoritesFile(), 'utf8');
+
+      const { migrated } = await migrateDataFiles({ files });
+
+      expect(migrated).toEqual([]);
+      expect(await fs.readFile(favoritesFile(), 'utf8')).toBe(upgraded);
+    });
+
+    it('should leave newer and unreadable files alone and report them', async () => {
+      const newer = JSON.stringify({ schema: 'favorites', version: 99, data: [] });
+      await write(favoritesFile(), newer);
+      await write(path.join(directory, 'catalog.json'), 'not json');
+
+      const { migrated, problems } = await migrateDataFiles({ files });
+
+      expect(migrated).toEqual([]);
+      expect(problems.map(({ schema, status }) => [schema, status])).toEqual([['favorites', 'newer'], ['catalog', 'unreadable']]);
+      expect(await fs.readFile(favoritesFile(), 'utf8')).toBe(newer);
+      expect(await fs.readFile(path.join(directory, 'catalog.json'), 'utf8')).toBe('not json');
+    });
+  });
+
+  describe.skipIf(!hasSqlite)('SQLite database', () => {
+    const databaseFile = () => path.join(directory, 'recipe-explorer.db');
+
+    // A database with the given version and none of the app's tables yet
+    const createDatabase = async version => {
+      const { DatabaseSync } = await import('node:sqlite');
+      const db = new DatabaseSync(databaseFile());
+      db.exec(`CREATE TABLE notes (text TEXT); PRAGMA user_version = ${version};`);
+      db.close();
+    };
+
+    it('should report the database version and upgrade it with a backup', async () => {
+      await createDatabase(0);
+
+      expect((await getDataStatus(files)).at(-1)).toMatchObject({ status: 'outdated', version: 0, current: DATABASE_VERSION });
+
+      const { migrated } = await migrateDataFiles({ files });
+
+      expect(migrated).toEqual([expect.objectContaining({ schema: 'database', version: 0, backup: `${databaseFile()}.v0.bak` })]);
+      await fs.access(`${databaseFile()}.v0.bak`);
+      expect((await getDataStatus(files)).at(-1)).toMatchObject({ status: 'current', version: DATABASE_VERSION });
+    });
+
+    it('should refuse a database from a newer release', async () => {
+      await createDatabase(DATABASE_VERSION + 1);
+
+      expect((await getDataStatus(files)).at(-1).status).toBe('newer');
+      await expect(openDatabase(databaseFile())).rejects.toThrow(SchemaError);
+    });
+  });
+});
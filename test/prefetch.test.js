@@ -0,0 +1,139 @@
+// test/prefetch.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import * as api from '../src/api.js';
+import * as cache from '../src/cache.js';
+import * as favorites from '../src/favorites.js';
+import * as prefetch from '../src/prefetch.js';
+import { createMemoryBackend } from '../src/cache/index.js';
+import { createRecipe } from '../src/recipe.js';
+import { NetworkError } from '../src/errors.js';
+
+vi.mock('../src/api.js', () => ({
+  getMealById: vi.fn(),
+  getRelatedRecipes: vi.fn()
+}));
+
+vi.mock('../src/favorites.js', () => ({
+  findFavorites: vi.fn()
+}));
+
+describe('Prefetch Module', () => {
+  const recipe = id => createRecipe({ id, name: `Recipe ${id}`, category: 'Beef' });
+  const favorite = (id, sourceId = null) => ({ recipe: recipe(id), sourceId });
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    cache.setCacheBackend(createMemoryBackend());
+    api.getMealById.mockImplementation(async id => recipe(id));
+    api.getRelatedRecipes.mockResolvedValue([recipe('99')]);
+    favorites.findFavorites.mockResolvedValue([]);
+  });
+
+  describe('warmRecipes', () => {
+    it('should cache details and related recipes', async () => {
+      const result = await prefetch.warmRecipes(['1', '2']);
+
+      expect(result).toEqual({ fetched: 4, cached: 0, failed: 0 });
+      expect(await cache.isCached('recipe_1')).toBe(true);
+      expect((await cache.getCacheEntry('related_2')).data).toEqual([recipe('99')]);
+      expect(api.getRelatedRecipes).toHaveBeenCalledWith(recipe('1'));
+    });
+
+    it('should skip keys that are already fresh', async () => {
+      await cache.saveToCache('recipe_1', recipe('1'));
+
+      const result = await prefetch.warmRecipes(['1', '1'], { related: false });
+
+      expect(result).toEqual({ fetched: 0, cached: 1, failed: 0 });
+      expect(api.getMealById).not.toHaveBeenCalled();
+    });
+
+    it('should count failures without throwing', async () => {
+      api.getMealById.mockRejectedValue(new NetworkError('offline'));
+
+      expect(await prefetch.warmRecipes(['1'])).toEqual({ fetched: 0, cached: 0, failed: 1 });
+      expect(api.getRelatedRecipes).not.toHaveBeenCalled();
+    });
+
+    it('should stay within the concurrency budget', async () => {
+      let active = 0;
+      let maxActive = 0;
+      api.getMealById.mockImplementation(async id => {
+        maxActive = Math.max(maxActive, ++active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        return recipe(id);
+      });
+
+      await prefetch.warmRecipes(['1', '2', '3', '4', '5'], { concurrency: 2, related: false });
+
+      expect(maxActive).toBe(2);
+    });
+  });
+
+  describe('warmCache', () => {
+    it('should warm favorites and the top results of cached searches', async () => {
+      favorites.findFavorites.mockResolvedValue([favorite('1')]);
+      await cache.saveToCache('search_beef', [recipe('2'), recipe('3'), recipe('4')]);
+
+      const result = await prefetch.warmCache({ searchResults: 2, related: false });
+
+      expect(result).toEqual({ recipes: 3, fetched: 3, cached: 0, failed: 0 });
+      expect(await cache.isCached('recipe_4')).toBe(false);
+    });
+  });
+
+  describe('background prefetching', () => {
+    it('should warm the top search results without being awaited', async () => {
+      prefetch.prefetchSearchResults([recipe('1'), recipe('2'), recipe('3'), recipe('4')]);
+      await prefetch.settlePrefetches();
+
+      expect(api.getMealById).toHaveBeenCalledTimes(3);
+      expect(await cache.isCached('recipe_3')).toBe(true);
+    });
+
+    it('should warm favorites', async () => {
+      favorites.findFavorites.mockResolvedValue([favorite('7'), favorite('7-2', '8')]);
+
+      prefetch.prefetchFavorites();
+      await prefetch.settlePrefetches();
+
+      expect(await cache.isCached('related_7')).toBe(true);
+      // Copies from a keep-both import are cached under the original's ID
+      expect(await cache.isCached('recipe_8')).toBe(true);
+      expect(api.getMealById).not.toHaveBeenCalledWith('7-2', expect.anything());
+    });
+
+    it('should stop starting requests when cancelled and wait for the ones in flight', async () => {
+      let finished = 0;
+      api.getMealById.mockImplementation(async id => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        finished++;
+        return recipe(id);
+      });
+      favorites.findFavorites.mockResolvedValue(['1', '2', '3', '4', '5', '6'].map(id => favorite(id)));
+
+      prefetch.prefetchFavorites();
+      await new Promise(resolve => setTimeout(resolve, 1));
+      await prefetch.cancelPrefetches();
+
+      expect(api.getMealById.mock.calls.length).toBeLessThan(6);
+      expect(finished).toBe(api.getMealById.mock.calls.length);
+      expect(api.getRelatedRecipes).not.toHaveBeenCalled();
+    });
+
+    it('should stop waiting after the timeout', async () => {
+      let respond;
+      api.getMealById.mockReturnValue(new Promise(resolve => { respond = resolve; }));
+
+      prefetch.prefetchSearchResults([recipe('1')]);
+      await prefetch.settlePrefetches({ timeoutMs: 5 });
+      await prefetch.cancelPrefetches({ timeoutMs: 0 });
+      expect(api.getMealById).toHaveBeenCalledTimes(1);
+
+      respond(recipe('1'));
+      await prefetch.settlePrefetches();
+      expect(api.getRelatedRecipes).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,241 @@
+// test/providers.test.js
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createProvider, createMealDbProvider, createLocalProvider, createCatalogProvider } from '../src/providers/index.js';
+import { createRecipe, fromMealDb } from '../src/recipe.js';
+import { resetCatalogs } from '../src/catalog.js';
+import { HttpError, NetworkError, NotFoundError } from '../src/errors.js';
+
+describe('Providers', () => {
+  describe('createProvider', () => {
+    it('should create the provider named in the settings', () => {
+      expect(createProvider({ provider: 'mealdb', mealdb: {} }).name).toBe('mealdb');
+      expect(createProvider({ provider: 'local', local: { directory: '.' } }).name).toBe('local');
+    });
+
+    it('should put the catalog index in front of TheMealDB when enabled', () => {
+      const provider = createProvider({ provider: 'mealdb', mealdb: {}, catalog: { enabled: true, file: 'index.json', maxAgeMs: 1 } });
+
+      expect(provider.name).toBe('catalog');
+      expect(provider.upstream.name).toBe('mealdb');
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() => createProvider({ provider: 'cookbook' })).toThrow('Unknown recipe provider');
+    });
+  });
+
+  describe('MealDB provider', () => {
+    // An injected fetch keeps these tests away from the global one
+    function createFetch(data, ok = true, status = 200) {
+      return vi.fn().mockResolvedValue({ ok, status, json: () => Promise.resolve(data) });
+    }
+
+    it('should build request URLs from the base URL', async () => {
+      const fetch = createFetch({ meals: [{ idMeal: '1', strMeal: 'Soup' }] });
+      const provider = createMealDbProvider({ baseUrl: 'http://example.test/api', fetch });
+
+      const result = await provider.filterByArea('Thai');
+
+      expect(fetch).toHaveBeenCalledWith('http://example.test/api/filter.php?a=Thai', { signal: expect.any(AbortSignal) });
+      expect(result).toEqual([fromMealDb({ idMeal: '1', strMeal: 'Soup' })]);
+    });
+
+    it('should encode every value it puts in a query string', async () => {
+      const fetch = createFetch({ meals: null });
+      const provider = createMealDbProvider({ baseUrl: 'http://example.test/api', fetch });
+
+      await provider.lookupById('1&s=x');
+      await provider.searchByFirstLetter('#');
+
+      expect(fetch).toHaveBeenCalledWith('http://example.test/api/lookup.php?i=1%26s%3Dx', expect.anything());
+      expect(fetch).toHaveBeenCalledWith('http://example.test/api/search.php?f=%23', expect.anything());
+    });
+
+    it('should return null when a lookup finds nothing', async () => {
+      const provider = createMealDbProvider({ fetch: createFetch({ meals: null }) });
+
+      expect(await provider.lookupById('999')).toBeNull();
+    });
+
+    it('should reject with an HttpError after the configured retries', async () => {
+      const fetch = createFetch({}, false, 500);
+      const provider = createMealDbProvider({ fetch, http: { retries: 1, backoffMs: 1 } });
+
+      await expect(provider.random()).rejects.toBeInstanceOf(HttpError);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should let each call override request options', async () => {
+      const fetch = createFetch({}, false, 500);
+      const provider = createMealDbProvider({ fetch, http: { retries: 1, backoffMs: 1 } });
+
+      await expect(provider.random({ retries: 0 })).rejects.toThrow('500');
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Local provider', () => {
+    let directory;
+    let provider;
+
+    beforeAll(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'recipes-'));
+      // One file per supported layout: a Recipe, a raw meal array and a saved API response
+      await fs.writeFile(path.join(directory, 'curry.json'), JSON.stringify(createRecipe({
+        id: '10',
+        name: 'Chicken Curry',
+        category: 'Chicken',
+        area: 'Indian',
+        ingredients: [{ name: 'Chicken Thighs', measure: '500g' }]
+      })));
+      await fs.writeFile(path.join(directory, 'soups.json'), JSON.stringify([
+        { idMeal: '20', strMeal: 'Tomato Soup', strCategory: 'Vegetarian', strArea: 'British', strIngredient1: 'Tomato' }
+      ]));
+      await fs.writeFile(path.join(directory, 'response.json'), JSON.stringify({
+        meals: [{ idMeal: '30', strMeal: 'Chicken Soup', strCategory: 'Chicken', strIngredient1: 'Chicken' }]
+      }));
+      await fs.writeFile(path.join(directory, 'notes.txt'), 'not a recipe');
+      provider = createLocalProvider({ directory });
+    });
+
+    afterAll(async () => {
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('should search names without regard to case', async () => {
+      const result = await provider.searchByName('SOUP');
+
+      expect(result.map(recipe => recipe.id).sort()).toEqual(['20', '30']);
+    });
+
+    it('should look up recipes by ID', async () => {
+      expect((await provider.lookupById('20')).name).toBe('Tomato Soup');
+      expect(await provider.lookupById('404')).toBeNull();
+    });
+
+    it('should filter by ingredient, category and area', async () => {
+      expect((await provider.filterByIngredient('chicken')).map(recipe => recipe.id).sort()).toEqual(['10', '30']);
+      expect((await provider.filterByCategory('chicken')).length).toBe(2);
+      expect((await provider.filterByArea('Indian')).map(recipe => recipe.id)).toEqual(['10']);
+    });
+
+    it('should search by first letter', async () => {
+      expect((await provider.searchByFirstLetter('t')).map(recipe => recipe.id)).toEqual(['20']);
+    });
+
+    it('should pick a random recipe from the directory', async () => {
+      expect(['10', '20', '30']).toContain((await provider.random()).id);
+    });
+
+    it('should reject when the directory does not exist', async () => {
+      const missing = createLocalProvider({ directory: path.join(directory, 'missing') });
+
+      await expect(missing.searchByName('soup')).rejects.toThrow('Cannot read local recipe directory');
+    });
+  });
+
+  describe('Catalog provider', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    let directory;
+    let file;
+
+    // Upstream provider that fails unless a test says otherwise
+    function createUpstream(overrides = {}) {
+      return {
+        name: 'upstream',
+        searchByName: vi.fn().mockRejectedValue(new NetworkError('offline')),
+        lookupById: vi.fn().mockRejectedValue(new NetworkError('offline')),
+        ...overrides
+      };
+    }
+
+    async function writeIndex(syncedAt) {
+      await fs.writeFile(file, JSON.stringify({
+        syncedAt,
+        recipes: [createRecipe({ id: '1', name: 'Apple Pie' }), createRecipe({ id: '2', name: 'Beef Stew' })]
+      }));
+      resetCatalogs();
+    }
+
+    beforeAll(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'catalog-'));
+      file = path.join(directory, 'index.json');
+    });
+
+    afterAll(async () => {
+      await fs.rm(directory, { recursive: true, force: true });
+      resetCatalogs();
+    });
+
+    it('should answer from a fresh index without asking upstream', async () => {
+      await writeIndex(Date.now());
+      const upstream = createUpstream();
+      const provider = createCatalogProvider({ file, maxAgeMs: DAY, upstream });
+
+      expect((await provider.searchByName('pie')).map(recipe => recipe.id)).toEqual(['1']);
+      expect((await provider.lookupById('2')).name).toBe('Beef Stew');
+      expect(upstream.searchByName).not.toHaveBeenCalled();
+    });
+
+    it('should ask upstream for recipes added since the last sync', async () => {
+      await writeIndex(Date.now());
+      const added = createRecipe({ id: '3', name: 'Fish Pie' });
+      const upstream = createUpstream({ lookupById: vi.fn().mockResolvedValue(added) });
+      const provider = createCatalogProvider({ file, maxAgeMs: DAY, upstream });
+
+      expect(await provider.lookupById('3', { timeoutMs: 50 })).toEqual(added);
+      expect(upstream.lookupById).toHaveBeenCalledWith('3', { timeoutMs: 50 });
+      expect((await provider.lookupById('1')).name).toBe('Apple Pie');
+      expect(upstream.lookupById).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report a recipe missing from a fresh index as not found while offline', async () => {
+      await writeIndex(Date.now());
+      const provider = createCatalogProvider({ file, maxAgeMs: DAY, upstream: createUpstream() });
+
+      expect(await provider.lookupById('3')).toBeNull();
+    });
+
+    it('should ask upstream when the index is stale', async () => {
+      await writeIndex(Date.now() - 2 * DAY);
+      const upstream = createUpstream({ searchByName: vi.fn().mockResolvedValue([]) });
+      const provider = createCatalogProvider({ file, maxAgeMs: DAY, upstream });
+
+      expect(await provider.searchByName('pie', { timeoutMs: 50 })).toEqual([]);
+      expect(upstream.searchByName).toHaveBeenCalledWith('pie', { timeoutMs: 50 });
+    });
+
+    it('should fall back to a stale index when upstream is unreachable', async () => {
+      await writeIndex(Date.now() - 2 * DAY);
+      const provider = createCatalogProvider({ file, maxAgeMs: DAY, upstream: createUpstream() });
+
+      expect((await provider.searchByName('stew')).map(recipe => recipe.id)).toEqual(['2']);
+    });
+
+    it('should not hide a missing recipe behind the stale index', async () => {
+      await writeIndex(Date.now() - 2 * DAY);
+      const upstream = createUpstream({ lookupById: vi.fn().mockRejectedValue(new NotFoundError('gone')) });
+      const provider = createCatalogProvider({ file, maxAgeMs: DAY, upstream });
+
+      await expect(provider.lookupById('1')).rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    it('should skip the index for fresh requests', async () => {
+      await writeIndex(Date.now());
+      const upstream = createUpstream();
+      const provider = createCatalogProvider({ file, maxAgeMs: DAY, upstream });
+
+      await expect(provider.searchByName('pie', { fresh: true })).rejects.toBeInstanceOf(NetworkError);
+      expect(upstream.searchByName).toHaveBeenCalledWith('pie', {});
+    });
+
+    it('should pass upstream errors through when there is no index', async () => {
+      const provider = createCatalogProvider({ file: path.join(directory, 'missing.json'), maxAgeMs: DAY, upstream: createUpstream() });
+
+      await expect(provider.searchByName('pie')).rejects.toBeInstanceOf(NetworkError);
+    });
+  });
+});
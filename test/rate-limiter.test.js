@@ -0,0 +1,94 @@
+// test/rate-limiter.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRateLimiter } from '../src/rate-limiter.js';
+
+describe('Rate Limiter Module', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  // Resolve after the current microtasks so started tasks are counted
+  const flush = () => vi.advanceTimersByTimeAsync(0);
+
+  it('should start a full burst immediately', async () => {
+    const limiter = createRateLimiter({ requestsPerSecond: 1, burst: 3, maxConcurrent: 10, now: Date.now });
+    const task = vi.fn().mockResolvedValue('ok');
+
+    const results = Promise.all([1, 2, 3].map(() => limiter.schedule(task)));
+    await flush();
+
+    expect(task).toHaveBeenCalledTimes(3);
+    await expect(results).resolves.toEqual(['ok', 'ok', 'ok']);
+  });
+
+  it('should space tasks beyond the burst by the request rate', async () => {
+    const limiter = createRateLimiter({ requestsPerSecond: 2, burst: 1, maxConcurrent: 10, now: Date.now });
+    const task = vi.fn().mockResolvedValue('ok');
+
+    [1, 2, 3].forEach(() => limiter.schedule(task));
+    await flush();
+    expect(task).toHaveBeenCalledTimes(1);
+
+    await vi.advanceTimersByTimeAsync(500);
+    expect(task).toHaveBeenCalledTimes(2);
+
+    await vi.advanceTimersByTimeAsync(500);
+    expect(task).toHaveBeenCalledTimes(3);
+  });
+
+  it('should not run more than maxConcurrent tasks at once', async () => {
+    const limiter = createRateLimiter({ requestsPerSecond: 100, burst: 10, maxConcurrent: 2, now: Date.now });
+    const releases = [];
+    const task = vi.fn(() => new Promise(resolve => releases.push(resolve)));
+
+    [1, 2, 3].forEach(() => limiter.schedule(task));
+    await flush();
+    expect(task).toHaveBeenCalledTimes(2);
+    expect(limiter.getStats()).toMatchObject({ queued: 1, active: 2 });
+
+    releases[0]();
+    await flush();
+    expect(task).toHaveBeenCalledTimes(3);
+  });
+
+  it('should pass task failures to the caller', async () => {
+    const limiter = createRateLimiter();
+
+    await expect(limiter.schedule(() => Promise.reject(new Error('boom')))).rejects.toThrow('boom');
+  });
+
+  it('should drop queued tasks when their signal aborts', async () => {
+    const limiter = createRateLimiter({ requestsPerSecond: 1, burst: 1, now: Date.now });
+    const task = vi.fn().mockResolvedValue('ok');
+    const controller = new AbortController();
+
+    limiter.schedule(task);
+    const queued = limiter.schedule(task, { signal: controller.signal });
+    controller.abort(new Error('Cancelled'));
+
+    await expect(queued).rejects.toThrow('Cancelled');
+    await vi.advanceTimersByTimeAsync(2000);
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+
+  it('should hold back tasks while paused', async () => {
+    const limiter = createRateLimiter({ requestsPerSecond: 10, burst: 5, now: Date.now });
+    const task = vi.fn().mockResolvedValue('ok');
+
+    limiter.pause(1000);
+    limiter.schedule(task);
+    await vi.advanceTimersByTimeAsync(999);
+    expect(task).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject a non-positive request rate', () => {
+    expect(() => createRateLimiter({ requestsPerSecond: 0 })).toThrow(RangeError);
+  });
+});
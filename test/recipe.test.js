@@ -0,0 +1,96 @@
+// test/recipe.test.js
+import { describe, it, expect } from 'vitest';
+import * as recipeModel from '../src/recipe.js';
+
+describe('Recipe Module', () => {
+  // A trimmed-down meal in TheMealDB's raw shape
+  const rawMeal = {
+    idMeal: '52772',
+    strMeal: 'Teriyaki Chicken Casserole',
+    strCategory: 'Chicken',
+    strArea: 'Japanese',
+    strTags: 'Meat, Casserole',
+    strInstructions: 'Preheat oven.\r\n\r\nCombine sauce.',
+    strMealThumb: 'https://www.themealdb.com/images/media/meals/wvpsxx1468256321.jpg',
+    strYoutube: 'https://www.youtube.com/watch?v=4aZr5hZXP_s',
+    strSource: null,
+    strIngredient1: 'soy sauce',
+    strMeasure1: '3/4 cup',
+    strIngredient2: 'water ',
+    strMeasure2: ' 1/2 cup',
+    strIngredient3: '',
+    strMeasure3: ''
+  };
+
+  describe('fromMealDb', () => {
+    it('should map raw fields to the model', () => {
+      expect(recipeModel.fromMealDb(rawMeal)).toEqual({
+        id: '52772',
+        name: 'Teriyaki Chicken Casserole',
+        category: 'Chicken',
+        area: 'Japanese',
+        tags: ['Meat', 'Casserole'],
+        ingredients: [
+          { name: 'soy sauce', measure: '3/4 cup' },
+          { name: 'water', measure: '1/2 cup' }
+        ],
+        instructions: ['Preheat oven.', 'Combine sauce.'],
+        image: 'https://www.themealdb.com/images/media/meals/wvpsxx1468256321.jpg',
+        video: 'https://www.youtube.com/watch?v=4aZr5hZXP_s',
+        source: null
+      });
+    });
+
+    it('should read ingredients beyond the first few slots', () => {
+      const result = recipeModel.fromMealDb({ idMeal: '1', strMeal: 'Stew', strIngredient20: 'Salt', strMeasure20: 'Pinch' });
+
+      expect(result.ingredients).toEqual([{ name: 'Salt', measure: 'Pinch' }]);
+    });
+
+    it('should handle partial meals from filter results', () => {
+      const result = recipeModel.fromMealDb({ idMeal: '1', strMeal: 'Soup', strMealThumb: 'thumb.jpg' });
+
+      expect(result.ingredients).toEqual([]);
+      expect(result.instructions).toEqual([]);
+      expect(result.category).toBeNull();
+      expect(recipeModel.isPartial(result)).toBe(true);
+    });
+
+    it('should return null for missing meals', () => {
+      expect(recipeModel.fromMealDb(null)).toBeNull();
+    });
+  });
+
+  describe('toMealDb', () => {
+    it('should round-trip through the raw shape', () => {
+      const recipe = recipeModel.fromMealDb(rawMeal);
+      const meal = recipeModel.toMealDb(recipe);
+
+      expect(meal.strIngredient1).toBe('soy sauce');
+      expect(meal.strIngredient20).toBe('');
+      expect(meal.strTags).toBe('Meat,Casserole');
+      expect(recipeModel.fromMealDb(meal)).toEqual(recipe);
+    });
+  });
+
+  describe('toRecipe', () => {
+    it('should accept both raw meals and model objects', () => {
+      const recipe = recipeModel.fromMealDb(rawMeal);
+
+      expect(recipeModel.toRecipe(rawMeal)).toEqual(recipe);
+      expect(recipeModel.toRecipe(recipe)).toEqual(recipe);
+    });
+
+    it('should fill in missing model fields', () => {
+      expect(recipeModel.toRecipe({ id: '1', name: 'Soup' })).toEqual(recipeModel.createRecipe({ id: '1', name: 'Soup' }));
+    });
+  });
+
+  describe('reviveRecipes', () => {
+    it('should convert raw meals in arrays and leave other data alone', () => {
+      expect(recipeModel.reviveRecipes([rawMeal])[0].id).toBe('52772');
+      expect(recipeModel.reviveRecipes({ id: 1, name: 'Test Data' })).toEqual({ id: 1, name: 'Test Data' });
+      expect(recipeModel.reviveRecipes('text')).toBe('text');
+    });
+  });
+});
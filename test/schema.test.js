@@ -0,0 +1,50 @@
+// test/schema.test.js
+import { describe, it, expect } from 'vitest';
+import { SCHEMAS, SchemaError, toVersioned, readHeader, upgrade, fromVersioned } from '../src/schema.js';
+
+describe('Schema Module', () => {
+  const soup = { id: '2', name: 'Soup' };
+
+  describe('toVersioned and readHeader', () => {
+    it('should wrap data in a header with the current version', () => {
+      const versioned = toVersioned('favorites', [soup]);
+
+      expect(versioned).toEqual({ schema: 'favorites', version: SCHEMAS.favorites.version, data: [soup] });
+      expect(readHeader('favorites', versioned)).toEqual({ version: SCHEMAS.favorites.version, data: [soup] });
+    });
+
+    it('should treat data without a header as version 0', () => {
+      expect(readHeader('favorites', [soup])).toEqual({ version: 0, data: [soup] });
+      // A cache entry keyed "schema" is still data, since it has no version and data
+      expect(readHeader('cache', { schema: { timestamp: 1 } })).toEqual({ version: 0, data: { schema: { timestamp: 1 } } });
+    });
+
+    it('should refuse a header for another schema', () => {
+      expect(() => readHeader('favorites', toVersioned('cache', {}))).toThrow(SchemaError);
+    });
+
+    it('should refuse unknown schemas', () => {
+      expect(() => toVersioned('recipes', [])).toThrow('Unknown data schema');
+    });
+  });
+
+  describe('upgrade', () => {
+    it('should upgrade version 0 favorites, reviving TheMealDB keys', () => {
+      const [recipe] = upgrade('favorites', [{ idMeal: '2', strMeal: 'Soup' }], 0);
+
+      expect(recipe).toMatchObject({ id: '2', name: 'Soup' });
+      expect(recipe).not.toHaveProperty('idMeal');
+    });
+
+    it('should leave current data as it is', () => {
+      expect(upgrade('favorites', [soup], SCHEMAS.favorites.version)).toEqual([soup]);
+    });
+
+    it('should refuse data from a newer version', () => {
+      const newer = SCHEMAS.favorites.version + 1;
+
+      expect(() => upgrade('favorites', [soup], newer)).toThrow(SchemaError);
+      expect(() => fromVersioned('favorites', { schema: 'favorites', version: newer, data: [] })).toThrow('newer release');
+    });
+  });
+});
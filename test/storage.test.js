@@ -0,0 +1,210 @@
+// test/storage.test.js
+import { describe, it, expect, vi, beforeAll, afterAll, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { writeFileAtomic, withFileLock, readJsonFile, getBackupPath, serializeJson } from '../src/storage.js';
+import { SchemaError } from '../src/schema.js';
+
+describe('Storage Module', () => {
+  let directory;
+
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  describe('writeFileAtomic', () => {
+    it('should replace the file without leaving temporary files', async () => {
+      const file = path.join(directory, 'data.json');
+      await fs.writeFile(file, 'old');
+
+      await writeFileAtomic(file, 'new');
+
+      expect(await fs.readFile(file, 'utf8')).toBe('new');
+      expect((await fs.readdir(directory)).filter(name => name.endsWith('.tmp'))).toEqual([]);
+    });
+
+    it('should clean up and rethrow when the rename fails', async () => {
+      // A directory can't be replaced by a file
+      const target = path.join(directory, 'folder');
+      await fs.mkdir(target);
+
+      await expect(writeFileAtomic(target, 'data')).rejects.toThrow();
+      expect((await fs.readdir(directory)).filter(name => name.endsWith('.tmp'))).toEqual([]);
+    });
+
+    it('should keep the previous contents as a backup when asked', async () => {
+      const file = path.join(directory, 'backed-up.json');
+      await fs.writeFile(file, 'first');
+
+      await writeFileAtomic(file, 'second', { backup: true });
+
+      expect(await fs.readFile(file, 'utf8')).toBe('second');
+      expect(await fs.readFile(getBackupPath(file), 'utf8')).toBe('first');
+    });
+  });
+
+  describe('readJsonFile', () => {
+    const isArray = data => Array.isArray(data);
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('should return the fallback for missing or empty files', async () => {
+      const empty = path.join(directory, 'empty.json');
+      await fs.writeFile(empty, '  \n');
+
+      expect(await readJsonFile(path.join(directory, 'missing.json'), { fallback: [] })).toEqual([]);
+      expect(await readJsonFile(empty, { fallback: [] })).toEqual([]);
+    });
+
+    it('should quarantine a corrupt file and restore its backup', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const file = path.join(directory, 'corrupt.json');
+      await fs.writeFile(getBackupPath(file), '[1, 2]');
+      await fs.writeFile(file, '[1, 2');
+
+      expect(await readJsonFile(file, { fallback: [], validate: isArray })).toEqual([1, 2]);
+      expect(await fs.readFile(file, 'utf8')).toBe('[1, 2]');
+      const quarantined = (await fs.readdir(directory)).filter(name => name.startsWith('corrupt.json.corrupt-'));
+      expect(quarantined).toHaveLength(1);
+      expect(await fs.readFile(path.join(directory, quarantined[0]), 'utf8')).toBe('[1, 2');
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('was corrupt'));
+    });
+
+    it('should reset data with the wrong shape when there is no usable backup', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const file = path.join(directory, 'shape.json');
+      await fs.writeFile(getBackupPath(file), '{"not": "a list"}');
+      await fs.writeFile(file, '{"also": "not a list"}');
+
+      expect(await readJsonFile(file, { fallback: [], validate: isArray })).toEqual([]);
+      expect(JSON.parse(await fs.readFile(file, 'utf8'))).toEqual([]);
+    });
+
+    it('should wait for the lock and read the file again before quarantining it', async () => {
+      const file = path.join(directory, 'rewritten.json');
+      await fs.writeFile(file, '[1, 2');
+
+      // A writer holds the lock and finishes its write while the reader waits
+      let finishWrite;
+      const writer = withFileLock(file, () => new Promise(resolve => {
+        finishWrite = resolve;
+      }));
+      const reader = readJsonFile(file, { fallback: [], validate: isArray });
+      await new Promise(resolve => setTimeout(resolve, 50));
+      await fs.writeFile(file, '[3]');
+      finishWrite();
+      await writer;
+
+      expect(await reader).toEqual([3]);
+      expect((await fs.readdir(directory)).filter(name => name.startsWith('rewritten.json.corrupt-'))).toEqual([]);
+    });
+
+    it('should recover a file read while already holding its lock', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const file = path.join(directory, 'locked.json');
+      await fs.writeFile(file, '[1, 2');
+
+      const data = await withFileLock(file, () => readJsonFile(file, { fallback: [], validate: isArray }), { timeoutMs: 500 });
+
+      expect(data).toEqual([]);
+      expect(JSON.parse(await fs.readFile(file, 'utf8'))).toEqual([]);
+    });
+
+    it('should read versioned files and upgrade bare ones', async () => {
+      const file = path.join(directory, 'versioned.json');
+      await fs.writeFile(file, serializeJson([{ id: '1' }], { schema: 'favorites' }));
+      expect(await readJsonFile(file, { fallback: [], validate: isArray, schema: 'favorites' })).toEqual([{ id: '1' }]);
+
+      await fs.writeFile(file, '[{"idMeal": "2", "strMeal": "Soup"}]');
+      const [recipe] = await readJsonFile(file, { fallback: [], validate: isArray, schema: 'favorites' });
+      expect(recipe).toMatchObject({ id: '2', name: 'Soup' });
+    });
+
+    it('should leave files from a newer version alone instead of quarantining them', async () => {
+      const file = path.join(directory, 'newer.json');
+      const contents = JSON.stringify({ schema: 'favorites', version: 99, data: [] });
+      await fs.writeFile(file, contents);
+
+      await expect(readJsonFile(file, { fallback: [], schema: 'favorites' })).rejects.toThrow(SchemaError);
+      expect(await fs.readFile(file, 'utf8')).toBe(contents);
+      expect((await fs.readdir(directory)).filter(name => name.startsWith('newer.json.corrupt-'))).toEqual([]);
+    });
+  });
+
+  describe('withFileLock', () => {
+    it('should run callers in this process one at a time', async () => {
+      const file = path.join(directory, 'queue.json');
+      const events = [];
+      const task = name => withFileLock(file, async () => {
+        events.push(`${name} start`);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        events.push(`${name} end`);
+        return name;
+      });
+
+      expect(await Promise.all([task('a'), task('b')])).toEqual(['a', 'b']);
+      expect(events).toEqual(['a start', 'a end', 'b start', 'b end']);
+    });
+
+    it('should remove the lock file afterwards, even on errors', async () => {
+      const file = path.join(directory, 'errors.json');
+
+      await expect(withFileLock(file, async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+
+      await expect(fs.access(`${file}.lock`)).rejects.toThrow();
+    });
+
+    it('should wait while another process holds the lock', async () => {
+      const file = path.join(directory, 'shared.json');
+      await fs.writeFile(`${file}.lock`, '');
+      setTimeout(() => fs.unlink(`${file}.lock`), 60);
+
+      const started = Date.now();
+      await withFileLock(file, async () => {});
+
+      expect(Date.now() - started).toBeGreaterThanOrEqual(50);
+    });
+
+    it('should break locks left behind by a crashed process', async () => {
+      const file = path.join(directory, 'stale.json');
+      await fs.writeFile(`${file}.lock`, '');
+      const longAgo = new Date(Date.now() - 60000);
+      await fs.utimes(`${file}.lock`, longAgo, longAgo);
+
+      expect(await withFileLock(file, async () => 'done', { staleMs: 1000 })).toBe('done');
+    });
+
+    it('should move a stale lock aside before taking over, leaving nothing behind', async () => {
+      const file = path.join(directory, 'stale.json');
+      await fs.writeFile(`${file}.lock`, 'crashed');
+      const longAgo = new Date(Date.now() - 60000);
+      await fs.utimes(`${file}.lock`, longAgo, longAgo);
+
+      const token = await withFileLock(file, () => fs.readFile(`${file}.lock`, 'utf8'), { staleMs: 1000 });
+
+      expect(token).toMatch(/^[0-9a-f-]{36}$/);
+      expect((await fs.readdir(directory)).filter(name => name.startsWith('stale.json'))).toEqual([]);
+    });
+
+    it('should give up after the timeout', async () => {
+      const file = path.join(directory, 'busy.json');
+      await fs.writeFile(`${file}.lock`, '');
+
+      await expect(withFileLock(file, async () => {}, { timeoutMs: 50 })).rejects.toThrow('Timed out waiting for lock');
+      await fs.unlink(`${file}.lock`);
+    });
+
+    it('should create missing directories for the lock', async () => {
+      const file = path.join(directory, 'new', 'dir', 'data.json');
+
+      expect(await withFileLock(file, async () => 'ok')).toBe('ok');
+    });
+  });
+});
@@ -0,0 +1,75 @@
+// test/sync.test.js
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import * as api from '../src/api.js';
+import { syncCatalog, CATALOG_LETTERS } from '../src/sync.js';
+import { loadCatalog, resetCatalogs } from '../src/catalog.js';
+import { createRecipe } from '../src/recipe.js';
+import { NetworkError } from '../src/errors.js';
+
+vi.mock('../src/api.js', () => ({
+  searchMealsByFirstLetter: vi.fn(),
+  getMealById: vi.fn()
+}));
+
+describe('Sync Module', () => {
+  let directory;
+  let file;
+
+  const full = (id, name) => createRecipe({ id, name, ingredients: [{ name: 'Salt' }], instructions: ['Cook'] });
+
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'sync-'));
+    file = path.join(directory, 'index.json');
+  });
+
+  afterAll(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    vi.resetAllMocks();
+    resetCatalogs();
+    await fs.rm(file, { force: true });
+  });
+
+  it('should crawl every letter and digit by default', () => {
+    expect(CATALOG_LETTERS).toHaveLength(36);
+    expect(CATALOG_LETTERS).toContain('z');
+    expect(CATALOG_LETTERS).toContain('0');
+  });
+
+  it('should save every recipe found, bypassing the existing index', async () => {
+    api.searchMealsByFirstLetter.mockImplementation(async ([letter]) =>
+      letter === 'a' ? [full('1', 'Apple Pie')] : [full('2', 'Beef Stew'), full('1', 'Apple Pie')]
+    );
+    const onProgress = vi.fn();
+
+    const result = await syncCatalog({ file, letters: ['a', 'b'], onProgress });
+
+    expect(api.searchMealsByFirstLetter).toHaveBeenCalledWith(['a'], { fresh: true });
+    expect(result.recipes.map(recipe => recipe.id)).toEqual(['1', '2']);
+    expect(onProgress).toHaveBeenCalledWith({ stage: 'letters', done: 2, total: 2 });
+    resetCatalogs();
+    expect(await loadCatalog(file)).toEqual(result);
+  });
+
+  it('should fetch details for summary-only recipes', async () => {
+    api.searchMealsByFirstLetter.mockResolvedValue([createRecipe({ id: '3', name: 'Curry' })]);
+    api.getMealById.mockResolvedValue(full('3', 'Curry'));
+
+    const result = await syncCatalog({ file, letters: ['c'] });
+
+    expect(api.getMealById).toHaveBeenCalledWith('3', 2, { fresh: true });
+    expect(result.recipes[0].instructions).toEqual(['Cook']);
+  });
+
+  it('should leave the index alone when a letter fails', async () => {
+    api.searchMealsByFirstLetter.mockRejectedValue(new NetworkError('offline'));
+
+    await expect(syncCatalog({ file, letters: ['a'] })).rejects.toBeInstanceOf(NetworkError);
+    await expect(fs.access(file)).rejects.toThrow();
+  });
+});
@@ -0,0 +1,142 @@
+// test/utils.test.js
+import { describe, it, expect, vi } from 'vitest';
+import * as utils from '../src/utils.js';
+import { createRecipe } from '../src/recipe.js';
+
+describe('Utils Module', () => {
+  const recipe = createRecipe({
+    id: '52772',
+    name: 'Teriyaki Chicken Casserole',
+    category: 'Chicken',
+    area: 'Japanese',
+    tags: ['Meat', 'Casserole'],
+    ingredients: [{ name: 'soy sauce', measure: '3/4 cup' }],
+    instructions: ['Preheat oven.', 'Combine sauce.'],
+    video: 'https://www.youtube.com/watch?v=4aZr5hZXP_s'
+  });
+
+  describe('formatRecipe', () => {
+    it('should include ingredients, steps and video', () => {
+      const output = utils.formatRecipe(recipe);
+
+      expect(output).toContain('=== Teriyaki Chicken Casserole ===');
+      expect(output).toContain('- 3/4 cup soy sauce');
+      expect(output).toContain('Preheat oven.\nCombine sauce.');
+      expect(output).toContain('Video Tutorial: https://www.youtube.com/watch?v=4aZr5hZXP_s');
+    });
+  });
+
+  describe('formatDuration', () => {
+    it('should use the largest whole unit', () => {
+      expect(utils.formatDuration(90 * 60 * 1000)).toBe('1 hour');
+      expect(utils.formatDuration(3 * 24 * 60 * 60 * 1000)).toBe('3 days');
+      expect(utils.formatDuration(45 * 1000)).toBe('45 seconds');
+      expect(utils.formatDuration(10)).toBe('less than a second');
+    });
+  });
+
+  describe('formatBytes', () => {
+    it('should pick the largest unit under 1024', () => {
+      expect(utils.formatBytes(512)).toBe('512 B');
+      expect(utils.formatBytes(1536)).toBe('1.5 KB');
+      expect(utils.formatBytes(10 * 1024 * 1024)).toBe('10 MB');
+    });
+  });
+
+  describe('renderRecipeList', () => {
+    const recipes = [recipe, createRecipe({ id: '2', name: 'Soup' })];
+
+    it('should render text with the existing list format', () => {
+      expect(utils.renderRecipeList(recipes, 'text')).toContain('1. Teriyaki Chicken Casserole (ID: 52772)');
+    });
+
+    it('should render a JSON array', () => {
+      const parsed = JSON.parse(utils.renderRecipeList(recipes, 'json'));
+
+      expect(parsed.map(item => item.id)).toEqual(['52772', '2']);
+    });
+
+    it('should render one JSON object per line for NDJSON', () => {
+      const lines = utils.renderRecipeList(recipes, 'ndjson').split('\n');
+
+      expect(lines).toHaveLength(2);
+      expect(JSON.parse(lines[1]).name).toBe('Soup');
+    });
+
+    it('should render empty lists as [] for JSON and nothing for NDJSON', () => {
+      expect(utils.renderRecipeList([], 'json')).toBe('[]');
+      expect(utils.renderRecipeList([], 'ndjson')).toBe('');
+    });
+  });
+
+  describe('renderFavoriteList', () => {
+    const favorites = [
+      {
+        recipe,
+        addedAt: Date.UTC(2024, 2, 5),
+        collections: ['Weeknight'],
+        tags: ['quick', 'asian'],
+        note: 'Less soy',
+        rating: 4,
+        refreshedAt: null,
+        missingSince: null
+      },
+      {
+        recipe: createRecipe({ id: '2', name: 'Soup' }),
+        addedAt: null,
+        collections: [],
+        tags: [],
+        note: '',
+        rating: null,
+        refreshedAt: Date.UTC(2024, 3, 1),
+        missingSince: Date.UTC(2024, 3, 1)
+      }
+    ];
+
+    it('should show what the user added under each recipe', () => {
+      const output = utils.renderFavoriteList(favorites, 'text', 'Collection: Weeknight');
+
+      expect(output).toContain('=== Collection: Weeknight ===');
+      expect(output).toContain('   Rating: 4/5 | Collections: Weeknight | Tags: #quick #asian | Added: 2024-03-05\n   Note: Less soy');
+      expect(output).toContain('2. Soup (ID: 2)\n   No longer available from the recipe service (since 2024-04-01)');
+    });
+
+    it('should add a favorite object to each recipe in JSON', () => {
+      const parsed = JSON.parse(utils.renderFavoriteList(favorites, 'json'));
+
+      expect(parsed[0]).toEqual({
+        ...recipe,
+        favorite: {
+          addedAt: '2024-03-05T00:00:00.000Z',
+          collections: ['Weeknight'],
+          tags: ['quick', 'asian'],
+          note: 'Less soy',
+          rating: 4,
+          refreshedAt: null,
+          missingSince: null
+        }
+      });
+      expect(parsed[1].favorite).toMatchObject({ addedAt: null, missingSince: '2024-04-01T00:00:00.000Z' });
+    });
+  });
+
+  describe('renderRecipe', () => {
+    it('should render a single line for NDJSON', () => {
+      const output = utils.renderRecipe(recipe, 'ndjson');
+
+      expect(output).not.toContain('\n');
+      expect(JSON.parse(output)).toEqual(recipe);
+    });
+  });
+
+  describe('runWithConcurrency', () => {
+    it('should return null for failed tasks without logging them', async () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const tasks = [async () => 1, async () => { throw new Error('offline'); }, async () => 3];
+
+      expect(await utils.runWithConcurrency(tasks, 2)).toEqual([1, null, 3]);
+      expect(error).not.toHaveBeenCalled();
+      error.mockRestore();
+    });
+  });
+});
@@ -1,11 +1,15 @@
 // utils/init-data.js
 /**
  * Utility script to initialize the data directories and files
+ * Existing files are checked, and corrupt ones are quarantined and restored from backup
+ * Files in an older schema version are then upgraded (see src/migrations.js)
  */
 
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { readJsonFile, serializeJson, writeFileAtomic } from '../src/storage.js';
+import { migrateDataFiles } from '../src/migrations.js';
 
 // Get the directory path using ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -16,6 +20,28 @@ const dataDir = path.join(__dirname, '../data');
 const cacheFile = path.join(dataDir, 'cache.json');
 const favoritesFile = path.join(dataDir, 'favorites.json');
 
+/**
+ * Create a data file that doesn't exist, or check the one that does
+ * Only a missing file is created; any other error is thrown, so user data is never replaced
+ *
+ * @param {string} file - Path to the file
+ * @param {string} label - What the file holds, for messages, e.g. 'Cache'
+ * @param {Object} options - readJsonFile options; `fallback` is also the new file's contents
+ */
+async function ensureDataFile(file, label, options) {
+  try {
+    await fs.access(file);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    console.log(`Creating ${label.toLowerCase()} file...`);
+    await writeFileAtomic(file, serializeJson(options.fallback, { schema: options.schema }));
+    return;
+  }
+
+  console.log(`${label} file already exists`);
+  await readJsonFile(file, options);
+}
+
 /**
  * Initialize the data directories and files
  */
@@ -32,22 +58,21 @@ async function initData() {
       await fs.mkdir(dataDir, { recursive: true });
     }
     
-    // Create cache file if it doesn't exist
-    try {
-      await fs.access(cacheFile);
-      console.log('Cache file already exists');
-    } catch (error) {
-      console.log('Creating cache file...');
-      await fs.writeFile(cacheFile, JSON.stringify({}, null, 2));
+    // Create the cache and favorites files if they don't exist
+    await ensureDataFile(cacheFile, 'Cache', {
+      fallback: {},
+      validate: data => data !== null && typeof data === 'object' && !Array.isArray(data),
+      schema: 'cache'
+    });
+    await ensureDataFile(favoritesFile, 'Favorites', { fallback: [], validate: data => Array.isArray(data), schema: 'favorites' });
+
+    // Upgrade files written by earlier releases, keeping the old versions as backups
+    const { migrated, problems } = await migrateDataFiles();
+    for (const { file, version, current } of migrated) {
+      console.log(`Upgraded ${path.relative(dataDir, file)} from version ${version} to ${current}`);
     }
-    
-    // Create favorites file if it doesn't exist
-    try {
-      await fs.access(favoritesFile);
-      console.log('Favorites file already exists');
-    } catch (error) {
-      console.log('Creating favorites file...');
-      await fs.writeFile(favoritesFile, JSON.stringify([], null, 2));
+    for (const { file, reason, status } of problems) {
+      console.warn(`Left ${path.relative(dataDir, file)} as it is (${status}${reason ? `: ${reason}` : ''})`);
     }
     
     console.log('Data initialization complete!');